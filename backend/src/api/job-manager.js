@@ -0,0 +1,611 @@
+// backend/src/api/job-manager.js
+// Track verification jobs started from the API
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const VerificationOrchestrator = require('../bot/orchestrator');
+const BatchRunner = require('../bot/batch-runner');
+const ReviewStore = require('../storage/review-store');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+
+class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobs = new Map();
+    this.batches = new Map();
+    this.queue = []; // Job and batch ids
+    this.running = 0;
+    this.maxConcurrent = options.maxConcurrent || 1; // One browser at a time by default
+  }
+
+  /**
+   * Create and queue a new verification job
+   * params: { ticketNumber, username, password, environment, headless } or { excelPath, pdfPaths, uploadDir }
+   * batchId: job is run by that batch (not queued on its own)
+   */
+  createJob(params = {}, batchId = null) {
+    const job = {
+      id: crypto.randomUUID(),
+      mode: params.excelPath ? 'upload' : 'ils',
+      batchId: batchId,
+      ticketNumber: params.ticketNumber || null,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      stages: [],
+      summary: null,
+      outputPath: null,
+      signOff: null,
+      error: null,
+      progress: { ocr: null, rows: [] }, // Latest live state, replayed to new WebSocket subscribers
+      params: params,
+      orchestrator: null
+    };
+
+    this.jobs.set(job.id, job);
+
+    logger.info(`Job ${job.id} queued (${job.mode}${job.ticketNumber ? `, ticket ${job.ticketNumber}` : ''})`);
+    this.emit('job', { type: 'queued', job: this.serializeJob(job) });
+
+    if (!batchId) {
+      this.queue.push(job.id);
+      this.processQueue();
+    }
+    return job;
+  }
+
+  /**
+   * Create and queue a batch: many tickets with one ILS login (one browser, counts as one running job)
+   * params: { ticketNumbers } or { dateFrom, dateTo }, plus { tabs, username, password, environment,
+   *   headless, operator, excelProfile }
+   * Every ticket gets its own job (batchId set) once the ticket list is known.
+   */
+  createBatch(params = {}) {
+    const batch = {
+      id: crypto.randomUUID(),
+      mode: 'batch',
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      jobIds: [],
+      totals: null,
+      reportPath: null,
+      workbookPath: null,
+      error: null,
+      params: params,
+      runner: null
+    };
+
+    this.batches.set(batch.id, batch);
+    this.queue.push(batch.id);
+
+    logger.info(`Batch ${batch.id} queued`);
+    this.emit('batch', { type: 'queued', batch: this.serializeBatch(batch) });
+
+    this.processQueue();
+    return batch;
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  processQueue() {
+    while (this.running < this.maxConcurrent && this.queue.length > 0) {
+      const id = this.queue.shift();
+      const job = this.jobs.get(id) || this.batches.get(id);
+      if (!job || job.status !== 'queued') continue;
+
+      this.running++;
+      (job.mode === 'batch' ? this.runBatch(job) : this.runJob(job))
+        .catch(error => logger.error(`Job ${job.id} crashed:`, error.message))
+        .finally(() => {
+          this.running--;
+          this.processQueue();
+        });
+    }
+  }
+
+  /**
+   * Run a job through the orchestrator
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    job.orchestrator = new VerificationOrchestrator({
+      ...job.params,
+      runId: job.id, // Same id in run history
+      onProgress: (event) => this.handleProgress(job, event)
+    });
+    this.dropCredentials(job.params);
+
+    this.emit('job', { type: 'started', job: this.serializeJob(job) });
+
+    const report = await job.orchestrator.run();
+    this.finishJob(job, report);
+  }
+
+  /**
+   * Copy the run report into the job and notify listeners
+   */
+  finishJob(job, report) {
+    job.status = report.status;
+    job.ticketNumber = report.ticketNumber;
+    job.stages = report.stages;
+    job.summary = report.summary;
+    job.outputPath = report.outputPath;
+    job.error = report.error;
+    job.finishedAt = report.finishedAt;
+    this.removeUploadDir(job);
+    job.orchestrator.release();
+
+    logger.info(`Job ${job.id} finished: ${job.status}`);
+    this.emit('job', { type: 'finished', job: this.serializeJob(job) });
+    this.releaseFinishedJobs();
+  }
+
+  /**
+   * Forget ILS credentials of a started job or batch (the run keeps its own copy until it finishes)
+   */
+  dropCredentials(params) {
+    delete params.username;
+    delete params.password;
+  }
+
+  /**
+   * Free the results of finished jobs beyond server.keepJobs or older than server.jobRetention minutes
+   * Such a job keeps only its summary; rows, review and documents are read from run history (same id).
+   */
+  releaseFinishedJobs() {
+    const { keepJobs, jobRetention } = getConfig().server;
+    const expiresAt = Date.now() - jobRetention * 60 * 1000;
+
+    Array.from(this.jobs.values())
+      .filter(job => job.finishedAt && !job.released)
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+      .forEach((job, index) => {
+        if (index < keepJobs && new Date(job.finishedAt).getTime() > expiresAt) return;
+
+        job.orchestrator = null;
+        job.progress = { ocr: null, rows: [] };
+        job.params = { excelSheet: job.params.excelSheet };
+        job.released = true;
+        logger.debug(`Job ${job.id} results released from memory`);
+      });
+  }
+
+  /**
+   * Delete a job's uploaded files once no other job of the same upload (other sheets) still needs them
+   * Review and rewrite work from the parsed files in memory, not from the upload.
+   */
+  removeUploadDir(job) {
+    const dir = job.params.uploadDir;
+    if (!dir) return;
+
+    const inUse = Array.from(this.jobs.values()).some(other =>
+      other !== job &&
+      other.params.uploadDir === dir &&
+      (other.status === 'queued' || other.status === 'running')
+    );
+    if (inUse) return;
+
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+      logger.debug(`Upload folder removed: ${dir}`);
+    } catch (error) {
+      logger.warn(`Cannot remove upload folder ${dir}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a batch: ticket jobs are created when the ticket list is known and run in the batch's browser
+   */
+  async runBatch(batch) {
+    batch.status = 'running';
+    batch.startedAt = new Date().toISOString();
+
+    const ticketJobs = new Map(); // ticket number → job
+    const { ticketNumbers, dateFrom, dateTo, tabs, username, password, environment, headless } = batch.params;
+
+    batch.runner = new BatchRunner({
+      batchId: batch.id,
+      ticketNumbers, dateFrom, dateTo, tabs, username, password, environment, headless,
+      ticketOptions: {
+        operator: batch.params.operator,
+        excelProfile: batch.params.excelProfile
+      },
+      createOrchestrator: (params) => {
+        const job = ticketJobs.get(params.ticketNumber);
+        if (job.status !== 'queued') {
+          return null; // Cancelled on its own
+        }
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.orchestrator = new VerificationOrchestrator({
+          ...params,
+          runId: job.id, // Same id in run history
+          onProgress: (event) => this.handleProgress(job, event)
+        });
+
+        this.emit('job', { type: 'started', job: this.serializeJob(job) });
+        return job.orchestrator;
+      },
+      onProgress: (event) => this.handleBatchProgress(batch, ticketJobs, event)
+    });
+    this.dropCredentials(batch.params);
+
+    this.emit('batch', { type: 'started', batch: this.serializeBatch(batch) });
+
+    const report = await batch.runner.run();
+
+    // Tickets never started (batch failed or cancelled)
+    ticketJobs.forEach(job => {
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = report.finishedAt;
+        this.emit('job', { type: 'finished', job: this.serializeJob(job) });
+      }
+    });
+
+    batch.status = report.status;
+    batch.error = report.error;
+    batch.totals = report.totals;
+    batch.reportPath = report.reportPath;
+    batch.workbookPath = report.workbookPath;
+    batch.finishedAt = report.finishedAt;
+    batch.runner = null; // Browser session and ticket reports (each ticket job keeps its own)
+
+    logger.info(`Batch ${batch.id} finished: ${batch.status} ` +
+      `(${report.totals.success}/${report.totals.tickets} tickets verified)`);
+    this.emit('batch', { type: 'finished', batch: this.serializeBatch(batch) });
+  }
+
+  /**
+   * Batch runner events: create ticket jobs, finish them as tickets complete
+   */
+  handleBatchProgress(batch, ticketJobs, event) {
+    if (event.type === 'tickets') {
+      event.ticketNumbers.forEach(ticketNumber => {
+        const job = this.createJob({
+          ticketNumber: ticketNumber,
+          environment: batch.params.environment,
+          headless: batch.params.headless,
+          operator: batch.params.operator,
+          excelProfile: batch.params.excelProfile
+        }, batch.id);
+        ticketJobs.set(ticketNumber, job);
+        batch.jobIds.push(job.id);
+      });
+      this.emit('batch', { type: 'tickets', batch: this.serializeBatch(batch) });
+    }
+
+    if (event.type === 'ticket') {
+      const job = ticketJobs.get(event.ticketNumber);
+      if (event.report) {
+        this.finishJob(job, event.report);
+      } else if (event.error) {
+        job.status = 'failed';
+        job.error = event.error;
+        job.finishedAt = event.timestamp;
+        if (job.orchestrator) {
+          job.orchestrator.release();
+        }
+        this.emit('job', { type: 'finished', job: this.serializeJob(job) });
+      }
+    }
+  }
+
+  /**
+   * Keep job state in sync with orchestrator progress events
+   */
+  handleProgress(job, event) {
+    if (event.type === 'stage') {
+      const index = job.stages.findIndex(s => s.name === event.stage.name);
+      if (index > -1) {
+        job.stages[index] = event.stage;
+      } else {
+        job.stages.push(event.stage);
+      }
+    }
+
+    if (event.type === 'ocr') {
+      job.progress.ocr = {
+        document: event.document,
+        totalDocuments: event.totalDocuments,
+        page: event.page,
+        totalPages: event.totalPages,
+        progress: event.progress
+      };
+    }
+
+    if (event.type === 'row') {
+      const index = job.progress.rows.findIndex(r => r.rowNumber === event.result.rowNumber);
+      if (index > -1) {
+        job.progress.rows[index] = event.result;
+      } else {
+        job.progress.rows.push(event.result);
+      }
+    }
+
+    if (event.ticketNumber) {
+      job.ticketNumber = event.ticketNumber;
+    }
+
+    this.emit('progress', { jobId: job.id, batchId: job.batchId, event: event });
+  }
+
+  /**
+   * Full job state including live progress (for replay)
+   */
+  getSnapshot(job) {
+    return {
+      ...this.serializeJob(job),
+      progress: job.progress
+    };
+  }
+
+  /**
+   * Validated rows of a job (final results when finished, live rows while running)
+   */
+  getResults(job) {
+    const orchestrator = job.orchestrator;
+    if (orchestrator && orchestrator.validationResult) {
+      return orchestrator.reviews.applyOverrides(
+        orchestrator.validationResult.results,
+        orchestrator.reviews.getReview(job.id)
+      );
+    }
+
+    return [...job.progress.rows].sort((a, b) => a.rowNumber - b.rowNumber);
+  }
+
+  /**
+   * Overrides and sign-off state of a finished job
+   * blockingRows: ERROR / BC DOC MISSING rows without override (sign-off needs none)
+   */
+  getReview(job) {
+    const reviews = job.orchestrator ? job.orchestrator.reviews : new ReviewStore();
+    const review = reviews.getReview(job.id);
+    const results = job.orchestrator && job.orchestrator.validationResult
+      ? job.orchestrator.validationResult.results
+      : [];
+    const blockingRows = reviews.getBlockingRows(results, review).map(result => result.rowNumber);
+
+    return {
+      ...review,
+      blockingRows: blockingRows,
+      canSignOff: job.status === 'success' && !review.signOff && blockingRows.length === 0
+    };
+  }
+
+  /**
+   * Validated row of a finished job (null if the job has no such row)
+   */
+  getResultRow(job, rowNumber) {
+    if (job.status !== 'success' || !job.orchestrator.validationResult) {
+      return null;
+    }
+
+    return job.orchestrator.validationResult.results.find(result => result.rowNumber === rowNumber) || null;
+  }
+
+  /**
+   * Override a row status and re-generate the workbook
+   * @param {Object} params - { rowNumber, status, reason, user }
+   */
+  async overrideRow(job, params) {
+    const row = this.getResultRow(job, params.rowNumber);
+
+    job.orchestrator.reviews.setOverride(job.id, {
+      ...params,
+      ticketNumber: job.ticketNumber,
+      originalStatus: row.validation.overall
+    });
+
+    await this.rewriteWorkbook(job);
+    return this.getReview(job);
+  }
+
+  /**
+   * Remove a row override and re-generate the workbook
+   */
+  async removeOverride(job, rowNumber) {
+    const removed = job.orchestrator.reviews.removeOverride(job.id, rowNumber);
+    if (removed) {
+      await this.rewriteWorkbook(job);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Sign off a job (all blocking rows resolved or overridden) and re-generate the workbook
+   * @param {Object} params - { user, comment }
+   */
+  async signOff(job, params) {
+    job.signOff = job.orchestrator.reviews.signOff(job.id, job.orchestrator.validationResult.results, {
+      ...params,
+      ticketNumber: job.ticketNumber
+    });
+
+    await this.rewriteWorkbook(job);
+    return this.getReview(job);
+  }
+
+  /**
+   * Write the workbook again with the current review and notify listeners
+   */
+  async rewriteWorkbook(job) {
+    job.outputPath = await job.orchestrator.rewriteResults();
+    this.emit('job', { type: 'reviewed', job: this.serializeJob(job) });
+  }
+
+  /**
+   * Parsed BC documents of a job (review screen evidence)
+   */
+  getDocuments(job) {
+    const orchestrator = job.orchestrator;
+    if (!orchestrator) {
+      return [];
+    }
+
+    return orchestrator.parsedDocuments.map((doc, index) => ({
+      index: index,
+      ajuNumber: doc.ajuNumber,
+      fileName: doc.fileName,
+      documentType: doc.parser.getHeader().documentType,
+      pages: doc.parser.pdfData ? doc.parser.pdfData.numpages : 0,
+      isScanned: doc.parser.isScanned,
+      parseResult: doc.parser.parseResult
+    }));
+  }
+
+  /**
+   * Render a page of a job's BC document as PNG (null if document/page not available)
+   */
+  async renderDocumentPage(job, index, pageNumber) {
+    const doc = job.orchestrator ? job.orchestrator.getDocument(index) : null;
+    if (!doc || !doc.parser.pdfData) {
+      return null;
+    }
+
+    if (!(pageNumber >= 1 && pageNumber <= doc.parser.pdfData.numpages)) {
+      return null;
+    }
+
+    return doc.parser.renderPage(pageNumber);
+  }
+
+  /**
+   * Get batch by id
+   */
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * List batches, newest first
+   */
+  listBatches() {
+    return Array.from(this.batches.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Cancel a queued or running batch (running tickets are cancelled, the rest not started)
+   */
+  async cancelBatch(id) {
+    const batch = this.batches.get(id);
+    if (!batch) {
+      return null;
+    }
+
+    if (batch.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      batch.status = 'cancelled';
+      batch.finishedAt = new Date().toISOString();
+      this.emit('batch', { type: 'finished', batch: this.serializeBatch(batch) });
+    } else if (batch.status === 'running' && batch.runner) {
+      await batch.runner.cancel();
+    }
+
+    return batch;
+  }
+
+  /**
+   * Get job by id
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  listJobs(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.ticketNumber || job.ticketNumber === filter.ticketNumber)
+      .filter(job => !filter.batchId || job.batchId === filter.batchId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this.removeUploadDir(job);
+      this.emit('job', { type: 'finished', job: this.serializeJob(job) });
+      return job;
+    }
+
+    if (job.status === 'running' && job.orchestrator) {
+      await job.orchestrator.cancel();
+      return job;
+    }
+
+    return job;
+  }
+
+  /**
+   * Public representation of a job (no credentials, no internals)
+   */
+  serializeJob(job) {
+    return {
+      id: job.id,
+      mode: job.mode,
+      batchId: job.batchId,
+      ticketNumber: job.ticketNumber,
+      excelSheet: job.params.excelSheet || null,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      stages: job.stages,
+      summary: job.summary,
+      outputPath: job.outputPath,
+      signOff: job.signOff,
+      error: job.error
+    };
+  }
+
+  /**
+   * Public representation of a batch with its ticket jobs
+   */
+  serializeBatch(batch) {
+    return {
+      id: batch.id,
+      mode: batch.mode,
+      status: batch.status,
+      ticketNumbers: batch.params.ticketNumbers || [],
+      dateFrom: batch.params.dateFrom || null,
+      dateTo: batch.params.dateTo || null,
+      tabs: batch.params.tabs || null,
+      createdAt: batch.createdAt,
+      startedAt: batch.startedAt,
+      finishedAt: batch.finishedAt,
+      totals: batch.totals,
+      reportPath: batch.reportPath,
+      workbookPath: batch.workbookPath,
+      error: batch.error,
+      jobs: batch.jobIds.map(id => this.serializeJob(this.jobs.get(id)))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new JobManager();
@@ -2,9 +2,1140 @@
 // API Routes
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const router = express.Router();
 const OCRCleanup = require('../utils/cleanup-ocr');
+const jobManager = require('./job-manager');
+const QuotaLedger = require('../storage/quota-ledger');
+const HistoryStore = require('../storage/history-store');
+const ReviewStore = require('../storage/review-store');
+const ItemAliasStore = require('../storage/item-alias-store');
+const ExcelProfiles = require('../bot/excel-profiles');
+const ExcelParser = require('../bot/excel-parser');
 const logger = require('../utils/logger');
+const { parseIndonesianDate } = require('../utils/helpers');
+const { getConfig } = require('../config');
+
+// Uploaded Excel/PDF files are kept per request in their own folder under /downloads/uploads
+// (removed when the request is rejected or its jobs have finished)
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      try {
+        if (!req.uploadDir) {
+          const uploadsDir = path.join(getConfig().paths.downloads, 'uploads');
+          fs.mkdirSync(uploadsDir, { recursive: true });
+          req.uploadDir = fs.mkdtempSync(path.join(uploadsDir, `${Date.now()}-`));
+        }
+        cb(null, req.uploadDir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      cb(null, getUploadFileName(req, file.originalname));
+    }
+  })
+});
+
+/**
+ * File name for an upload, unique within the request ("bc.pdf", "bc (2).pdf", ...)
+ * BC downloads often share a name, so a second file must not overwrite the first.
+ */
+function getUploadFileName(req, originalName) {
+  const baseName = path.basename(originalName);
+  const ext = path.extname(baseName);
+  const stem = path.basename(baseName, ext);
+
+  req.uploadNames = req.uploadNames || new Set();
+
+  let fileName = baseName;
+  for (let n = 2; req.uploadNames.has(fileName.toLowerCase()); n++) {
+    fileName = `${stem} (${n})${ext}`;
+  }
+
+  req.uploadNames.add(fileName.toLowerCase());
+  return fileName;
+}
+
+/**
+ * Delete the request's upload folder (nothing of it is used by a job)
+ */
+function removeUploadDir(req) {
+  if (req.uploadDir) {
+    fs.rmSync(req.uploadDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * POST /api/verifications
+ * Start a verification job
+ *
+ * JSON body (ILS mode):
+ * {
+ *   "ticketNumber": "1889",
+ *   "username": "...",        // Falls back to ils.username config (ILS_USERNAME env)
+ *   "password": "...",        // Falls back to ils.password config (ILS_PASSWORD env)
+ *   "environment": "dev",     // Key of ils.paths config ('dev' or 'prod'), default ils.environment
+ *   "headless": true,
+ *   "operator": "...",        // Optional, stored in run history (default: username)
+ *   "excelProfile": "auto"    // Optional Excel layout profile (default: excel.profile config)
+ * }
+ *
+ * Multipart body (upload mode, no ILS access):
+ *   excel        - ILS export workbook (1 file)
+ *   pdf          - BC 2.3/4.0 PDFs (1 or more files)
+ *   ajuNumbers   - Optional JSON { "<pdf file name>": "<aju number>" }
+ *                  (otherwise Aju is detected from file name or PDF content;
+ *                  PDFs sharing a file name are kept as separate files)
+ *   ticketNumber - Optional, read from Excel if omitted
+ *   operator     - Optional, stored in run history
+ *   excelProfile - Optional Excel layout profile name or "auto"
+ *   sheet        - Optional worksheet name (default: first sheet with a known layout)
+ *   allSheets    - "true": one job per worksheet with a known layout (response has "jobs")
+ * The excel file may also be CSV/TSV (one sheet).
+ */
+router.post('/verifications', upload.fields([
+  { name: 'excel', maxCount: 1 },
+  { name: 'pdf', maxCount: 20 }
+]), async (req, res) => {
+  // Set once jobs own the uploaded files (they delete them when finished)
+  let uploadInUse = false;
+
+  try {
+    const files = req.files || {};
+    const excelProfile = req.body.excelProfile || null;
+    let params;
+
+    if (excelProfile && excelProfile !== 'auto') {
+      try {
+        new ExcelProfiles().get(excelProfile);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    if (files.excel) {
+      if (!files.pdf) {
+        return res.status(400).json({
+          success: false,
+          error: 'Both "excel" and "pdf" files are required for upload mode'
+        });
+      }
+
+      let ajuNumbers = {};
+      if (req.body.ajuNumbers) {
+        try {
+          ajuNumbers = JSON.parse(req.body.ajuNumbers);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: '"ajuNumbers" must be a JSON object of { fileName: ajuNumber }'
+          });
+        }
+      }
+
+      params = {
+        ticketNumber: req.body.ticketNumber || null,
+        operator: req.body.operator || null,
+        excelProfile: excelProfile,
+        uploadDir: req.uploadDir,
+        excelPath: files.excel[0].path,
+        excelSheet: req.body.sheet || null,
+        pdfPaths: files.pdf.map(file => ({
+          path: file.path,
+          ajuNumber: ajuNumbers[file.originalname] || null
+        }))
+      };
+
+      if (req.body.allSheets === 'true') {
+        let sheets;
+        try {
+          sheets = await new ExcelParser(params.excelPath, undefined, { profile: excelProfile }).listTicketSheets();
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: `Cannot read ${files.excel[0].originalname}: ${error.message}`
+          });
+        }
+
+        if (sheets.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: `No worksheet with a known layout in ${files.excel[0].originalname}`
+          });
+        }
+
+        uploadInUse = true;
+        const jobs = sheets.map(sheet => jobManager.createJob({
+          ...params,
+          ticketNumber: sheet.ticketNumber,
+          excelSheet: sheet.sheet
+        }));
+
+        return res.status(202).json({
+          success: true,
+          jobs: jobs.map(job => jobManager.serializeJob(job))
+        });
+      }
+    } else {
+      const { ticketNumber, username, password, environment, headless, operator } = req.body;
+
+      if (!ticketNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'ticketNumber is required (or upload "excel" and "pdf" files)'
+        });
+      }
+
+      const environments = Object.keys(getConfig().ils.paths);
+      if (environment && !environments.includes(environment)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown environment "${environment}" (use ${environments.join(' or ')})`
+        });
+      }
+
+      params = {
+        ticketNumber: ticketNumber,
+        username: username || getConfig().ils.username,
+        password: password || getConfig().ils.password,
+        environment: environment || getConfig().ils.environment,
+        headless: headless !== undefined ? headless === true || headless === 'true' : true,
+        operator: operator || null,
+        excelProfile: excelProfile
+      };
+    }
+
+    uploadInUse = !!params.uploadDir;
+    const job = jobManager.createJob(params);
+
+    res.status(202).json({
+      success: true,
+      job: jobManager.serializeJob(job)
+    });
+  } catch (error) {
+    logger.error('Failed to start verification:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    if (!uploadInUse) {
+      removeUploadDir(req);
+    }
+  }
+});
+
+/**
+ * GET /api/verifications
+ * List verification jobs (optional query: status, ticketNumber, batchId)
+ */
+router.get('/verifications', (req, res) => {
+  const jobs = jobManager.listJobs({
+    status: req.query.status,
+    ticketNumber: req.query.ticketNumber,
+    batchId: req.query.batchId
+  });
+
+  res.json({
+    success: true,
+    jobs: jobs.map(job => jobManager.serializeJob(job))
+  });
+});
+
+/**
+ * POST /api/batches
+ * Verify many tickets with one ILS login (one job per ticket, consolidated batch report)
+ *
+ * JSON body:
+ * {
+ *   "ticketNumbers": ["1889", "1890"],  // Or a comma separated string
+ *   "dateFrom": "2025-01-01",           // Instead of ticketNumbers: tickets dated in this range
+ *   "dateTo": "2025-01-31",             //   on List Scrap Activity (either end may be omitted)
+ *   "tabs": 2,                          // Tickets at the same time (default: batch.tabs config)
+ *   "username": "...", "password": "...", "environment": "dev", "headless": true,
+ *   "operator": "...", "excelProfile": "auto"
+ * }
+ */
+router.post('/batches', (req, res) => {
+  try {
+    const { dateFrom, dateTo, tabs, username, password, environment, headless, operator, excelProfile } = req.body;
+    const config = getConfig();
+
+    let ticketNumbers = req.body.ticketNumbers || [];
+    if (typeof ticketNumbers === 'string') {
+      ticketNumbers = ticketNumbers.split(/[\s,;]+/);
+    }
+    if (!Array.isArray(ticketNumbers)) {
+      return res.status(400).json({
+        success: false,
+        error: '"ticketNumbers" must be a list or a comma separated string'
+      });
+    }
+    ticketNumbers = ticketNumbers.map(ticket => ticket.toString().trim()).filter(Boolean);
+
+    const problems = [];
+    if (ticketNumbers.length === 0 && !dateFrom && !dateTo) {
+      problems.push('ticketNumbers or dateFrom/dateTo is required');
+    }
+    if (ticketNumbers.length > 0 && (dateFrom || dateTo)) {
+      problems.push('give either ticketNumbers or dateFrom/dateTo, not both');
+    }
+    if (ticketNumbers.length > config.batch.maxTickets) {
+      problems.push(`${ticketNumbers.length} tickets exceed the batch limit of ${config.batch.maxTickets}`);
+    }
+    [['dateFrom', dateFrom], ['dateTo', dateTo]].forEach(([name, value]) => {
+      if (value && !parseIndonesianDate(value)) {
+        problems.push(`${name} "${value}" is not a date (use YYYY-MM-DD or DD-MM-YYYY)`);
+      }
+    });
+    if (tabs !== undefined && !(Number.isInteger(Number(tabs)) && Number(tabs) >= 1 && Number(tabs) <= 10)) {
+      problems.push('tabs must be a whole number from 1 to 10');
+    }
+    if (environment && !Object.keys(config.ils.paths).includes(environment)) {
+      problems.push(`unknown environment "${environment}" (use ${Object.keys(config.ils.paths).join(' or ')})`);
+    }
+    if (excelProfile && excelProfile !== 'auto') {
+      try {
+        new ExcelProfiles().get(excelProfile);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: problems.join('; ')
+      });
+    }
+
+    const batch = jobManager.createBatch({
+      ticketNumbers: ticketNumbers,
+      dateFrom: dateFrom || null,
+      dateTo: dateTo || null,
+      tabs: tabs !== undefined ? Number(tabs) : null,
+      username: username || config.ils.username,
+      password: password || config.ils.password,
+      environment: environment || config.ils.environment,
+      headless: headless !== undefined ? headless === true || headless === 'true' : true,
+      operator: operator || null,
+      excelProfile: excelProfile || null
+    });
+
+    res.status(202).json({
+      success: true,
+      batch: jobManager.serializeBatch(batch)
+    });
+  } catch (error) {
+    logger.error('Failed to start batch:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/batches
+ * List batches, newest first
+ */
+router.get('/batches', (req, res) => {
+  res.json({
+    success: true,
+    batches: jobManager.listBatches().map(batch => jobManager.serializeBatch(batch))
+  });
+});
+
+/**
+ * GET /api/batches/:id
+ * Batch status, totals and ticket jobs
+ */
+router.get('/batches/:id', (req, res) => {
+  const batch = jobManager.getBatch(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    batch: jobManager.serializeBatch(batch)
+  });
+});
+
+/**
+ * GET /api/batches/:id/download
+ * Download the consolidated batch report workbook (?format=json for the JSON report)
+ */
+router.get('/batches/:id/download', (req, res) => {
+  const batch = jobManager.getBatch(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+
+  const reportPath = req.query.format === 'json' ? batch.reportPath : batch.workbookPath;
+  if (!reportPath || !fs.existsSync(reportPath)) {
+    return res.status(409).json({
+      success: false,
+      error: `Batch report not available (batch status: ${batch.status})`
+    });
+  }
+
+  res.download(reportPath, path.basename(reportPath));
+});
+
+/**
+ * DELETE /api/batches/:id
+ * Cancel a queued or running batch
+ */
+router.delete('/batches/:id', async (req, res) => {
+  try {
+    const batch = await jobManager.cancelBatch(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: jobManager.serializeBatch(batch)
+    });
+  } catch (error) {
+    logger.error('Failed to cancel batch:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/verifications/:id
+ * Job status, stages and validator summary
+ */
+router.get('/verifications/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobManager.serializeJob(job)
+  });
+});
+
+/**
+ * Job whose results are still in memory (sends 404/409 and returns null otherwise)
+ * Results of old finished jobs are released, their run is kept in history under the same id.
+ */
+function getLoadedJob(req, res) {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+
+  if (job.released) {
+    res.status(409).json({
+      success: false,
+      error: `Job results were released from memory, see GET /api/history/runs/${job.id}`
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * GET /api/verifications/:id/results
+ * Validated rows (Excel data, BC data, statuses, issues)
+ */
+router.get('/verifications/:id/results', (req, res) => {
+  const job = getLoadedJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    status: job.status,
+    results: jobManager.getResults(job)
+  });
+});
+
+/**
+ * GET /api/verifications/:id/documents
+ * Parsed BC documents of a job (Aju, type, page count)
+ */
+router.get('/verifications/:id/documents', (req, res) => {
+  const job = getLoadedJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    documents: jobManager.getDocuments(job)
+  });
+});
+
+/**
+ * GET /api/verifications/:id/documents/:index/pages/:page
+ * Rendered BC document page (PNG)
+ */
+router.get('/verifications/:id/documents/:index/pages/:page', async (req, res) => {
+  try {
+    const job = getLoadedJob(req, res);
+    if (!job) return;
+
+    const image = await jobManager.renderDocumentPage(
+      job,
+      parseInt(req.params.index),
+      parseInt(req.params.page)
+    );
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document page not found'
+      });
+    }
+
+    res.type('png').send(image);
+  } catch (error) {
+    logger.error('Failed to render document page:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Finished job for review endpoints (sends 404/409 and returns null otherwise)
+ */
+function getReviewableJob(req, res) {
+  const job = getLoadedJob(req, res);
+  if (!job) return null;
+
+  if (job.status !== 'success') {
+    res.status(409).json({
+      success: false,
+      error: `Only finished jobs can be reviewed (job status: ${job.status})`
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * GET /api/verifications/:id/review
+ * Overrides, sign-off and rows still blocking sign-off
+ */
+router.get('/verifications/:id/review', (req, res) => {
+  try {
+    const job = getLoadedJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      review: jobManager.getReview(job)
+    });
+  } catch (error) {
+    logger.error('Failed to read review:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/verifications/:id/overrides/:rowNumber
+ * Override a row status (body: status, reason, user) - workbook is re-generated
+ */
+router.put('/verifications/:id/overrides/:rowNumber', async (req, res) => {
+  try {
+    const job = getReviewableJob(req, res);
+    if (!job) return;
+
+    const rowNumber = parseInt(req.params.rowNumber);
+    const { status, reason, user } = req.body || {};
+
+    if (!ReviewStore.OVERRIDE_STATUSES.includes(status) || !reason || !user) {
+      return res.status(400).json({
+        success: false,
+        error: `status (${ReviewStore.OVERRIDE_STATUSES.join(', ')}), reason and user are required`
+      });
+    }
+
+    if (!jobManager.getResultRow(job, rowNumber)) {
+      return res.status(404).json({
+        success: false,
+        error: `Row ${req.params.rowNumber} not found in job results`
+      });
+    }
+
+    if (job.signOff) {
+      return res.status(409).json({
+        success: false,
+        error: `Job was signed off by ${job.signOff.user}, overrides are locked`
+      });
+    }
+
+    const review = await jobManager.overrideRow(job, {
+      rowNumber: rowNumber,
+      status: status,
+      reason: reason,
+      user: user
+    });
+
+    res.json({
+      success: true,
+      review: review
+    });
+  } catch (error) {
+    logger.error('Failed to override row:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/verifications/:id/overrides/:rowNumber
+ * Remove a row override - workbook is re-generated
+ */
+router.delete('/verifications/:id/overrides/:rowNumber', async (req, res) => {
+  try {
+    const job = getReviewableJob(req, res);
+    if (!job) return;
+
+    if (job.signOff) {
+      return res.status(409).json({
+        success: false,
+        error: `Job was signed off by ${job.signOff.user}, overrides are locked`
+      });
+    }
+
+    const removed = await jobManager.removeOverride(job, parseInt(req.params.rowNumber));
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Row ${req.params.rowNumber} has no override`
+      });
+    }
+
+    res.json({
+      success: true,
+      review: jobManager.getReview(job)
+    });
+  } catch (error) {
+    logger.error('Failed to remove override:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/verifications/:id/signoff
+ * Sign off the ticket (body: user, comment) - refused while ERROR rows are not resolved or overridden
+ */
+router.post('/verifications/:id/signoff', async (req, res) => {
+  try {
+    const job = getReviewableJob(req, res);
+    if (!job) return;
+
+    const { user, comment } = req.body || {};
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'user is required'
+      });
+    }
+
+    const review = jobManager.getReview(job);
+
+    if (review.signOff) {
+      return res.status(409).json({
+        success: false,
+        error: `Already signed off by ${review.signOff.user}`
+      });
+    }
+
+    if (review.blockingRows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Rows ${review.blockingRows.join(', ')} are still ERROR or without BC document, resolve or override them first`,
+        blockingRows: review.blockingRows
+      });
+    }
+
+    res.json({
+      success: true,
+      review: await jobManager.signOff(job, { user: user, comment: comment })
+    });
+  } catch (error) {
+    logger.error('Failed to sign off:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tickets/:ticketNumber/signoffs
+ * Sign-offs recorded for a ticket, newest first
+ */
+router.get('/tickets/:ticketNumber/signoffs', (req, res) => {
+  try {
+    const reviews = new ReviewStore();
+
+    res.json({
+      success: true,
+      signOffs: reviews.getTicketSignOffs(req.params.ticketNumber)
+    });
+  } catch (error) {
+    logger.error('Failed to read sign-offs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/verifications/:id/download
+ * Download the annotated workbook of a finished job
+ */
+router.get('/verifications/:id/download', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (!job.outputPath || !fs.existsSync(job.outputPath)) {
+    return res.status(409).json({
+      success: false,
+      error: `Result workbook not available (job status: ${job.status})`
+    });
+  }
+
+  res.download(job.outputPath, path.basename(job.outputPath));
+});
+
+/**
+ * DELETE /api/verifications/:id
+ * Cancel a queued or running job
+ */
+router.delete('/verifications/:id', async (req, res) => {
+  try {
+    const job = await jobManager.cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobManager.serializeJob(job)
+    });
+  } catch (error) {
+    logger.error('Failed to cancel job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Query filters shared by history endpoints
+ * ticketNumber, ajuNumber, itemCode, status, from, to (YYYY-MM-DD or ISO), limit, offset
+ */
+function getHistoryFilter(query) {
+  return {
+    ticketNumber: query.ticketNumber,
+    ajuNumber: query.ajuNumber,
+    itemCode: query.itemCode,
+    status: query.status,
+    from: query.from,
+    to: query.to,
+    limit: query.limit,
+    offset: query.offset
+  };
+}
+
+/**
+ * GET /api/history/runs
+ * Past runs, newest first (status = run status: success, failed, cancelled)
+ */
+router.get('/history/runs', async (req, res) => {
+  try {
+    const history = new HistoryStore();
+    const runs = await history.listRuns(getHistoryFilter(req.query));
+
+    res.json({
+      success: true,
+      runs: runs
+    });
+  } catch (error) {
+    logger.error('Failed to query run history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/runs/:id
+ * One run with BC documents, every validated row and reviewer overrides / sign-off
+ */
+router.get('/history/runs/:id', async (req, res) => {
+  try {
+    const history = new HistoryStore();
+    const run = await history.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run: run,
+      review: new ReviewStore().getReview(req.params.id)
+    });
+  } catch (error) {
+    logger.error('Failed to query run history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/items
+ * Validated rows across runs (status = row status: OK, WARNING, ERROR, BC DOC MISSING)
+ */
+router.get('/history/items', async (req, res) => {
+  try {
+    const history = new HistoryStore();
+    const items = await history.listItems(getHistoryFilter(req.query));
+
+    res.json({
+      success: true,
+      items: items
+    });
+  } catch (error) {
+    logger.error('Failed to query run history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quota
+ * List quota ledger entries (optional query: ajuNumber, ticketNumber)
+ */
+router.get('/quota', (req, res) => {
+  try {
+    const ledger = new QuotaLedger();
+    const entries = ledger.listEntries({
+      ajuNumber: req.query.ajuNumber,
+      ticketNumber: req.query.ticketNumber
+    });
+
+    res.json({
+      success: true,
+      entries: entries
+    });
+  } catch (error) {
+    logger.error('Failed to read quota ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quota/:ajuNumber/:seri
+ * Consumed and remaining qty of one BC seri, with the tickets that consumed it
+ */
+router.get('/quota/:ajuNumber/:seri', (req, res) => {
+  try {
+    const ledger = new QuotaLedger();
+    const entry = ledger.getEntry(req.params.ajuNumber, req.params.seri);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `No quota recorded for Aju ${req.params.ajuNumber} seri ${req.params.seri}`
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: entry
+    });
+  } catch (error) {
+    logger.error('Failed to read quota ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/quota/tickets/:ticketNumber
+ * Release all qty consumed by a ticket (e.g. ticket rejected or cancelled in ILS)
+ */
+router.delete('/quota/tickets/:ticketNumber', (req, res) => {
+  try {
+    const ledger = new QuotaLedger();
+    const changed = ledger.removeTicket(req.params.ticketNumber);
+
+    res.json({
+      success: true,
+      removed: changed,
+      message: changed > 0
+        ? `Released ticket ${req.params.ticketNumber} from ${changed} seri`
+        : `Ticket ${req.params.ticketNumber} has no recorded quota`
+    });
+  } catch (error) {
+    logger.error('Failed to update quota ledger:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/excel-profiles
+ * List Excel layout profiles ("default" from config plus paths.excelProfiles/*.json)
+ */
+router.get('/excel-profiles', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultProfile: getConfig().excel.profile,
+      profiles: new ExcelProfiles().list()
+    });
+  } catch (error) {
+    logger.error('Failed to read Excel profiles:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/aliases
+ * List item code aliases (optional query: internalCode, bcKodeBarang, hsCode)
+ */
+router.get('/aliases', (req, res) => {
+  try {
+    const aliases = new ItemAliasStore();
+
+    res.json({
+      success: true,
+      aliases: aliases.list({
+        internalCode: req.query.internalCode,
+        bcKodeBarang: req.query.bcKodeBarang,
+        hsCode: req.query.hsCode
+      })
+    });
+  } catch (error) {
+    logger.error('Failed to read item aliases:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/aliases
+ * Add an alias (body: internalCode, bcKodeBarang and/or hsCode, note, user)
+ */
+router.post('/aliases', (req, res) => {
+  const { internalCode, bcKodeBarang, hsCode, note, user } = req.body || {};
+  const aliases = new ItemAliasStore();
+
+  let alias;
+  try {
+    alias = aliases.cleanAlias({ internalCode, bcKodeBarang, hsCode, note });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    res.status(201).json({
+      success: true,
+      alias: aliases.add(alias, user ? `api:${user}` : 'api')
+    });
+  } catch (error) {
+    logger.error('Failed to save item alias:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/aliases/:id
+ * Update an alias (body: any of internalCode, bcKodeBarang, hsCode, note, plus user)
+ */
+router.put('/aliases/:id', (req, res) => {
+  const { user, ...changes } = req.body || {};
+  const aliases = new ItemAliasStore();
+  const existing = aliases.get(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alias not found'
+    });
+  }
+
+  try {
+    aliases.cleanAlias({ ...existing, ...changes });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      alias: aliases.update(req.params.id, changes, user ? `api:${user}` : 'api')
+    });
+  } catch (error) {
+    logger.error('Failed to update item alias:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/aliases/:id
+ * Remove an alias
+ */
+router.delete('/aliases/:id', (req, res) => {
+  try {
+    const aliases = new ItemAliasStore();
+
+    if (!aliases.remove(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alias not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alias removed'
+    });
+  } catch (error) {
+    logger.error('Failed to remove item alias:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/aliases/import
+ * Import aliases from an uploaded CSV/TSV/xlsx file
+ *
+ * Multipart body:
+ *   file    - header row with internal code, BC kode barang and/or HS code columns (optional note)
+ *   replace - "true" to drop aliases imported earlier from a file with the same name
+ */
+router.post('/aliases/import', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: '"file" (CSV, TSV or xlsx) is required'
+    });
+  }
+
+  try {
+    const aliases = new ItemAliasStore();
+    const result = await aliases.importFile(req.file.path, {
+      fileName: req.file.originalname,
+      replace: req.body.replace === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Failed to import item aliases:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
+    removeUploadDir(req);
+  }
+});
 
 /**
  * GET /api/cleanup/stats
@@ -34,8 +1165,8 @@ router.get('/cleanup/stats', async (req, res) => {
  *
  * Body (optional):
  * {
- *   "maxAge": 7,        // Days to keep files (default: 7)
- *   "maxFiles": 50,     // Max files to keep (default: 50)
+ *   "maxAge": 7,        // Days to keep files (default: cleanup.maxAge config)
+ *   "maxFiles": 50,     // Max files to keep (default: cleanup.maxFiles config)
  *   "dryRun": false     // If true, only simulate (default: false)
  * }
  */
@@ -44,12 +1175,12 @@ router.post('/cleanup/run', async (req, res) => {
     const { maxAge, maxFiles, dryRun } = req.body;
 
     const cleanup = new OCRCleanup({
-      maxAge: maxAge || 7,
-      maxFiles: maxFiles || 50,
+      maxAge: maxAge,
+      maxFiles: maxFiles,
       dryRun: dryRun || false
     });
 
-    logger.info(`Running manual cleanup (maxAge: ${maxAge || 7} days, maxFiles: ${maxFiles || 50}, dryRun: ${dryRun || false})`);
+    logger.info(`Running manual cleanup (maxAge: ${cleanup.maxAge} days, maxFiles: ${cleanup.maxFiles}, dryRun: ${dryRun || false})`);
 
     const results = await cleanup.cleanupAll();
 
@@ -76,8 +1207,8 @@ router.post('/cleanup/ocr-results', async (req, res) => {
     const { maxAge, maxFiles, dryRun } = req.body;
 
     const cleanup = new OCRCleanup({
-      maxAge: maxAge || 7,
-      maxFiles: maxFiles || 50,
+      maxAge: maxAge,
+      maxFiles: maxFiles,
       dryRun: dryRun || false
     });
 
@@ -106,6 +1237,36 @@ router.get('/', (req, res) => {
     name: 'ILS Verification Bot API',
     version: '1.0.0',
     endpoints: {
+      'POST /api/verifications': 'Start verification (ticket number or uploaded Excel + PDF)',
+      'GET /api/verifications': 'List verification jobs',
+      'GET /api/verifications/:id': 'Get job status and summary',
+      'GET /api/verifications/:id/results': 'Get validated rows of a job',
+      'GET /api/verifications/:id/documents': 'List parsed BC documents of a job',
+      'GET /api/verifications/:id/documents/:index/pages/:page': 'Render BC document page (PNG)',
+      'GET /api/verifications/:id/review': 'Get overrides, sign-off and rows blocking sign-off',
+      'PUT /api/verifications/:id/overrides/:rowNumber': 'Override row status (status, reason, user)',
+      'DELETE /api/verifications/:id/overrides/:rowNumber': 'Remove row override',
+      'POST /api/verifications/:id/signoff': 'Sign off ticket (user, comment)',
+      'GET /api/tickets/:ticketNumber/signoffs': 'List sign-offs of a ticket',
+      'GET /api/verifications/:id/download': 'Download annotated workbook',
+      'DELETE /api/verifications/:id': 'Cancel a running job',
+      'POST /api/batches': 'Verify many tickets with one login (ticket list or date range)',
+      'GET /api/batches': 'List batches',
+      'GET /api/batches/:id': 'Get batch status, totals and ticket jobs',
+      'GET /api/batches/:id/download': 'Download consolidated batch report (xlsx, ?format=json)',
+      'DELETE /api/batches/:id': 'Cancel a batch',
+      'GET /api/history/runs': 'Search past runs (ticket, Aju, item code, status, date range)',
+      'GET /api/history/runs/:id': 'Get past run with documents, rows and review',
+      'GET /api/history/items': 'Search validated rows across runs',
+      'GET /api/quota': 'List quota ledger (consumed/remaining qty per Aju + seri)',
+      'GET /api/quota/:ajuNumber/:seri': 'Get quota of one BC seri',
+      'DELETE /api/quota/tickets/:ticketNumber': 'Release qty consumed by a ticket',
+      'GET /api/excel-profiles': 'List Excel layout profiles',
+      'GET /api/aliases': 'List item code aliases (internal code ↔ BC kode barang / HS code)',
+      'POST /api/aliases': 'Add item code alias',
+      'PUT /api/aliases/:id': 'Update item code alias',
+      'DELETE /api/aliases/:id': 'Remove item code alias',
+      'POST /api/aliases/import': 'Import item code aliases from CSV/TSV/xlsx',
       'GET /api/cleanup/stats': 'Get cleanup statistics',
       'POST /api/cleanup/run': 'Run full cleanup',
       'POST /api/cleanup/ocr-results': 'Clean up OCR results only'
@@ -113,4 +1274,14 @@ router.get('/', (req, res) => {
   });
 });
 
+// Upload rejected by multer (too many files, unexpected field): client error, drop what was written
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    error.status = 400;
+  }
+
+  removeUploadDir(req);
+  next(error);
+});
+
 module.exports = router;
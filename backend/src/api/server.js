@@ -0,0 +1,70 @@
+// backend/src/api/server.js
+// Express server - API + frontend build
+
+const express = require('express');
+const cors = require('cors');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const routes = require('./routes');
+const ProgressSocket = require('./websocket');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+
+const app = express();
+
+app.use(cors());
+app.use(express.json());
+
+// API routes
+app.use('/api', routes);
+
+// Serve frontend build if available
+const frontendDist = path.join(__dirname, '../../..', 'frontend', 'dist');
+if (fs.existsSync(frontendDist)) {
+  app.use(express.static(frontendDist));
+  app.get(/^\/(?!api).*/, (req, res) => {
+    res.sendFile(path.join(frontendDist, 'index.html'));
+  });
+}
+
+// Error handler (multer, JSON parse errors, etc)
+// Client errors carry their status (400 set by the routes and body parser), anything else is a server fault
+app.use((error, req, res, next) => {
+  logger.error('Request failed:', error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+});
+
+/**
+ * Start HTTP server
+ */
+function start(port = null) {
+  // Fail fast on invalid configuration
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  port = port || config.server.port;
+  const server = http.createServer(app);
+  server.progressSocket = new ProgressSocket(server);
+  server.on('close', () => server.progressSocket.close());
+
+  server.listen(port, () => {
+    logger.success(`✅ ILS Verification Bot API listening on port ${port}`);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start };
@@ -0,0 +1,192 @@
+// backend/src/api/websocket.js
+// Live job progress over WebSocket
+
+const { WebSocketServer } = require('ws');
+const defaultJobManager = require('./job-manager');
+const logger = require('../utils/logger');
+
+const ALL_JOBS = '*';
+
+/**
+ * Protocol (JSON messages)
+ *
+ * Client → server:
+ *   { "action": "subscribe", "jobId": "<id>" }    // Follow one job
+ *   { "action": "subscribe", "jobId": "*" }       // Follow all jobs (recently finished ones are replayed too)
+ *   { "action": "subscribe", "jobId": "<batch id>" } // Follow a batch and its ticket jobs
+ *   { "action": "unsubscribe", "jobId": "<id>" }
+ *
+ * Server → client:
+ *   { "type": "snapshot", "job": {...} }                        // Current state (replay)
+ *   { "type": "job", "event": "queued|started|finished|reviewed", "job": {...} }
+ *   { "type": "progress", "jobId": "<id>", "event": {...} }     // stage | ocr | row | complete
+ *   { "type": "batch", "event": "snapshot|queued|started|tickets|finished", "batch": {...} }
+ *   { "type": "error", "error": "..." }
+ *
+ * A subscription can also be given on connect: ws://host/ws?jobId=<id>
+ */
+class ProgressSocket {
+  constructor(server, jobManager = defaultJobManager) {
+    this.jobManager = jobManager;
+    this.wss = new WebSocketServer({ server: server, path: '/ws' });
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.onJob = (payload) => this.broadcast([payload.job.id, payload.job.batchId], {
+      type: 'job',
+      event: payload.type,
+      job: payload.job
+    });
+    this.onProgress = (payload) => this.broadcast([payload.jobId, payload.batchId], {
+      type: 'progress',
+      jobId: payload.jobId,
+      event: payload.event
+    });
+    this.onBatch = (payload) => this.broadcast(payload.batch.id, {
+      type: 'batch',
+      event: payload.type,
+      batch: payload.batch
+    });
+
+    this.jobManager.on('job', this.onJob);
+    this.jobManager.on('progress', this.onProgress);
+    this.jobManager.on('batch', this.onBatch);
+
+    // Drop clients that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, 30000);
+
+    logger.info('WebSocket progress channel ready on /ws');
+  }
+
+  /**
+   * Setup new client connection
+   */
+  handleConnection(ws, req) {
+    ws.isAlive = true;
+    ws.subscriptions = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => this.handleMessage(ws, data));
+
+    ws.on('error', (error) => {
+      logger.warn('WebSocket client error:', error.message);
+    });
+
+    const url = new URL(req.url, 'http://localhost');
+    const jobId = url.searchParams.get('jobId');
+    if (jobId) {
+      this.subscribe(ws, jobId);
+    }
+
+    logger.debug(`WebSocket client connected (total: ${this.wss.clients.size})`);
+  }
+
+  /**
+   * Handle client message
+   */
+  handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.send(ws, { type: 'error', error: 'Invalid JSON message' });
+      return;
+    }
+
+    if (!message.jobId) {
+      this.send(ws, { type: 'error', error: 'jobId is required' });
+      return;
+    }
+
+    if (message.action === 'subscribe') {
+      this.subscribe(ws, message.jobId);
+    } else if (message.action === 'unsubscribe') {
+      ws.subscriptions.delete(message.jobId);
+    } else {
+      this.send(ws, { type: 'error', error: `Unknown action: ${message.action}` });
+    }
+  }
+
+  /**
+   * Subscribe client and replay current state
+   */
+  subscribe(ws, jobId) {
+    if (jobId === ALL_JOBS) {
+      ws.subscriptions.add(ALL_JOBS);
+
+      // Replay active jobs and finished ones whose results are still kept (server.keepJobs / jobRetention)
+      this.jobManager.listJobs()
+        .filter(job => !job.released)
+        .forEach(job => this.send(ws, { type: 'snapshot', job: this.jobManager.getSnapshot(job) }));
+      return;
+    }
+
+    const batch = this.jobManager.getBatch(jobId);
+    if (batch) {
+      ws.subscriptions.add(jobId);
+      this.send(ws, { type: 'batch', event: 'snapshot', batch: this.jobManager.serializeBatch(batch) });
+      return;
+    }
+
+    const job = this.jobManager.getJob(jobId);
+    if (!job) {
+      this.send(ws, { type: 'error', error: `Job not found: ${jobId}` });
+      return;
+    }
+
+    ws.subscriptions.add(jobId);
+    this.send(ws, { type: 'snapshot', job: this.jobManager.getSnapshot(job) });
+  }
+
+  /**
+   * Send message to every client following the job (or one of the given ids, e.g. job + its batch)
+   */
+  broadcast(ids, message) {
+    const payload = JSON.stringify(message);
+    const keys = [ALL_JOBS].concat(ids).filter(Boolean);
+
+    this.wss.clients.forEach(ws => {
+      if (ws.subscriptions && keys.some(key => ws.subscriptions.has(key))) {
+        this.sendRaw(ws, payload);
+      }
+    });
+  }
+
+  /**
+   * Send message to one client
+   */
+  send(ws, message) {
+    this.sendRaw(ws, JSON.stringify(message));
+  }
+
+  sendRaw(ws, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  }
+
+  /**
+   * Stop heartbeat and detach from job manager
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    this.jobManager.off('job', this.onJob);
+    this.jobManager.off('progress', this.onProgress);
+    this.jobManager.off('batch', this.onBatch);
+    this.wss.close();
+  }
+}
+
+module.exports = ProgressSocket;
@@ -0,0 +1,404 @@
+// backend/src/bot/batch-runner.js
+// Verify many tickets with one ILS login (sequentially or in a few tabs at a time)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const BrowserManager = require('./browser');
+const ILSSession = require('./ils-session');
+const ILSNavigator = require('./ils-navigator');
+const VerificationOrchestrator = require('./orchestrator');
+const logger = require('../utils/logger');
+const { normalizeTicketNumber, parseIndonesianDate } = require('../utils/helpers');
+const { getConfig } = require('../config');
+
+class BatchRunner {
+  constructor(options = {}) {
+    const config = options.config || getConfig();
+    this.config = config;
+
+    this.options = {
+      batchId: options.batchId || crypto.randomUUID(),
+      // Explicit ticket list, or a date range read from List Scrap Activity ("2025-01-31", "31-01-2025", ...)
+      ticketNumbers: [...new Set((options.ticketNumbers || []).map(normalizeTicketNumber).filter(Boolean))],
+      dateFrom: options.dateFrom || null,
+      dateTo: options.dateTo || null,
+      tabs: options.tabs || config.batch.tabs,
+      maxTickets: options.maxTickets || config.batch.maxTickets,
+      username: options.username || config.ils.username,
+      password: options.password || config.ils.password,
+      environment: options.environment || config.ils.environment,
+      headless: options.headless !== undefined ? options.headless : config.browser.headless,
+      resultsDir: options.resultsDir || config.paths.results,
+      ticketOptions: options.ticketOptions || {}, // Passed to every ticket's orchestrator (operator, excelProfile, ...)
+      // Ticket orchestrator factory (null skips the ticket, e.g. cancelled on its own)
+      createOrchestrator: options.createOrchestrator || (params => new VerificationOrchestrator(params)),
+      onProgress: options.onProgress || null
+    };
+
+    this.browserManager = null;
+    this.navigator = null;
+    this.session = null; // ILSSession shared by the ticket tabs
+    this.tickets = []; // { ticketNumber, status, report, error }
+    this.running = new Set(); // Orchestrators of tickets in progress
+    this.dateFrom = null;
+    this.dateTo = null;
+
+    this.status = 'pending';
+    this.cancelled = false;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.error = null;
+    this.reportPath = null;
+    this.workbookPath = null;
+  }
+
+  /**
+   * Notify listener (API/CLI) about batch progress
+   */
+  emitProgress(type, data = {}) {
+    if (!this.options.onProgress) return;
+
+    try {
+      this.options.onProgress({
+        type: type,
+        batchId: this.options.batchId,
+        timestamp: new Date().toISOString(),
+        ...data
+      });
+    } catch (error) {
+      logger.warn('Progress listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Date range option as Date (null = open end)
+   */
+  parseDate(value, name) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    const date = parseIndonesianDate(value);
+    if (!date) {
+      throw new Error(`Invalid ${name} "${value}" (use YYYY-MM-DD or DD-MM-YYYY)`);
+    }
+    return date;
+  }
+
+  /**
+   * Check options before the browser is started
+   */
+  checkOptions() {
+    const { ticketNumbers, dateFrom, dateTo, username, password } = this.options;
+
+    if (ticketNumbers.length === 0 && !dateFrom && !dateTo) {
+      throw new Error('Ticket numbers or a date range (dateFrom/dateTo) are required');
+    }
+    if (ticketNumbers.length > 0 && (dateFrom || dateTo)) {
+      throw new Error('Give either ticket numbers or a date range, not both');
+    }
+    if (!username || !password) {
+      throw new Error('ILS username and password are required');
+    }
+
+    this.dateFrom = this.parseDate(dateFrom, 'dateFrom');
+    this.dateTo = this.parseDate(dateTo, 'dateTo');
+    if (this.dateFrom && this.dateTo && this.dateFrom > this.dateTo) {
+      throw new Error('dateFrom is after dateTo');
+    }
+
+    this.checkTicketCount(ticketNumbers.length);
+  }
+
+  /**
+   * Refuse batches above batch.maxTickets
+   */
+  checkTicketCount(count) {
+    if (count > this.options.maxTickets) {
+      throw new Error(`${count} tickets exceed the batch limit of ${this.options.maxTickets} (batch.maxTickets)`);
+    }
+  }
+
+  /**
+   * Launch browser and log into ILS once for the whole batch
+   */
+  async login() {
+    const { username, password, headless, environment } = this.options;
+
+    this.browserManager = new BrowserManager(this.config);
+    await this.browserManager.launch({ headless: headless });
+    const page = await this.browserManager.newPage();
+
+    // Shared by every ticket's tab: one cookie jar, one re-login budget for the batch
+    this.session = new ILSSession(this.browserManager, { environment, username, password }, this.config);
+    await this.session.login(page);
+
+    this.navigator = new ILSNavigator(page, environment, this.config);
+    this.navigator.useSession(this.session);
+  }
+
+  /**
+   * Ticket list: given numbers, or tickets dated in the range on List Scrap Activity
+   */
+  async resolveTickets() {
+    if (this.options.ticketNumbers.length > 0) {
+      return this.options.ticketNumbers;
+    }
+
+    await this.navigator.withSession(() => this.navigator.navigateToScrapList());
+    const ticketNumbers = await this.navigator.withSession(() =>
+      this.navigator.listTickets({ dateFrom: this.dateFrom, dateTo: this.dateTo })
+    );
+
+    if (ticketNumbers.length === 0) {
+      throw new Error(`No tickets in Scrap list between ${this.formatDate(this.dateFrom) || 'start'} ` +
+        `and ${this.formatDate(this.dateTo) || 'today'}`);
+    }
+    this.checkTicketCount(ticketNumbers.length);
+
+    return ticketNumbers;
+  }
+
+  /**
+   * Run the batch; a failed ticket does not stop the others
+   * @returns {Promise<Object>} batch report (see getReport)
+   */
+  async run() {
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    logger.info('='.repeat(60));
+    logger.info(`BATCH START - ${this.options.batchId}`);
+    logger.info('='.repeat(60));
+
+    try {
+      this.checkOptions();
+      await this.login();
+
+      const ticketNumbers = await this.resolveTickets();
+      this.tickets = ticketNumbers.map(ticketNumber => ({
+        ticketNumber: ticketNumber,
+        status: 'queued',
+        report: null,
+        error: null
+      }));
+
+      const tabs = Math.min(this.options.tabs, this.tickets.length);
+      logger.info(`📦 ${this.tickets.length} ticket(s), ${tabs} at a time: ${ticketNumbers.join(', ')}`);
+      this.emitProgress('tickets', { ticketNumbers: ticketNumbers });
+
+      await Promise.all(Array.from({ length: tabs }, () => this.runWorker()));
+
+      if (this.cancelled) {
+        throw new Error('Batch cancelled');
+      }
+      this.status = 'success';
+      logger.success(`✅ BATCH COMPLETE - ${this.options.batchId}`);
+    } catch (error) {
+      this.status = this.cancelled ? 'cancelled' : 'failed';
+      this.error = error.message;
+      logger.error(`❌ BATCH ${this.status.toUpperCase()} - ${this.options.batchId}:`, error.message);
+    } finally {
+      if (this.browserManager) {
+        await this.browserManager.close().catch(() => {});
+      }
+      this.tickets
+        .filter(ticket => ticket.status === 'queued')
+        .forEach(ticket => { ticket.status = 'cancelled'; });
+      this.finishedAt = new Date().toISOString();
+    }
+
+    try {
+      await this.writeReport();
+    } catch (error) {
+      logger.warn('Batch report not written:', error.message);
+    }
+
+    const report = this.getReport();
+    this.emitProgress('complete', { report: report });
+    return report;
+  }
+
+  /**
+   * Take queued tickets one by one in an own tab until none are left
+   */
+  async runWorker() {
+    for (;;) {
+      const ticket = this.tickets.find(t => t.status === 'queued');
+      if (!ticket || this.cancelled) {
+        return;
+      }
+      ticket.status = 'running';
+
+      let orchestrator = null;
+      try {
+        orchestrator = this.options.createOrchestrator({
+          ...this.options.ticketOptions,
+          ticketNumber: ticket.ticketNumber,
+          environment: this.options.environment,
+          resultsDir: this.options.resultsDir,
+          session: this.session,
+          config: this.config
+        });
+
+        if (!orchestrator) {
+          ticket.status = 'cancelled';
+          continue;
+        }
+
+        this.running.add(orchestrator);
+        ticket.report = await orchestrator.run();
+        ticket.status = ticket.report.status;
+      } catch (error) {
+        ticket.status = 'failed';
+        ticket.error = error.message;
+        logger.error(`Ticket ${ticket.ticketNumber} crashed:`, error.message);
+      } finally {
+        this.running.delete(orchestrator);
+      }
+
+      const done = this.tickets.filter(t => t.status !== 'queued' && t.status !== 'running').length;
+      logger.info(`📦 Batch ${done}/${this.tickets.length}: Ticket ${ticket.ticketNumber} ${ticket.status}`);
+      this.emitProgress('ticket', { ticketNumber: ticket.ticketNumber, report: ticket.report, error: ticket.error });
+    }
+  }
+
+  /**
+   * Cancel the batch: running tickets are cancelled, queued tickets are not started
+   */
+  async cancel() {
+    if (this.status !== 'running' && this.status !== 'pending') {
+      return false;
+    }
+
+    logger.warn(`Cancelling batch ${this.options.batchId}...`);
+    this.cancelled = true;
+
+    await Promise.all(Array.from(this.running, orchestrator => orchestrator.cancel()));
+    if (this.browserManager) {
+      await this.browserManager.close().catch(() => {});
+    }
+
+    return true;
+  }
+
+  /**
+   * "2025-01-31" (null for no date)
+   */
+  formatDate(date) {
+    return date ? date.toISOString().split('T')[0] : null;
+  }
+
+  /**
+   * Batch report: one entry per ticket plus totals over all tickets and rows
+   */
+  getReport() {
+    const tickets = this.tickets.map(ticket => {
+      const report = ticket.report || {};
+      return {
+        ticketNumber: ticket.ticketNumber,
+        status: ticket.status,
+        runId: report.runId || null,
+        failedStage: report.failedStage || null,
+        error: report.error || ticket.error,
+        durationMs: report.durationMs || 0,
+        outputPath: report.outputPath || null,
+        summary: report.summary || null
+      };
+    });
+
+    const rows = { total: 0, ok: 0, warning: 0, error: 0, missingDocument: 0 };
+    tickets.filter(ticket => ticket.summary).forEach(ticket => {
+      Object.keys(rows).forEach(key => {
+        rows[key] += ticket.summary[key] || 0;
+      });
+    });
+
+    return {
+      batchId: this.options.batchId,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.startedAt ? new Date(this.finishedAt || Date.now()) - new Date(this.startedAt) : 0,
+      error: this.error,
+      dateFrom: this.formatDate(this.dateFrom),
+      dateTo: this.formatDate(this.dateTo),
+      tabs: this.options.tabs,
+      totals: {
+        tickets: tickets.length,
+        success: tickets.filter(ticket => ticket.status === 'success').length,
+        failed: tickets.filter(ticket => ticket.status === 'failed').length,
+        cancelled: tickets.filter(ticket => ticket.status === 'cancelled').length,
+        rows: rows
+      },
+      tickets: tickets,
+      reportPath: this.reportPath,
+      workbookPath: this.workbookPath
+    };
+  }
+
+  /**
+   * Write the consolidated report into the results folder (JSON + one-sheet workbook)
+   */
+  async writeReport() {
+    fs.mkdirSync(this.options.resultsDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T').join('_').substring(0, 19);
+    const baseName = path.join(this.options.resultsDir, `BATCH_${timestamp}_${this.options.batchId.substring(0, 8)}`);
+
+    this.reportPath = `${baseName}.json`;
+    this.workbookPath = `${baseName}.xlsx`;
+
+    const report = this.getReport();
+    fs.writeFileSync(this.reportPath, JSON.stringify(report, null, 2));
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Batch');
+
+    sheet.getCell('A1').value = 'BATCH VERIFICATION';
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getCell('A2').value = `Batch ${report.batchId} - ${report.status}` +
+      (report.dateFrom || report.dateTo ? ` - tickets dated ${report.dateFrom || '…'} to ${report.dateTo || '…'}` : '');
+
+    const header = sheet.getRow(4);
+    header.values = ['Ticket', 'Status', 'Items', 'OK', 'Warning', 'Error', 'BC Doc Missing', 'Success Rate',
+      'Failed Stage', 'Message', 'Result Workbook'];
+    header.font = { bold: true };
+
+    report.tickets.forEach((ticket, index) => {
+      const summary = ticket.summary || {};
+      const row = sheet.getRow(5 + index);
+      row.values = [
+        `TIKET-${ticket.ticketNumber}`,
+        ticket.status.toUpperCase(),
+        summary.total,
+        summary.ok,
+        summary.warning,
+        summary.error,
+        summary.missingDocument,
+        summary.successRate,
+        ticket.failedStage,
+        ticket.error,
+        ticket.outputPath ? path.basename(ticket.outputPath) : null
+      ];
+
+      if (ticket.status !== 'success') {
+        row.getCell(2).font = { bold: true, color: { argb: 'FFC00000' } };
+      }
+    });
+
+    const totals = sheet.getRow(5 + report.tickets.length);
+    totals.values = ['Total', `${report.totals.success}/${report.totals.tickets} OK`, report.totals.rows.total,
+      report.totals.rows.ok, report.totals.rows.warning, report.totals.rows.error, report.totals.rows.missingDocument];
+    totals.font = { bold: true };
+
+    sheet.columns.forEach((column, index) => {
+      column.width = [14, 12, 8, 8, 9, 8, 15, 13, 16, 50, 45][index];
+    });
+
+    await workbook.xlsx.writeFile(this.workbookPath);
+    logger.success(`Batch report saved to: ${this.workbookPath}`);
+  }
+}
+
+module.exports = BatchRunner;
@@ -3,11 +3,14 @@
 
 const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
+const { getConfig } = require('../config');
 
 class BrowserManager {
-  constructor() {
+  constructor(config = getConfig()) {
+    this.config = config;
     this.browser = null;
     this.pages = [];
+    this.exclusive = Promise.resolve(); // Tail of runExclusive() calls
   }
 
   /**
@@ -18,7 +21,7 @@ class BrowserManager {
       logger.info('Launching Chromium browser...');
       
       this.browser = await puppeteer.launch({
-        headless: options.headless || false,
+        headless: options.headless !== undefined ? options.headless : this.config.browser.headless,
         defaultViewport: null,
         ignoreHTTPSErrors: true, // ✅ Ignore SSL certificate errors
         args: [
@@ -51,13 +54,7 @@ class BrowserManager {
       }
 
       const page = await this.browser.newPage();
-      
-      // Set timeout
-      page.setDefaultTimeout(30000);
-      page.setDefaultNavigationTimeout(30000);
-
-      // Track page
-      this.pages.push(page);
+      this.trackPage(page);
 
       logger.info(`New page created (total: ${this.pages.length})`);
       return page;
@@ -67,6 +64,56 @@ class BrowserManager {
     }
   }
 
+  /**
+   * Wait for a tab opened by openerPage (window.open / target="_blank") and track it
+   * Start waiting before the click that opens the tab.
+   */
+  async waitForNewPage(openerPage, timeout = this.config.browser.timeout) {
+    try {
+      if (!this.browser) {
+        throw new Error('Browser not launched');
+      }
+
+      const openerTarget = openerPage.target();
+      const target = await this.browser.waitForTarget(
+        candidate => candidate.opener() === openerTarget,
+        { timeout: timeout }
+      );
+
+      const page = await target.page();
+      if (!page) {
+        throw new Error(`Opened tab is not a page: ${target.url()}`);
+      }
+      this.trackPage(page);
+
+      logger.info(`New tab opened: ${page.url()} (total: ${this.pages.length})`);
+      return page;
+    } catch (error) {
+      logger.error('Failed to attach to new tab:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply default timeouts and remember the page
+   */
+  trackPage(page) {
+    page.setDefaultTimeout(this.config.browser.timeout);
+    page.setDefaultNavigationTimeout(this.config.browser.timeout);
+
+    this.pages.push(page);
+  }
+
+  /**
+   * Run fn while no other runExclusive() call is running
+   * For browser-wide settings shared by all tabs (e.g. the download folder).
+   */
+  runExclusive(fn) {
+    const run = this.exclusive.then(() => fn());
+    this.exclusive = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Close specific page
    */
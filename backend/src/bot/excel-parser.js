@@ -2,36 +2,47 @@
 // Parse Excel files from ILS system
 
 const ExcelJS = require('exceljs');
+const fs = require('fs');
 const logger = require('../utils/logger');
 const path = require('path');
+const { getConfig } = require('../config');
+const { parseDelimited } = require('../utils/helpers');
+const ExcelProfiles = require('./excel-profiles');
+
+// Text exports read with parseDelimited instead of ExcelJS
+const DELIMITED_EXTENSIONS = ['.csv', '.tsv', '.txt'];
 
 class ExcelParser {
-  constructor(filePath) {
+  /**
+   * @param {string} filePath
+   * @param {Object} config
+   * @param {Object} options - { profile: layout profile name or "auto" (default: config excel.profile),
+   *   sheet: worksheet name (default: first sheet with a known layout) }
+   */
+  constructor(filePath, config = getConfig(), options = {}) {
     this.filePath = filePath;
+    this.profiles = new ExcelProfiles(config);
+    this.profileName = options.profile || config.excel.profile;
+    this.sheetName = options.sheet || null;
+    this.layout = null; // Resolved on load (see ExcelProfiles.resolve)
     this.workbook = null;
     this.worksheet = null;
     this.items = [];
   }
 
   /**
-   * Load Excel file
+   * Load workbook and select the worksheet (by name, else the first sheet with a known layout)
    */
   async load() {
     try {
       logger.info(`Loading Excel file: ${path.basename(this.filePath)}`);
-      
-      this.workbook = new ExcelJS.Workbook();
-      await this.workbook.xlsx.readFile(this.filePath);
-      
-      // Get first worksheet
-      this.worksheet = this.workbook.worksheets[0];
-      
-      if (!this.worksheet) {
-        throw new Error('No worksheet found in Excel file');
-      }
+
+      this.workbook = await this.readWorkbook();
+      this.selectWorksheet();
 
       logger.success(`✅ Excel loaded: ${this.worksheet.name}`);
       logger.info(`Total rows: ${this.worksheet.rowCount}`);
+      logger.info(`📐 Excel layout: ${this.layout.name} (header row ${this.layout.headerRow}, data from row ${this.layout.dataStartRow})`);
       
       return true;
     } catch (error) {
@@ -40,6 +51,112 @@ class ExcelParser {
     }
   }
 
+  /**
+   * Read .xlsx with ExcelJS; CSV/TSV/TXT becomes a one-sheet workbook (results are still written as .xlsx)
+   */
+  async readWorkbook() {
+    const ext = path.extname(this.filePath).toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+
+    if (DELIMITED_EXTENSIONS.includes(ext)) {
+      const rows = parseDelimited(this.readText(), ext === '.tsv' ? '\t' : null);
+      const sheetName = path.basename(this.filePath, ext).replace(/[[\]:*?/\\]/g, '_').substring(0, 31);
+      const worksheet = workbook.addWorksheet(sheetName || 'Sheet1');
+      rows.forEach(cells => worksheet.addRow(cells));
+
+      logger.info(`Read ${rows.length} rows from ${ext.substring(1).toUpperCase()} file`);
+      return workbook;
+    }
+
+    if (ext === '.xls') {
+      throw new Error('Legacy .xls files are not supported, save the file as .xlsx or CSV');
+    }
+
+    await workbook.xlsx.readFile(this.filePath);
+    if (workbook.worksheets.length === 0) {
+      throw new Error('No worksheet found in Excel file');
+    }
+    return workbook;
+  }
+
+  /**
+   * Text of a CSV/TSV file (UTF-16 from Excel "Unicode Text", else UTF-8)
+   */
+  readText() {
+    const buffer = fs.readFileSync(this.filePath);
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return buffer.toString('utf16le'); // BOM removed by parseDelimited
+    }
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Set worksheet + layout: the named sheet, else the first sheet whose layout resolves
+   */
+  selectWorksheet() {
+    const worksheets = this.workbook.worksheets;
+
+    if (this.sheetName) {
+      const worksheet = worksheets.find(ws => ws.name.trim().toLowerCase() === this.sheetName.trim().toLowerCase());
+      if (!worksheet) {
+        throw new Error(`Worksheet "${this.sheetName}" not found (sheets: ${worksheets.map(ws => ws.name).join(', ')})`);
+      }
+
+      this.worksheet = worksheet;
+      this.layout = this.profiles.resolve(worksheet, this.profileName);
+      return this.worksheet;
+    }
+
+    const problems = [];
+    for (const worksheet of worksheets) {
+      try {
+        this.layout = this.profiles.resolve(worksheet, this.profileName);
+        this.worksheet = worksheet;
+
+        if (worksheets.length > 1) {
+          logger.info(`Using worksheet "${worksheet.name}" (${worksheets.length} sheets in workbook)`);
+        }
+        return this.worksheet;
+      } catch (error) {
+        problems.push(worksheets.length > 1 ? `${worksheet.name}: ${error.message}` : error.message);
+      }
+    }
+
+    throw new Error(worksheets.length > 1
+      ? `No worksheet with a known layout:\n  - ${problems.join('\n  - ')}`
+      : problems[0]);
+  }
+
+  /**
+   * Worksheets with a known layout, each a separate ticket
+   * @returns {Array} [{ sheet, profile, ticketNumber, rows }]
+   */
+  async listTicketSheets() {
+    if (!this.workbook) {
+      this.workbook = await this.readWorkbook();
+    }
+
+    const sheets = [];
+    this.workbook.worksheets.forEach(worksheet => {
+      try {
+        const layout = this.profiles.resolve(worksheet, this.profileName);
+        const found = this.findTicketNumber(worksheet, layout);
+
+        sheets.push({
+          sheet: worksheet.name,
+          profile: layout.name,
+          ticketNumber: found ? found.ticketNumber : null,
+          rows: Math.max(worksheet.rowCount - layout.dataStartRow + 1, 0)
+        });
+      } catch (error) {
+        logger.debug(`Worksheet "${worksheet.name}" skipped: ${error.message}`);
+      }
+    });
+
+    return sheets;
+  }
+
   /**
    * Get cell value safely
    */
@@ -53,29 +170,24 @@ class ExcelParser {
   }
 
   /**
-   * Parse ticket number from Row 2
+   * Parse ticket number: profile's ticket cell (default A2), cells above the header row,
+   * then sheet name and file name (CSV exports from the ILS list screen have no ticket cell)
    */
   getTicketNumber() {
     try {
-      // Row 2: "Ticket Number : TIKET-1889"
-      const cellValue = this.getCellValue(2, 'A');
-      
-      if (!cellValue) {
-        logger.warn('Ticket number not found in Row 2');
+      const found = this.findTicketNumber(this.worksheet, this.layout);
+
+      if (!found) {
+        logger.warn(`Ticket number not found (${this.layout.ticketCell || 'no ticket cell'}, rows above header row ${this.layout.headerRow}, sheet or file name)`);
         return null;
       }
 
-      const ticketString = cellValue.toString();
-      const match = ticketString.match(/TIKET[- ]?(\d+)/i);
-      
-      if (match) {
-        const ticketNo = match[1];
-        logger.info(`Ticket Number: ${ticketNo}`);
-        return ticketNo;
+      if (found.source === this.layout.ticketCell) {
+        logger.info(`Ticket Number: ${found.ticketNumber}`);
+      } else {
+        logger.warn(`Ticket number not in ${this.layout.ticketCell || 'ticket cell'}, found in ${found.source}: ${found.ticketNumber}`);
       }
-
-      logger.warn('Could not parse ticket number from:', ticketString);
-      return null;
+      return found.ticketNumber;
     } catch (error) {
       logger.error('Error parsing ticket number:', error.message);
       return null;
@@ -83,20 +195,62 @@ class ExcelParser {
   }
 
   /**
-   * Parse all items starting from Row 5
-   * Columns: B=ItemCode, C=ItemName, J=Qty, AD=AjuNumber, AG=SeriBarang
+   * Ticket number of a worksheet
+   * @returns {Object|null} { ticketNumber, source }
+   */
+  findTicketNumber(worksheet, layout) {
+    // Default A2: "Ticket Number : TIKET-1889"
+    if (layout.ticketCell) {
+      const ticketNo = this.matchTicketNumber(worksheet.getCell(layout.ticketCell).text);
+      if (ticketNo) {
+        return { ticketNumber: ticketNo, source: layout.ticketCell };
+      }
+    }
+
+    for (let rowNum = 1; rowNum < layout.headerRow; rowNum++) {
+      let found = null;
+      worksheet.getRow(rowNum).eachCell(cell => {
+        found = found || this.matchTicketNumber(cell.text);
+      });
+
+      if (found) {
+        return { ticketNumber: found, source: `row ${rowNum}` };
+      }
+    }
+
+    const fromSheet = this.matchTicketNumber(worksheet.name);
+    if (fromSheet) {
+      return { ticketNumber: fromSheet, source: `sheet name "${worksheet.name}"` };
+    }
+
+    const fromFile = this.matchTicketNumber(path.basename(this.filePath));
+    return fromFile ? { ticketNumber: fromFile, source: 'file name' } : null;
+  }
+
+  /**
+   * "TIKET-1889" → "1889" (null if the text has no ticket number)
+   */
+  matchTicketNumber(text) {
+    const match = (text || '').match(/TIKET[- ]?(\d+)/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse all items starting from the layout's data start row
+   * Default columns: B=ItemCode, C=ItemName, J=Qty, K=Unit, AD=AjuNumber, AG=SeriBarang
    */
   parseItems() {
     try {
       logger.info('Parsing items from Excel...');
       
+      const columns = this.layout.columns;
       this.items = [];
-      let rowNum = 5; // Start from row 5 (after headers)
+      let rowNum = this.layout.dataStartRow;
       let emptyRowCount = 0;
-      const maxEmptyRows = 3; // Stop after 3 consecutive empty rows
+      const maxEmptyRows = this.layout.maxEmptyRows; // Stop after N consecutive empty rows
 
       while (emptyRowCount < maxEmptyRows && rowNum <= this.worksheet.rowCount) {
-        const itemCode = this.getCellValue(rowNum, 'B');
+        const itemCode = this.getCellValue(rowNum, columns.itemCode);
         
         // If Item Code is empty, increment empty counter
         if (!itemCode || itemCode.toString().trim() === '') {
@@ -108,10 +262,12 @@ class ExcelParser {
         // Reset empty counter if we found data
         emptyRowCount = 0;
 
-        const itemName = this.getCellValue(rowNum, 'C');
-        const qty = this.getCellValue(rowNum, 'J');
-        const ajuNumber = this.getCellValue(rowNum, 'AD');
-        const seriBarang = this.getCellValue(rowNum, 'AG');
+        const itemName = columns.itemName ? this.getCellValue(rowNum, columns.itemName) : null;
+        const qty = this.getCellValue(rowNum, columns.qty);
+        const unit = columns.unit ? this.getCellValue(rowNum, columns.unit) : null;
+        const ajuNumber = this.getCellValue(rowNum, columns.ajuNumber);
+        const seriBarang = this.getCellValue(rowNum, columns.seriBarang);
+        const hsCode = columns.hsCode ? this.getCellValue(rowNum, columns.hsCode) : null;
 
         // Parse qty to number
         let qtyNum = 0;
@@ -138,6 +294,8 @@ class ExcelParser {
           itemCode: itemCode ? itemCode.toString().trim() : '',
           itemName: itemName ? itemName.toString().trim() : '',
           qty: qtyNum,
+          unit: unit ? unit.toString().trim() : null,
+          hsCode: hsCode ? hsCode.toString().trim() : null,
           ajuNumber: ajuNumber ? ajuNumber.toString().trim() : '',
           seriBarang: seriNum
         };
@@ -249,6 +407,13 @@ class ExcelParser {
     return this.items;
   }
 
+  /**
+   * Get resolved layout profile (after load)
+   */
+  getLayout() {
+    return this.layout;
+  }
+
   /**
    * Get workbook for writing
    */
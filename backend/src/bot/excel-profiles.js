@@ -0,0 +1,284 @@
+// backend/src/bot/excel-profiles.js
+// Excel layout profiles (header row, data start row, column mapping) and header detection
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+
+// Header texts per field (lowercase letters/digits only), extended by profile "headers"
+const HEADER_NAMES = {
+  itemCode: ['itemcode', 'kodeitem', 'partnumber', 'partno'],
+  itemName: ['itemname', 'namabarang', 'namaitem', 'description', 'deskripsi'],
+  qty: ['qty', 'quantity', 'jumlah'],
+  unit: ['unit', 'uom', 'satuan'],
+  ajuNumber: ['noaju', 'nomoraju', 'aju', 'ajunumber', 'nomorpengajuan'],
+  seriBarang: ['seribarang', 'seri', 'noseri', 'seriitem'],
+  hsCode: ['hscode', 'hs', 'postarif', 'postarifhs']
+};
+
+// Columns a layout must have (item name, unit and HS code are optional)
+const REQUIRED_FIELDS = ['itemCode', 'qty', 'ajuNumber', 'seriBarang'];
+
+// Rows searched for the header row
+const HEADER_SCAN_ROWS = 20;
+
+const COLUMN_PATTERN = /^[A-Z]{1,3}$/;
+const CELL_PATTERN = /^[A-Z]{1,3}\d+$/;
+
+class ExcelProfiles {
+  constructor(config = getConfig()) {
+    this.excel = config.excel;
+    this.profilesDir = config.paths.excelProfiles;
+  }
+
+  /**
+   * Header text comparison key ("No. Aju" → "noaju")
+   */
+  normalizeHeader(text) {
+    return (text || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Profile from config excel.* (always available as "default")
+   */
+  getDefaultProfile() {
+    return {
+      name: 'default',
+      description: 'excel.* settings from config',
+      ticketCell: this.excel.ticketCell,
+      headerRow: this.excel.headerRow,
+      dataStartRow: this.excel.dataStartRow,
+      maxEmptyRows: this.excel.maxEmptyRows,
+      columns: this.excel.columns,
+      headers: {},
+      file: null
+    };
+  }
+
+  /**
+   * Check a profile file and fill optional fields
+   */
+  cleanProfile(profile, fileName) {
+    const problems = [];
+    const columns = profile.columns || {};
+
+    if (!profile.name || !/^[\w.-]+$/.test(profile.name)) {
+      problems.push('name is required (letters, digits, "_", "-", ".")');
+    }
+    if (!Number.isInteger(profile.headerRow) || profile.headerRow < 1) {
+      problems.push('headerRow must be a row number');
+    }
+    if (profile.dataStartRow !== undefined &&
+        (!Number.isInteger(profile.dataStartRow) || profile.dataStartRow <= profile.headerRow)) {
+      problems.push('dataStartRow must be after headerRow');
+    }
+    if (profile.ticketCell && !CELL_PATTERN.test(profile.ticketCell)) {
+      problems.push(`ticketCell must be a cell address (got ${JSON.stringify(profile.ticketCell)})`);
+    }
+    REQUIRED_FIELDS.forEach(field => {
+      if (!columns[field]) {
+        problems.push(`columns.${field} is required`);
+      }
+    });
+    Object.keys(columns).forEach(field => {
+      if (!HEADER_NAMES[field]) {
+        problems.push(`columns.${field}: unknown field (use ${Object.keys(HEADER_NAMES).join(', ')})`);
+      } else if (columns[field] !== null && !COLUMN_PATTERN.test(columns[field])) {
+        problems.push(`columns.${field} must be a column letter (got ${JSON.stringify(columns[field])})`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid Excel profile ${fileName}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return {
+      name: profile.name,
+      description: profile.description || null,
+      ticketCell: profile.ticketCell || null,
+      headerRow: profile.headerRow,
+      dataStartRow: profile.dataStartRow || profile.headerRow + 1,
+      maxEmptyRows: profile.maxEmptyRows || this.excel.maxEmptyRows,
+      columns: columns,
+      headers: profile.headers || {},
+      file: fileName
+    };
+  }
+
+  /**
+   * All profiles: "default" first, then *.json files in paths.excelProfiles (re-read on every call)
+   */
+  list() {
+    const profiles = [this.getDefaultProfile()];
+
+    if (!fs.existsSync(this.profilesDir)) {
+      return profiles;
+    }
+
+    fs.readdirSync(this.profilesDir)
+      .filter(fileName => fileName.endsWith('.json'))
+      .sort()
+      .forEach(fileName => {
+        let raw;
+        try {
+          raw = JSON.parse(fs.readFileSync(path.join(this.profilesDir, fileName), 'utf8'));
+        } catch (error) {
+          throw new Error(`Cannot read Excel profile ${fileName}: ${error.message}`);
+        }
+
+        const profile = this.cleanProfile(raw, fileName);
+        if (profiles.some(existing => existing.name === profile.name)) {
+          throw new Error(`Excel profile name "${profile.name}" used twice (${fileName})`);
+        }
+        profiles.push(profile);
+      });
+
+    return profiles;
+  }
+
+  /**
+   * Get profile by name
+   */
+  get(name) {
+    const profiles = this.list();
+    const profile = profiles.find(p => p.name === name);
+
+    if (!profile) {
+      throw new Error(`Unknown Excel profile "${name}" (available: ${profiles.map(p => p.name).join(', ')})`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Field a header cell stands for (null if not recognized)
+   */
+  matchHeader(text, profiles) {
+    const key = this.normalizeHeader(text);
+    if (!key) return null;
+
+    return Object.keys(HEADER_NAMES).find(field =>
+      HEADER_NAMES[field].includes(key) ||
+      profiles.some(profile => (profile.headers[field] || []).some(name => this.normalizeHeader(name) === key))
+    ) || null;
+  }
+
+  /**
+   * Find the header row by header text
+   * @returns {Object} { headerRow, columns, missing } - first row with every required column,
+   *   else the row with the most required columns (missing lists what was not found)
+   */
+  detectHeader(worksheet, profiles = this.list()) {
+    let best = { headerRow: null, columns: {}, missing: [...REQUIRED_FIELDS] };
+    const lastRow = Math.min(worksheet.rowCount, HEADER_SCAN_ROWS);
+
+    for (let rowNum = 1; rowNum <= lastRow; rowNum++) {
+      const columns = {};
+
+      worksheet.getRow(rowNum).eachCell(cell => {
+        const field = this.matchHeader(cell.text, profiles);
+        if (field && !columns[field]) {
+          columns[field] = cell.address.replace(/\d+$/, '');
+        }
+      });
+
+      const missing = REQUIRED_FIELDS.filter(field => !columns[field]);
+      if (missing.length === 0) {
+        return { headerRow: rowNum, columns: columns, missing: [] };
+      }
+      if (missing.length < best.missing.length) {
+        best = { headerRow: rowNum, columns: columns, missing: missing };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Label of a field for messages ("seriBarang" → "Seri Barang")
+   */
+  fieldLabel(field) {
+    return field.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+  }
+
+  /**
+   * Layout for a worksheet
+   * "auto": detect the header row and use the profile with the same header row and required columns
+   * (a layout built from the detected header when no profile matches). A named profile is used
+   * as is, but its required header cells must not be empty.
+   * @returns {Object} profile (+ detected: true when built from the header)
+   */
+  resolve(worksheet, name = this.excel.profile) {
+    const profiles = this.list();
+
+    if (name && name !== 'auto') {
+      const profile = this.get(name);
+      this.checkProfileHeader(worksheet, profile, profiles);
+      return profile;
+    }
+
+    const detected = this.detectHeader(worksheet, profiles);
+    if (detected.missing.length > 0) {
+      const where = detected.headerRow ? `best match row ${detected.headerRow}` : `rows 1-${HEADER_SCAN_ROWS}`;
+      throw new Error(`Excel layout not recognized: required column(s) ${detected.missing.map(f => this.fieldLabel(f)).join(', ')} ` +
+        `not found (${where}). Add an Excel profile or set excel.profile.`);
+    }
+
+    const profile = profiles.find(p =>
+      p.headerRow === detected.headerRow &&
+      REQUIRED_FIELDS.every(field => p.columns[field] === detected.columns[field])
+    );
+    if (profile) {
+      // Unit column is optional: a profile without one uses the column found by header text
+      if (!profile.columns.unit && detected.columns.unit) {
+        return { ...profile, columns: { ...profile.columns, unit: detected.columns.unit } };
+      }
+      return profile;
+    }
+
+    logger.warn(`No Excel profile matches header row ${detected.headerRow} ` +
+      `(${REQUIRED_FIELDS.map(f => `${f}=${detected.columns[f]}`).join(', ')}), using detected columns`);
+
+    const fallback = this.getDefaultProfile();
+    return {
+      name: 'detected',
+      description: 'Columns found by header text',
+      ticketCell: fallback.ticketCell,
+      headerRow: detected.headerRow,
+      dataStartRow: detected.headerRow + 1,
+      maxEmptyRows: fallback.maxEmptyRows,
+      columns: detected.columns,
+      headers: {},
+      file: null,
+      detected: true
+    };
+  }
+
+  /**
+   * Named profile: required header cells must have text (unknown header text is only logged)
+   */
+  checkProfileHeader(worksheet, profile, profiles) {
+    const missing = [];
+
+    REQUIRED_FIELDS.forEach(field => {
+      const address = `${profile.columns[field]}${profile.headerRow}`;
+      const text = worksheet.getCell(address).text;
+
+      if (!text || !text.trim()) {
+        missing.push(`${this.fieldLabel(field)} (${address} is empty)`);
+      } else if (this.matchHeader(text, profiles) !== field) {
+        logger.warn(`Excel profile ${profile.name}: header ${address} "${text}" does not look like ${this.fieldLabel(field)}`);
+      }
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`Excel profile ${profile.name} does not fit this file: missing ${missing.join(', ')}`);
+    }
+  }
+}
+
+ExcelProfiles.HEADER_NAMES = HEADER_NAMES;
+ExcelProfiles.REQUIRED_FIELDS = REQUIRED_FIELDS;
+
+module.exports = ExcelProfiles;
@@ -3,12 +3,15 @@
 
 const logger = require('../utils/logger');
 const path = require('path');
+const { getConfig } = require('../config');
 
 class ExcelWriter {
-  constructor(excelParser) {
+  constructor(excelParser, config = getConfig()) {
     this.parser = excelParser;
     this.workbook = excelParser.getWorkbook();
     this.worksheet = excelParser.getWorksheet();
+    this.headerRow = excelParser.getLayout().headerRow;
+    this.columns = config.excel.resultColumns;
   }
 
   /**
@@ -18,18 +21,23 @@ class ExcelWriter {
     try {
       logger.info('Setting up result columns...');
 
+      const cols = this.columns;
       const headers = {
-        'AH': 'Verifikasi Item Code',
-        'AI': 'Verifikasi Qty',
-        'AJ': 'BC Kode Barang',
-        'AK': 'BC Qty',
-        'AL': 'BC Satuan',
-        'AM': 'Issues'
+        [cols.itemCode]: 'Verifikasi Item Code',
+        [cols.qty]: 'Verifikasi Qty',
+        [cols.bcKodeBarang]: 'BC Kode Barang',
+        [cols.bcQty]: 'BC Qty',
+        [cols.bcSatuan]: 'BC Satuan',
+        [cols.issues]: 'Issues',
+        [cols.override]: 'Override',
+        [cols.description]: 'Verifikasi Uraian',
+        [cols.hsCode]: 'Verifikasi HS Code',
+        [cols.bcHsCode]: 'BC HS Code'
       };
 
-      // Add headers to row 4
+      // Add headers to header row (default row 4)
       Object.keys(headers).forEach(col => {
-        const cell = this.worksheet.getCell(`${col}4`);
+        const cell = this.worksheet.getCell(`${col}${this.headerRow}`);
         cell.value = headers[col];
         cell.font = { bold: true };
         cell.fill = {
@@ -55,34 +63,63 @@ class ExcelWriter {
       const {
         validation,
         bcData,
-        issues
+        issues,
+        override
       } = validationResult;
 
+      const cols = this.columns;
+
       // Column AH: Verifikasi Item Code
-      const cellAH = this.worksheet.getCell(`AH${rowNumber}`);
-      cellAH.value = validation.itemCode || 'N/A';
-      this.applyCellStyle(cellAH, validation.itemCode);
+      const cellItemCode = this.worksheet.getCell(`${cols.itemCode}${rowNumber}`);
+      cellItemCode.value = validation.itemCode || 'N/A';
+      this.applyCellStyle(cellItemCode, validation.itemCode);
 
       // Column AI: Verifikasi Qty
-      const cellAI = this.worksheet.getCell(`AI${rowNumber}`);
-      cellAI.value = validation.qty || 'N/A';
-      this.applyCellStyle(cellAI, validation.qty);
+      const cellQty = this.worksheet.getCell(`${cols.qty}${rowNumber}`);
+      cellQty.value = validation.qty || 'N/A';
+      this.applyCellStyle(cellQty, validation.qty);
+
+      // Column AO: Verifikasi Uraian (item name vs BC uraian)
+      const cellDescription = this.worksheet.getCell(`${cols.description}${rowNumber}`);
+      cellDescription.value = validation.description || 'N/A';
+      this.applyCellStyle(cellDescription, validation.description);
+
+      // Column AP: Verifikasi HS Code, with the reference used ("OK (excel)", "NOT MATCH (alias)")
+      const hsCheck = validationResult.hsCheck;
+      const cellHsCode = this.worksheet.getCell(`${cols.hsCode}${rowNumber}`);
+      cellHsCode.value = (validation.hsCode || 'N/A') + (hsCheck && hsCheck.source ? ` (${hsCheck.source})` : '');
+      this.applyCellStyle(cellHsCode, validation.hsCode);
 
       // Column AJ: BC Kode Barang
-      const cellAJ = this.worksheet.getCell(`AJ${rowNumber}`);
-      cellAJ.value = bcData ? bcData.kodeBrg : 'N/A';
+      const cellBcKode = this.worksheet.getCell(`${cols.bcKodeBarang}${rowNumber}`);
+      cellBcKode.value = bcData ? bcData.kodeBarang || '-' : 'N/A';
+
+      // Column AQ: BC HS Code
+      const cellBcHsCode = this.worksheet.getCell(`${cols.bcHsCode}${rowNumber}`);
+      cellBcHsCode.value = bcData ? bcData.hsCode || '-' : 'N/A';
 
       // Column AK: BC Qty
-      const cellAK = this.worksheet.getCell(`AK${rowNumber}`);
-      cellAK.value = bcData ? bcData.qty : 0;
+      const cellBcQty = this.worksheet.getCell(`${cols.bcQty}${rowNumber}`);
+      cellBcQty.value = bcData ? bcData.qty : 0;
 
       // Column AL: BC Satuan
-      const cellAL = this.worksheet.getCell(`AL${rowNumber}`);
-      cellAL.value = bcData ? bcData.satuan : 'N/A';
+      const cellBcSatuan = this.worksheet.getCell(`${cols.bcSatuan}${rowNumber}`);
+      cellBcSatuan.value = bcData ? bcData.satuan : 'N/A';
 
       // Column AM: Issues
-      const cellAM = this.worksheet.getCell(`AM${rowNumber}`);
-      cellAM.value = issues && issues.length > 0 ? issues.join('; ') : '';
+      const cellIssues = this.worksheet.getCell(`${cols.issues}${rowNumber}`);
+      cellIssues.value = issues && issues.length > 0 ? issues.join('; ') : '';
+
+      // Column AN: Override (reviewer decision replacing the overall status)
+      const cellOverride = this.worksheet.getCell(`${cols.override}${rowNumber}`);
+      if (override) {
+        const date = override.overriddenAt.split('T')[0];
+        cellOverride.value = `${override.status}: ${override.reason} (${override.user}, ${date})`;
+        this.applyCellStyle(cellOverride, override.status);
+      } else {
+        cellOverride.value = '';
+        cellOverride.style = {};
+      }
 
       logger.debug(`Row ${rowNumber}: Written results`);
       return true;
@@ -96,7 +133,7 @@ class ExcelWriter {
    * Apply cell style based on validation status
    */
   applyCellStyle(cell, status) {
-    if (status === 'OK') {
+    if (status === 'OK' || status === 'OK (alias)') {
       cell.fill = {
         type: 'pattern',
         pattern: 'solid',
@@ -110,13 +147,27 @@ class ExcelWriter {
         fgColor: { argb: 'FFFF6B6B' } // Light red
       };
       cell.font = { color: { argb: 'FF8B0000' }, bold: true }; // Dark red text
-    } else if (status === 'NOT MATCH' || status === 'OVER LIMIT' || status === 'WARNING') {
+    } else if (status === 'NOT MATCH' || status === 'OVER LIMIT' || status === 'OVER BALANCE' || status === 'WARNING') {
       cell.fill = {
         type: 'pattern',
         pattern: 'solid',
         fgColor: { argb: 'FFFFEB3B' } // Yellow
       };
       cell.font = { color: { argb: 'FF000000' } }; // Black text
+    } else if (status === 'BC DOC MISSING') {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFFFB74D' } // Orange
+      };
+      cell.font = { color: { argb: 'FF5D4037' }, bold: true }; // Brown text
+    } else if (status === 'UNIT MISMATCH') {
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFCE93D8' } // Light purple
+      };
+      cell.font = { color: { argb: 'FF4A148C' }, bold: true }; // Dark purple text
     }
   }
 
@@ -147,18 +198,16 @@ class ExcelWriter {
   /**
    * Add summary sheet
    */
-  addSummarySheet(summary, ticketNumber) {
+  addSummarySheet(summary, ticketNumber, documents = [], review = null) {
     try {
       logger.info('Adding summary sheet...');
 
-      // Create or get summary sheet
-      let summarySheet = this.workbook.getWorksheet('Summary');
-      if (!summarySheet) {
-        summarySheet = this.workbook.addWorksheet('Summary');
+      // Recreate summary sheet (spliceRows leaves stale cells when the workbook is re-written)
+      const existingSheet = this.workbook.getWorksheet('Summary');
+      if (existingSheet) {
+        this.workbook.removeWorksheet(existingSheet.id);
       }
-
-      // Clear existing content
-      summarySheet.spliceRows(1, summarySheet.rowCount);
+      const summarySheet = this.workbook.addWorksheet('Summary');
 
       // Add title
       summarySheet.getCell('A1').value = 'VERIFICATION SUMMARY';
@@ -177,13 +226,32 @@ class ExcelWriter {
         ['Items OK', summary.ok],
         ['Items with Warning', summary.warning],
         ['Items with Error', summary.error],
+        ['Items without BC Document', summary.missingDocument || 0],
         ['Success Rate', summary.successRate],
         ['', ''],
         ['Issues Breakdown', ''],
         ['Item Code Issues', summary.issues.itemCode],
-        ['Qty Issues', summary.issues.qty]
+        ['Qty Issues', summary.issues.qty],
+        ['Unit Mismatch', summary.issues.unit || 0],
+        ['Over Remaining Balance', summary.issues.balance || 0],
+        ['Description Mismatch', summary.issues.description || 0],
+        ['HS Code Mismatch', summary.issues.hsCode || 0],
+        ['BC Document (Aju) Mismatch', summary.issues.document || 0]
       ];
 
+      // Reviewer overrides and sign-off
+      if (review) {
+        summaryData.push(
+          ['', ''],
+          ['Overridden Rows', review.overrides.length],
+          ['Signed Off By', review.signOff ? review.signOff.user : 'Not signed off'],
+          ['Signed Off At', review.signOff ? review.signOff.signedAt : '-']
+        );
+        if (review.signOff && review.signOff.comment) {
+          summaryData.push(['Sign-off Comment', review.signOff.comment]);
+        }
+      }
+
       summaryData.forEach(([label, value]) => {
         summarySheet.getCell(`A${row}`).value = label;
         summarySheet.getCell(`B${row}`).value = value;
@@ -203,9 +271,40 @@ class ExcelWriter {
         row++;
       });
 
+      // BC registration data (one row per document)
+      if (documents.length > 0) {
+        row++;
+        summarySheet.getCell(`A${row}`).value = 'BC Documents';
+        summarySheet.getCell(`A${row}`).font = { bold: true };
+        row++;
+
+        const headerRow = summarySheet.getRow(row);
+        headerRow.values = ['Nomor Pengajuan', 'Jenis', 'Nomor Daftar', 'Tanggal Daftar', 'Kantor Pabean', 'NPWP Importir', 'Nama Importir', 'File'];
+        headerRow.font = { bold: true };
+        row++;
+
+        documents.forEach(doc => {
+          const header = doc.header || { importir: {} };
+          summarySheet.getRow(row).values = [
+            header.nomorPengajuan || doc.ajuNumber || '-',
+            header.documentType || '-',
+            header.nomorPendaftaran || '-',
+            header.tanggalPendaftaran || '-',
+            header.kantorPabean || '-',
+            header.importir.npwp || '-',
+            header.importir.nama || '-',
+            doc.fileName || '-'
+          ];
+          row++;
+        });
+      }
+
       // Auto-fit columns
-      summarySheet.getColumn('A').width = 25;
+      summarySheet.getColumn('A').width = 32;
       summarySheet.getColumn('B').width = 15;
+      ['C', 'D', 'E', 'F', 'G', 'H'].forEach(col => {
+        summarySheet.getColumn(col).width = 20;
+      });
 
       logger.success('✅ Summary sheet added');
       return true;
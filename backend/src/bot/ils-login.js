@@ -2,14 +2,16 @@
 // ILS system login automation
 
 const logger = require('../utils/logger');
+const { getConfig, getIlsUrl } = require('../config');
 const { retryWithBackoff, safeNavigate, safeType, safeClick, waitForPageLoad, elementExists, takeScreenshot } = require('../utils/helpers');
 
 class ILSLogin {
-  constructor(page) {
+  constructor(page, environment = null, config = getConfig()) {
     this.page = page;
+    this.config = config;
     // Try HTTPS first (dari error log), fallback to HTTP
-    this.baseUrl = 'https://202.148.14.173/ils-dev';
-    this.fallbackUrl = 'http://202.148.14.173';
+    this.baseUrl = getIlsUrl(config, environment);
+    this.fallbackUrl = config.ils.fallbackUrl;
   }
 
   /**
@@ -26,6 +28,10 @@ class ILSLogin {
           timeout: 15000
         });
       } catch (error) {
+        if (!this.fallbackUrl) {
+          throw error;
+        }
+
         // If primary fails, try fallback
         logger.warn('Primary URL failed, trying fallback...');
         await this.page.goto(this.fallbackUrl, {
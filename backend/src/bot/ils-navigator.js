@@ -1,16 +1,96 @@
 // backend/src/bot/ils-navigator.js
 // ILS system navigation functions
 
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
 const logger = require('../utils/logger');
+const { waitForCondition, normalizeTicketNumber, parseIndonesianDate } = require('../utils/helpers');
+const { getConfig } = require('../config');
+
+// Chromium's unfinished download files
+const PARTIAL_DOWNLOAD = /\.(crdownload|tmp)$/i;
+
+// Attribute marking the selected ticket's row in the Scrap list
+const TICKET_ROW_MARKER = 'data-ils-ticket-row';
+
+// Result pages scanned before giving up
+const MAX_RESULT_PAGES = 50;
 
 class ILSNavigator {
-  constructor(page, environment = 'dev') {
+  constructor(page, environment = null, config = getConfig()) {
     this.page = page;
-    this.environment = environment; // 'dev' or 'prod'
-    this.baseUrl = 'https://202.148.14.173';
+    this.config = config;
+    this.environment = environment || config.ils.environment; // 'dev' or 'prod'
+    this.baseUrl = config.ils.baseUrl;
     
     // Set URL prefix based on environment
-    this.urlPrefix = environment === 'prod' ? '/ils' : '/ils-dev';
+    this.urlPrefix = config.ils.paths[this.environment] || config.ils.paths.dev;
+
+    this.cdpSession = null; // Created on first download
+
+    this.session = null; // ILSSession, set by useSession()
+    this.selectedTicket = null; // Ticket found by the last searchTicket (searched again after a re-login)
+  }
+
+  /**
+   * Run steps through withSession() with this ILS session (probe + re-login on expiry)
+   */
+  useSession(session) {
+    this.session = session;
+  }
+
+  /**
+   * Run a navigation step with a valid ILS session: probe before the step, and when the session
+   * expired (before or during the step) log in again, go back to where the step started and
+   * run it (once more)
+   * @param {Function} step - async () => result
+   */
+  async withSession(step) {
+    if (!this.session) {
+      return step();
+    }
+
+    const startUrl = this.page.url();
+    const logins = this.session.logins;
+
+    if (!(await this.session.probe(this.page))) {
+      await this.resumeSession(startUrl, true);
+    }
+
+    try {
+      return await step();
+    } catch (error) {
+      const expired = !(await this.session.probe(this.page));
+
+      // Another tab logged in again meanwhile: the step may have hit the expired session too
+      if (!expired && this.session.logins === logins) {
+        throw error;
+      }
+
+      logger.warn(`ILS session expired during step (${error.message}), retrying...`);
+      await this.resumeSession(startUrl, expired);
+      return step();
+    }
+  }
+
+  /**
+   * Log in again (optional) and restore the page a step started from: same URL, same ticket row
+   */
+  async resumeSession(startUrl, relogin) {
+    const ticket = this.selectedTicket;
+
+    if (relogin) {
+      await this.session.relogin(this.page);
+    }
+
+    if (/^https?:/.test(startUrl) && !/\/login/i.test(new URL(startUrl).pathname)) {
+      await this.page.goto(startUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    }
+
+    if (ticket) {
+      await this.searchTicket(ticket);
+    }
   }
 
   /**
@@ -61,8 +141,8 @@ class ILSNavigator {
       // Method 2: Direct URL navigation (fallback)
       const scrapUrls = [
         this.getUrl('/scrap'),
-        `${this.baseUrl}/ils-dev/scrap`,
-        `${this.baseUrl}/ils/scrap`
+        `${this.baseUrl}${this.config.ils.paths.dev}/scrap`,
+        `${this.baseUrl}${this.config.ils.paths.prod}/scrap`
       ];
 
       for (const url of scrapUrls) {
@@ -169,6 +249,8 @@ class ILSNavigator {
    * Search for ticket by number
    */
   async searchTicket(ticketNumber) {
+    this.selectedTicket = null;
+
     try {
       logger.info(`Searching for ticket: ${ticketNumber}`);
 
@@ -215,8 +297,11 @@ class ILSNavigator {
       // Wait for search results
       await new Promise(resolve => setTimeout(resolve, 2000));
 
-      logger.success(`✅ Searched for ticket ${ticketNumber}`);
-      return true;
+      const row = await this.selectTicketRow(ticketNumber);
+      this.selectedTicket = ticketNumber;
+
+      logger.success(`✅ Found ticket ${ticketNumber} (results page ${row.page})`);
+      return row;
     } catch (error) {
       logger.error('Failed to search ticket:', error.message);
       throw error;
@@ -224,83 +309,406 @@ class ILSNavigator {
   }
 
   /**
-   * Click Excel download button
+   * Find the results row whose ticket number matches exactly (all DataTables pages) and mark it
+   * for clickExcelButton / clickDetailButton
+   * @returns {Promise<Object>} { page, text }
    */
-  async clickExcelButton() {
-    try {
-      logger.info('Looking for Excel download button...');
+  async selectTicketRow(ticketNumber) {
+    const ticket = normalizeTicketNumber(ticketNumber);
+    const matches = [];
+    let page = 1;
+    let rows = 0;
+
+    await this.page.evaluate(marker => {
+      document.querySelectorAll(`[${marker}]`).forEach(el => el.removeAttribute(marker));
+    }, TICKET_ROW_MARKER);
+
+    for (;;) {
+      const scan = await this.readResultsPage(ticket);
+      rows += scan.rows;
+      scan.matches.forEach(match => matches.push({ page: page, ...match }));
+
+      if (page >= MAX_RESULT_PAGES) {
+        logger.warn(`Stopped after ${MAX_RESULT_PAGES} result pages`);
+        break;
+      }
+      if (!(await this.changeResultsPage('next'))) {
+        break;
+      }
+      page++;
+    }
 
-      // Find Excel button (based on common patterns)
-      const excelButtonSelectors = [
-        'button:has-text("Excel")',
-        'a:has-text("Excel")',
-        '.btn-success', // Green button often used for Excel
-        'button.excel',
-        '[data-action="excel"]'
-      ];
+    if (matches.length === 0) {
+      throw new Error(`Ticket ${ticketNumber} not found in Scrap list ` +
+        `(${rows} result row(s) on ${page} page(s), none with this exact ticket number)`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous results for ticket ${ticketNumber}: ${matches.length} rows match ` +
+        `(${matches.map(m => `page ${m.page}: ${m.text}`).join('; ')})`);
+    }
 
-      // Use evaluate to find button with "Excel" text
-      const clicked = await this.page.evaluate(() => {
-        const buttons = document.querySelectorAll('button, a.btn');
-        for (const btn of buttons) {
-          if (btn.textContent.includes('Excel') || 
-              btn.className.includes('excel') ||
-              btn.className.includes('btn-success')) {
-            btn.click();
-            return true;
-          }
+    const match = matches[0];
+    for (; page > match.page; page--) {
+      if (!(await this.changeResultsPage('previous'))) {
+        throw new Error(`Cannot return to results page ${match.page}`);
+      }
+    }
+
+    const marked = await this.readResultsPage(ticket, match.index);
+    if (!marked.marked) {
+      throw new Error(`Ticket ${ticketNumber} row moved while paging, search again`);
+    }
+
+    logger.debug(`Ticket row: ${match.text}`);
+    return { page: match.page, text: match.text };
+  }
+
+  /**
+   * Rows of the results table on the current page that carry the ticket number
+   * Only the ticket column is checked when the header has one, otherwise every cell.
+   * @param {string} ticket - normalized ticket number
+   * @param {number|null} markIndex - row index to mark as the selected ticket row
+   * @returns {Promise<Object>} { rows, matches: [{ index, text }], marked }
+   */
+  async readResultsPage(ticket, markIndex = null) {
+    const result = await this.page.evaluate((ticket, markIndex, marker) => {
+      const table = document.querySelector('table.dataTable') || document.querySelector('table');
+      if (!table) {
+        return null;
+      }
+
+      const normalize = text => {
+        const match = (text || '').replace(/\s+/g, ' ').trim().match(/^(?:TIKET[- ]?)?0*(\d+)$/i);
+        return match ? match[1] : null;
+      };
+
+      const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent);
+      const ticketColumn = headers.findIndex(text => /ti[ck]+et/i.test(text));
+      const rows = Array.from(table.querySelectorAll('tbody tr'))
+        .filter(tr => !tr.querySelector('.dataTables_empty'));
+
+      const matches = [];
+      rows.forEach((tr, index) => {
+        const cells = Array.from(tr.children);
+        const candidates = ticketColumn >= 0 && cells[ticketColumn] ? [cells[ticketColumn]] : cells;
+        if (candidates.some(td => normalize(td.textContent) === ticket)) {
+          matches.push({ index: index, text: tr.textContent.replace(/\s+/g, ' ').trim().slice(0, 120) });
         }
+      });
+
+      let marked = false;
+      if (markIndex !== null && matches.some(match => match.index === markIndex)) {
+        rows[markIndex].setAttribute(marker, '');
+        marked = true;
+      }
+
+      return { rows: rows.length, matches: matches, marked: marked };
+    }, ticket, markIndex, TICKET_ROW_MARKER);
+
+    if (!result) {
+      throw new Error('Scrap list results table not found');
+    }
+    return result;
+  }
+
+  /**
+   * Click the DataTables "next" / "previous" pager button and wait for the table to redraw
+   * @returns {Promise<boolean>} false when the button is missing or disabled
+   */
+  async changeResultsPage(direction) {
+    const tableText = () => this.page.evaluate(() => {
+      const body = document.querySelector('table.dataTable tbody') || document.querySelector('table tbody');
+      return body ? body.innerText : '';
+    });
+
+    const before = await tableText();
+    const clicked = await this.page.evaluate(direction => {
+      const button = document.querySelector(
+        `.dataTables_paginate .${direction}, .dt-paging .${direction}, .pagination .${direction}`
+      );
+      if (!button ||
+          button.disabled ||
+          button.classList.contains('disabled') ||
+          button.getAttribute('aria-disabled') === 'true') {
         return false;
+      }
+
+      (button.querySelector('a, button') || button).click();
+      return true;
+    }, direction);
+
+    if (!clicked) {
+      return false;
+    }
+
+    await waitForCondition(async () => (await tableText()) !== before, {
+      timeout: 15000,
+      interval: 300,
+      timeoutMessage: `Results table did not change after clicking "${direction}"`
+    });
+    return true;
+  }
+
+  /**
+   * Ticket numbers in the Scrap list (all result pages), optionally only those dated in a range
+   * The date comes from the first column whose header looks like a date (Tanggal / Tgl / Date).
+   * @param {Object} range - { dateFrom, dateTo } as Date (inclusive, whole days), null = open end
+   * @returns {Promise<string[]>} normalized ticket numbers in list order
+   */
+  async listTickets(range = {}) {
+    const { dateFrom = null, dateTo = null } = range;
+    const tickets = [];
+    let undated = 0;
+    let page = 1;
+
+    logger.info('Reading tickets from Scrap list...');
+
+    for (;;) {
+      const rows = await this.page.evaluate(() => {
+        const table = document.querySelector('table.dataTable') || document.querySelector('table');
+        if (!table) {
+          return null;
+        }
+
+        const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent);
+        const ticketColumn = headers.findIndex(text => /ti[ck]+et/i.test(text));
+        const dateColumn = headers.findIndex(text => /tanggal|tgl|date/i.test(text));
+
+        return Array.from(table.querySelectorAll('tbody tr'))
+          .filter(tr => !tr.querySelector('.dataTables_empty'))
+          .map(tr => {
+            const cells = Array.from(tr.children).map(td => td.textContent.replace(/\s+/g, ' ').trim());
+            return {
+              ticket: ticketColumn >= 0 ? cells[ticketColumn] : cells.find(text => /^TIKET[- ]?\d+$/i.test(text)),
+              date: dateColumn >= 0 ? cells[dateColumn] : null
+            };
+          });
       });
 
+      if (!rows) {
+        throw new Error('Scrap list results table not found');
+      }
+
+      rows.forEach(row => {
+        const ticket = normalizeTicketNumber(row.ticket);
+        if (!/^\d+$/.test(ticket) || tickets.includes(ticket)) {
+          return;
+        }
+
+        if (dateFrom || dateTo) {
+          const date = parseIndonesianDate(row.date);
+          if (!date) {
+            undated++;
+            return;
+          }
+          if ((dateFrom && date < dateFrom) || (dateTo && date > dateTo)) {
+            return;
+          }
+        }
+
+        tickets.push(ticket);
+      });
+
+      if (page >= MAX_RESULT_PAGES) {
+        logger.warn(`Stopped after ${MAX_RESULT_PAGES} result pages`);
+        break;
+      }
+      if (!(await this.changeResultsPage('next'))) {
+        break;
+      }
+      page++;
+    }
+
+    if (undated > 0) {
+      logger.warn(`${undated} ticket(s) skipped: no readable date in Scrap list`);
+    }
+
+    logger.success(`✅ ${tickets.length} ticket(s) found on ${page} page(s)`);
+    return tickets;
+  }
+
+  /**
+   * Save browser downloads into dir (CDP download behaviour, set per job)
+   */
+  async setDownloadPath(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (!this.cdpSession) {
+      this.cdpSession = await this.page.createCDPSession();
+    }
+    await this.cdpSession.send('Browser.setDownloadBehavior', {
+      behavior: 'allow',
+      downloadPath: dir
+    });
+
+    logger.debug(`Download folder: ${dir}`);
+  }
+
+  /**
+   * Click the Excel export button and wait for the downloaded workbook
+   * @param {string} downloadDir - Folder for this job's download
+   * @param {Object} options - { timeout: ms to wait for the finished file }
+   * @returns {Promise<string>} path of the downloaded .xlsx
+   */
+  async clickExcelButton(downloadDir, options = {}) {
+    const timeout = options.timeout || 60000;
+
+    try {
+      await this.setDownloadPath(downloadDir);
+      const before = new Set(fs.readdirSync(downloadDir));
+
+      logger.info('Looking for Excel download button...');
+
+      // Visible button/link in the ticket row labelled "Excel" ("Export Excel", "buttons-excel", file-excel icon)
+      const clicked = await this.page.evaluate(marker => {
+        const row = document.querySelector(`[${marker}]`);
+        if (!row) {
+          return { noRow: true };
+        }
+
+        const isVisible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+        const candidates = Array.from(row.querySelectorAll('button, a, input[type="button"], input[type="submit"]'))
+          .filter(isVisible)
+          .map(el => {
+            const label = (el.textContent || el.value || el.title || el.getAttribute('aria-label') || '')
+              .replace(/\s+/g, ' ')
+              .trim();
+            const className = typeof el.className === 'string' ? el.className : '';
+
+            let score = 0;
+            if (/^(export\s+(to\s+)?)?excel$/i.test(label)) score = 3;
+            else if (/\bexcel\b/i.test(label)) score = 2;
+            else if (/excel/i.test(className) || el.querySelector('[class*="file-excel"]')) score = 1;
+
+            return { el, label, score };
+          })
+          .filter(candidate => candidate.score > 0)
+          .sort((a, b) => b.score - a.score);
+
+        if (candidates.length === 0) {
+          return null;
+        }
+
+        candidates[0].el.click();
+        return { label: candidates[0].label, count: candidates.length };
+      }, TICKET_ROW_MARKER);
+
       if (!clicked) {
-        throw new Error('Excel button not found');
+        throw new Error('Excel button not found in ticket row');
+      }
+      if (clicked.noRow) {
+        throw new Error('No ticket row selected, search the ticket first');
       }
 
-      logger.success('✅ Clicked Excel download button');
-      
-      // Wait for download to start
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      return true;
+      logger.success(`✅ Clicked Excel download button "${clicked.label || '(icon)'}"` +
+        (clicked.count > 1 ? ` (${clicked.count} candidates)` : ''));
+
+      const filePath = await this.waitForDownload(downloadDir, before, timeout);
+      await this.verifyWorkbook(filePath);
+
+      logger.success(`✅ Excel downloaded: ${path.basename(filePath)}`);
+      return filePath;
     } catch (error) {
-      logger.error('Failed to click Excel button:', error.message);
+      logger.error('Failed to download Excel:', error.message);
       throw error;
     }
   }
 
   /**
-   * Click Detail button for current ticket
+   * Wait for a new finished .xlsx in dir (no .crdownload left, size unchanged between two checks)
    */
-  async clickDetailButton() {
+  async waitForDownload(dir, before, timeout) {
+    let found = null;
+    let unexpected = null;
+    let lastSize = -1;
+
     try {
-      logger.info('Looking for Detail button...');
+      await waitForCondition(() => {
+        const files = fs.readdirSync(dir).filter(f => !before.has(f));
+        if (files.some(f => PARTIAL_DOWNLOAD.test(f))) {
+          return false;
+        }
 
-      // Wait a bit
-      await new Promise(resolve => setTimeout(resolve, 1000));
+        const file = files.find(f => f.toLowerCase().endsWith('.xlsx'));
+        if (!file) {
+          unexpected = files[0] || null;
+          return unexpected !== null;
+        }
 
-      // Find Detail button (cyan/info button)
-      const clicked = await this.page.evaluate(() => {
-        const buttons = document.querySelectorAll('button, a.btn');
-        for (const btn of buttons) {
-          if (btn.textContent.includes('Detail') || 
-              btn.className.includes('btn-info')) {
-            btn.click();
-            return true;
-          }
+        const size = fs.statSync(path.join(dir, file)).size;
+        if (size > 0 && size === lastSize) {
+          found = path.join(dir, file);
+          return true;
         }
+        lastSize = size;
         return false;
+      }, {
+        timeout: timeout,
+        interval: 500
       });
+    } catch (error) {
+      const partial = fs.readdirSync(dir).some(f => !before.has(f) && PARTIAL_DOWNLOAD.test(f));
+      throw new Error(partial
+        ? `Excel download still in progress after ${timeout / 1000}s`
+        : `Excel download did not start within ${timeout / 1000}s`);
+    }
 
-      if (!clicked) {
-        throw new Error('Detail button not found');
+    if (!found) {
+      throw new Error(`Downloaded file is not an .xlsx workbook: ${unexpected}`);
+    }
+    return found;
+  }
+
+  /**
+   * Make sure the download is a workbook ExcelJS can open (not an HTML error page)
+   */
+  async verifyWorkbook(filePath) {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.readFile(filePath);
+    } catch (error) {
+      throw new Error(`Downloaded file ${path.basename(filePath)} is not a readable workbook: ${error.message}`);
+    }
+
+    if (workbook.worksheets.length === 0) {
+      throw new Error(`Downloaded file ${path.basename(filePath)} has no worksheets`);
+    }
+  }
+
+  /**
+   * Click Detail button in the selected ticket row
+   */
+  async clickDetailButton() {
+    try {
+      logger.info('Looking for Detail button...');
+
+      // "Detail" text first, then the cyan/info button
+      const clicked = await this.page.evaluate(marker => {
+        const row = document.querySelector(`[${marker}]`);
+        if (!row) {
+          return 'no-row';
+        }
+
+        const buttons = Array.from(row.querySelectorAll('button, a'));
+        const button = buttons.find(btn => /\bdetail\b/i.test(btn.textContent || btn.title || '')) ||
+          buttons.find(btn => typeof btn.className === 'string' && btn.className.includes('btn-info'));
+        if (!button) {
+          return 'not-found';
+        }
+
+        button.click();
+        return 'clicked';
+      }, TICKET_ROW_MARKER);
+
+      if (clicked === 'no-row') {
+        throw new Error('No ticket row selected, search the ticket first');
+      }
+      if (clicked === 'not-found') {
+        throw new Error('Detail button not found in ticket row');
       }
 
       logger.success('✅ Clicked Detail button');
-      
-      // Wait for new page/tab to open
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
       return true;
     } catch (error) {
       logger.error('Failed to click Detail button:', error.message);
@@ -308,6 +716,217 @@ class ILSNavigator {
     }
   }
 
+  /**
+   * Click Detail and attach to the tab it opens
+   * @param {BrowserManager} browserManager - Tracks the new tab (closed with the browser)
+   * @param {Object} options - { timeout: ms to wait for the tab }
+   * @returns {Promise<Page>} detail page
+   */
+  async openDetailPage(browserManager, options = {}) {
+    const timeout = options.timeout || 15000;
+
+    try {
+      const [detailPage] = await Promise.all([
+        browserManager.waitForNewPage(this.page, timeout),
+        this.clickDetailButton()
+      ]);
+
+      await detailPage.waitForNetworkIdle({ idleTime: 1000, timeout: 30000 }).catch(() => {
+        logger.debug('Detail page still busy, continuing...');
+      });
+
+      logger.success(`✅ Detail page opened: ${detailPage.url()}`);
+      return detailPage;
+    } catch (error) {
+      logger.error('Failed to open Detail page:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * BC attachment links on the Detail page, with the Aju number of their table row
+   * @returns {Promise<Array>} [{ ajuNumber, url, label }] (ajuNumber null when the row has none)
+   */
+  async listBCAttachments(detailPage) {
+    const attachments = await detailPage.evaluate(() => {
+      const ajuPattern = /\d{6}-?\d{6}-?\d{8}-?\d{6}/;
+      const seen = new Set();
+
+      return Array.from(document.querySelectorAll('a[href]'))
+        .filter(a => /^https?:/i.test(a.href))
+        .filter(a => /\.pdf($|[?#])/i.test(a.href) || /BC\s?(2\.3|23|4\.0|40)/i.test(a.textContent))
+        .filter(a => {
+          if (seen.has(a.href)) return false;
+          seen.add(a.href);
+          return true;
+        })
+        .map(a => {
+          const row = a.closest('tr');
+          const context = row ? row.textContent : a.textContent;
+          const match = context.match(ajuPattern) || decodeURIComponent(a.href).match(ajuPattern);
+          return {
+            ajuNumber: match ? match[0] : null,
+            url: a.href,
+            label: a.textContent.replace(/\s+/g, ' ').trim()
+          };
+        });
+    });
+
+    const ajuCount = new Set(attachments.map(a => a.ajuNumber).filter(Boolean)).size;
+    logger.info(`Found ${attachments.length} BC attachments for ${ajuCount} Aju numbers`);
+    attachments
+      .filter(a => !a.ajuNumber)
+      .forEach(a => logger.warn(`BC attachment without Aju number on Detail page: ${a.label || a.url}`));
+
+    return attachments;
+  }
+
+  /**
+   * Download every BC attachment listed on the Detail page
+   * @param {BrowserManager} browserManager - Provides the page used for downloads
+   * @param {Page} detailPage
+   * @param {Object} options - { timeout: ms per PDF }
+   * @returns {Promise<Array>} [{ ajuNumber, fileName, buffer }]
+   */
+  async fetchBCDocuments(browserManager, detailPage, options = {}) {
+    const timeout = options.timeout || 60000;
+    const attachments = await this.listBCAttachments(detailPage);
+
+    if (attachments.length === 0) {
+      throw new Error('No BC documents found on Detail page');
+    }
+
+    // Separate tab so the Detail page stays as it is
+    const downloadPage = await browserManager.newPage();
+    const documents = [];
+
+    try {
+      for (const attachment of attachments) {
+        logger.info(`Downloading BC document ${attachment.ajuNumber || attachment.label}: ${attachment.url}`);
+
+        try {
+          const pdf = await this.downloadBCDocument(downloadPage, attachment.url, timeout);
+          documents.push({
+            ajuNumber: attachment.ajuNumber,
+            fileName: pdf.fileName,
+            buffer: pdf.buffer
+          });
+        } catch (error) {
+          throw new Error(`BC document ${attachment.label || attachment.url}: ${error.message}`);
+        }
+      }
+    } finally {
+      await browserManager.closePage(downloadPage);
+    }
+
+    logger.success(`✅ Downloaded ${documents.length} BC documents`);
+    return documents;
+  }
+
+  /**
+   * Download one BC PDF; if ILS answered with its login page, log in again and try once more
+   */
+  async downloadBCDocument(downloadPage, url, timeout) {
+    try {
+      return await this.downloadPdf(downloadPage, url, timeout);
+    } catch (error) {
+      // Probe from the ILS tab: the download tab holds no ILS page to probe from
+      if (!this.session || await this.session.probe(this.page)) {
+        throw error;
+      }
+
+      await this.session.relogin(downloadPage);
+      return this.downloadPdf(downloadPage, url, timeout);
+    }
+  }
+
+  /**
+   * Open url in page and take the PDF from the intercepted response (CDP Fetch, response stage)
+   * The request is aborted once the body is read, so neither the PDF viewer nor a download starts.
+   * @returns {Promise<Object>} { fileName, buffer }
+   */
+  async downloadPdf(page, url, timeout = 60000) {
+    const session = await page.createCDPSession();
+    let timer = null;
+
+    try {
+      await session.send('Fetch.enable', {
+        patterns: [{ urlPattern: '*', resourceType: 'Document', requestStage: 'Response' }]
+      });
+
+      return await new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeout / 1000}s`)), timeout);
+
+        session.on('Fetch.requestPaused', async (event) => {
+          try {
+            const status = event.responseStatusCode;
+
+            // Redirects (e.g. to a file server) are followed
+            if (!status || (status >= 300 && status < 400)) {
+              await session.send('Fetch.continueRequest', { requestId: event.requestId });
+              return;
+            }
+
+            const headers = {};
+            (event.responseHeaders || []).forEach(header => {
+              headers[header.name.toLowerCase()] = header.value;
+            });
+
+            const body = status < 400
+              ? await session.send('Fetch.getResponseBody', { requestId: event.requestId })
+              : null;
+            await session.send('Fetch.failRequest', { requestId: event.requestId, errorReason: 'Aborted' });
+
+            if (!body) {
+              throw new Error(`HTTP ${status}`);
+            }
+
+            const buffer = Buffer.from(body.body, body.base64Encoded ? 'base64' : 'utf8');
+            if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+              throw new Error(`Response is not a PDF (${headers['content-type'] || 'unknown type'}), ` +
+                'ILS session may have expired');
+            }
+
+            resolve({
+              fileName: this.getDownloadFileName(headers['content-disposition'], event.request.url),
+              buffer: buffer
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+
+        // Navigation ends with net::ERR_ABORTED after interception; other failures end the download
+        page.goto(url, { timeout: timeout }).catch(error => {
+          if (!/ERR_ABORTED/.test(error.message)) {
+            reject(error);
+          }
+        });
+      });
+    } finally {
+      clearTimeout(timer);
+      await session.send('Fetch.disable').catch(() => {});
+      await session.detach().catch(() => {});
+    }
+  }
+
+  /**
+   * File name from Content-Disposition, else from the URL path
+   */
+  getDownloadFileName(contentDisposition, url) {
+    const match = (contentDisposition || '').match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+    let fileName = match ? match[1] : new URL(url).pathname.split('/').pop();
+
+    try {
+      fileName = decodeURIComponent(fileName);
+    } catch (error) {
+      // Keep the raw name
+    }
+
+    fileName = path.basename(fileName || '') || 'document';
+    return /\.pdf$/i.test(fileName) ? fileName : `${fileName}.pdf`;
+  }
+
   /**
    * Complete navigation flow: Dashboard → Scrap → List Activity
    */
@@ -0,0 +1,197 @@
+// backend/src/bot/ils-session.js
+// ILS login session: saved cookies between runs, validity probe and capped re-login on expiry
+
+const ILSLogin = require('./ils-login');
+const SessionStore = require('../storage/session-store');
+const logger = require('../utils/logger');
+const { getConfig, getIlsUrl } = require('../config');
+
+// Login form = username and password inputs on the same page
+const USERNAME_SELECTOR = 'input[name="username"], input[placeholder*="username"]';
+const PASSWORD_SELECTOR = 'input[name="password"], input[type="password"]';
+
+class ILSSession {
+  /**
+   * @param {BrowserManager} browserManager - browser the session's tabs live in
+   * @param {Object} credentials - { environment, username, password }
+   */
+  constructor(browserManager, credentials, config = getConfig()) {
+    this.browserManager = browserManager;
+    this.environment = credentials.environment || null;
+    this.username = credentials.username;
+    this.password = credentials.password;
+    this.config = config;
+    this.baseUrl = getIlsUrl(config, this.environment);
+    this.store = config.session.persist ? new SessionStore(config) : null;
+    this.key = `${this.baseUrl}|${this.environment || 'default'}|${this.username}`;
+    this.maxRelogins = config.session.maxRelogins;
+    this.relogins = 0;
+    // Completed form logins (lets a tab notice another tab logged in again during its step)
+    this.logins = 0;
+    // Re-login in progress (tabs of a batch wait for it instead of logging in again)
+    this.pendingLogin = null;
+  }
+
+  /**
+   * Log in on a page: reuse saved cookies if still valid, else fill the login form
+   */
+  async login(page) {
+    if (await this.restore(page)) {
+      logger.success('✅ ILS session restored from previous run');
+      return true;
+    }
+
+    return this.formLogin(page);
+  }
+
+  /**
+   * Load saved cookies and check ILS accepts them
+   * @returns {boolean} true if logged in with saved cookies
+   */
+  async restore(page) {
+    if (!this.store) return false;
+
+    const saved = this.store.get(this.key);
+    if (!saved || !saved.cookies.length) return false;
+
+    try {
+      logger.info(`🍪 Restoring ILS session saved ${saved.savedAt}...`);
+      await page.setCookie(...saved.cookies);
+      await page.goto(this.baseUrl, { waitUntil: 'networkidle2', timeout: 15000 });
+
+      if (!(await this.isLoginPage(page))) {
+        return true;
+      }
+
+      logger.info('Saved ILS session expired, logging in again');
+    } catch (error) {
+      logger.warn('Cannot restore saved ILS session:', error.message);
+    }
+
+    this.forget();
+    return false;
+  }
+
+  /**
+   * Log in through the login form and save the new cookies
+   */
+  async formLogin(page) {
+    if (!this.username || !this.password) {
+      throw new Error('ILS username and password are required');
+    }
+
+    await new ILSLogin(page, this.environment, this.config).login(this.username, this.password);
+    this.logins++;
+    await this.saveCookies(page);
+    return true;
+  }
+
+  /**
+   * Save the browser's cookies for the next run (failure only costs a login next time)
+   */
+  async saveCookies(page) {
+    if (!this.store) return;
+
+    try {
+      this.store.set(this.key, await page.cookies());
+    } catch (error) {
+      logger.warn('Cannot save ILS session:', error.message);
+    }
+  }
+
+  /**
+   * Drop saved cookies (expired or rejected)
+   */
+  forget() {
+    if (!this.store) return;
+
+    try {
+      this.store.remove(this.key);
+    } catch (error) {
+      logger.warn('Cannot remove saved ILS session:', error.message);
+    }
+  }
+
+  /**
+   * Is the page showing the ILS login form
+   */
+  async isLoginPage(page) {
+    try {
+      return await page.evaluate((usernameSelector, passwordSelector) =>
+        !!document.querySelector(usernameSelector) && !!document.querySelector(passwordSelector),
+      USERNAME_SELECTOR, PASSWORD_SELECTOR);
+    } catch (error) {
+      // Page navigating or closed: not a login form we can see
+      return false;
+    }
+  }
+
+  /**
+   * Check the session is still valid before a navigation step:
+   * login form on the page, or ILS home redirecting to login
+   * @returns {boolean} false if expired
+   */
+  async probe(page) {
+    if (!/^https?:/.test(page.url())) {
+      // Blank tab: no ILS page to check and no ILS origin to send the probe request from
+      return true;
+    }
+
+    if (await this.isLoginPage(page)) {
+      return false;
+    }
+
+    try {
+      const expired = await page.evaluate(async (url, usernameSelector, passwordSelector) => {
+        const response = await fetch(url, { credentials: 'include' });
+        if (/\/login/i.test(new URL(response.url).pathname)) {
+          return true;
+        }
+
+        const html = await response.text();
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return !!doc.querySelector(usernameSelector) && !!doc.querySelector(passwordSelector);
+      }, this.baseUrl, USERNAME_SELECTOR, PASSWORD_SELECTOR);
+
+      return !expired;
+    } catch (error) {
+      // Network hiccup is not an expired session, the step itself will fail if ILS is down
+      logger.debug(`Session probe failed: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Log in again after the session expired (one re-login at a time, at most session.maxRelogins per run)
+   */
+  async relogin(page) {
+    if (this.pendingLogin) {
+      // Another tab is already logging in, its cookies are shared with this tab
+      await this.pendingLogin;
+      return true;
+    }
+
+    if (this.relogins >= this.maxRelogins) {
+      throw new Error(`ILS session expired and re-login limit reached (${this.maxRelogins}); stopping to avoid account lockout`);
+    }
+
+    this.relogins++;
+    logger.warn(`⚠️ ILS session expired, logging in again (${this.relogins}/${this.maxRelogins})...`);
+    this.forget();
+
+    this.pendingLogin = this.formLogin(page);
+    try {
+      await this.pendingLogin;
+      return true;
+    } catch (error) {
+      // Failed login: do not retry (wrong password or locked account would only get worse)
+      this.relogins = this.maxRelogins;
+      logger.error('❌ ILS re-login failed:', error.message);
+      throw new Error(`ILS session expired and re-login failed: ${error.message}`);
+    } finally {
+      this.pendingLogin = null;
+    }
+  }
+}
+
+module.exports = ILSSession;
@@ -0,0 +1,643 @@
+// backend/src/bot/orchestrator.js
+// End-to-end verification flow: ILS login → download → parse → validate → write
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const BrowserManager = require('./browser');
+const ILSSession = require('./ils-session');
+const ILSNavigator = require('./ils-navigator');
+const ExcelParser = require('./excel-parser');
+const PDFParser = require('./pdf-parser');
+const Validator = require('./validator');
+const ExcelWriter = require('./excel-writer');
+const QuotaLedger = require('../storage/quota-ledger');
+const HistoryStore = require('../storage/history-store');
+const ReviewStore = require('../storage/review-store');
+const ItemAliasStore = require('../storage/item-alias-store');
+const logger = require('../utils/logger');
+const { normalizeAjuNumber } = require('../utils/helpers');
+const { getConfig } = require('../config');
+
+class VerificationOrchestrator {
+  constructor(options = {}) {
+    const config = options.config || getConfig();
+    this.config = config;
+
+    this.options = {
+      runId: options.runId || crypto.randomUUID(),
+      ticketNumber: options.ticketNumber ? options.ticketNumber.toString().trim() : null,
+      username: options.username || config.ils.username,
+      password: options.password || config.ils.password,
+      environment: options.environment || config.ils.environment,
+      headless: options.headless !== undefined ? options.headless : config.browser.headless,
+      downloadsDir: options.downloadsDir || config.paths.downloads,
+      resultsDir: options.resultsDir || config.paths.results,
+      downloadTimeout: options.downloadTimeout || 60000,
+      validatorOptions: options.validatorOptions || {},
+      useQuota: options.useQuota !== undefined ? options.useQuota : config.quota.enabled,
+      useHistory: options.useHistory !== undefined ? options.useHistory : config.history.enabled,
+      useAliases: options.useAliases !== undefined ? options.useAliases : config.aliases.enabled,
+      excelProfile: options.excelProfile || config.excel.profile, // Layout profile name or "auto"
+      excelSheet: options.excelSheet || null, // Worksheet name (default: first sheet with a known layout)
+      onProgress: options.onProgress || null,
+      // Logged-in ILSSession shared by a batch (own tab in its browser, no login)
+      session: options.session || null,
+      // Local files (upload mode) - skips ILS login and downloads
+      // pdfPaths: ['bc.pdf'] or [{ path: 'bc.pdf', ajuNumber: '...' }]
+      excelPath: options.excelPath || null,
+      pdfPaths: options.pdfPaths || []
+    };
+
+    // Recorded in run history (ILS user, or OS user for local runs)
+    this.options.operator = options.operator || this.options.username || os.userInfo().username;
+
+    this.ledger = this.options.useQuota ? new QuotaLedger(config) : null;
+    this.history = this.options.useHistory ? new HistoryStore(config) : null;
+    this.reviews = new ReviewStore(config);
+    this.aliases = this.options.useAliases ? new ItemAliasStore(config) : null;
+
+    this.browserManager = null;
+    this.page = null;
+    this.navigator = null;
+
+    this.stages = [];
+    this.status = 'pending';
+    this.cancelled = false;
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.error = null;
+
+    // Artifacts produced along the way
+    this.excelPath = null;
+    this.documents = [];
+    this.parsedDocuments = [];
+    this.excelParser = null;
+    this.validationResult = null;
+    this.outputPath = null;
+  }
+
+  /**
+   * Notify listener (API/WebSocket/script) about progress
+   */
+  emitProgress(type, data = {}) {
+    if (!this.options.onProgress) return;
+
+    try {
+      this.options.onProgress({
+        type: type,
+        ticketNumber: this.options.ticketNumber,
+        timestamp: new Date().toISOString(),
+        ...data
+      });
+    } catch (error) {
+      logger.warn('Progress listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Run a single named stage and record its status and timing
+   */
+  async runStage(name, fn) {
+    if (this.cancelled) {
+      throw new Error('Verification cancelled');
+    }
+
+    const stage = {
+      name: name,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      error: null
+    };
+    this.stages.push(stage);
+
+    logger.info(`▶️ Stage: ${name}`);
+    this.emitProgress('stage', { stage: { ...stage } });
+
+    const start = Date.now();
+    try {
+      const result = await fn();
+      stage.status = 'success';
+      return result;
+    } catch (error) {
+      stage.status = 'failed';
+      stage.error = error.message;
+      throw error;
+    } finally {
+      stage.finishedAt = new Date().toISOString();
+      stage.durationMs = Date.now() - start;
+
+      const icon = stage.status === 'success' ? '✅' : '❌';
+      logger.info(`${icon} Stage ${name}: ${stage.status} (${stage.durationMs}ms)`);
+      this.emitProgress('stage', { stage: { ...stage } });
+    }
+  }
+
+  /**
+   * Launch browser and log into ILS
+   */
+  async login() {
+    const { username, password, headless, environment, session } = this.options;
+
+    if (session) {
+      return this.openSessionTab(session);
+    }
+
+    if (!username || !password) {
+      throw new Error('ILS username and password are required');
+    }
+
+    this.browserManager = new BrowserManager(this.config);
+    await this.browserManager.launch({ headless: headless });
+    this.page = await this.browserManager.newPage();
+
+    const ilsSession = new ILSSession(this.browserManager, { environment, username, password }, this.config);
+    await ilsSession.login(this.page);
+
+    this.navigator = new ILSNavigator(this.page, environment, this.config);
+    this.navigator.useSession(ilsSession);
+  }
+
+  /**
+   * New tab in the batch's logged-in browser (cookies shared, so no login; re-logins go through the batch session)
+   */
+  async openSessionTab(session) {
+    this.browserManager = session.browserManager;
+    this.page = await this.browserManager.newPage();
+    this.navigator = new ILSNavigator(this.page, session.environment, this.config);
+    this.navigator.useSession(session);
+  }
+
+  /**
+   * Close own browser, or only own tab when the browser belongs to a batch
+   */
+  async closeBrowser() {
+    if (!this.browserManager) return;
+
+    if (this.options.session) {
+      await this.browserManager.closePage(this.page);
+    } else {
+      await this.browserManager.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Download the ticket's Excel export into a folder for this run
+   * (one download at a time per browser: the download folder is browser-wide)
+   */
+  async downloadExcel() {
+    const dir = path.join(
+      this.options.downloadsDir,
+      `${this.options.ticketNumber}-${this.options.runId}`
+    );
+
+    return this.browserManager.runExclusive(() => this.navigator.withSession(() =>
+      this.navigator.clickExcelButton(dir, { timeout: this.options.downloadTimeout })
+    ));
+  }
+
+  /**
+   * Open Detail tab and return the new page
+   */
+  async openDetail() {
+    return this.navigator.withSession(() => this.navigator.openDetailPage(this.browserManager));
+  }
+
+  /**
+   * Download BC PDF attachments linked from the Detail page (detail tab closed afterwards)
+   */
+  async fetchDocuments(detailPage) {
+    try {
+      return await this.navigator.fetchBCDocuments(this.browserManager, detailPage, {
+        timeout: this.options.downloadTimeout
+      });
+    } finally {
+      await this.browserManager.closePage(detailPage);
+    }
+  }
+
+  /**
+   * Parse each downloaded BC document
+   */
+  async parseDocuments(documents) {
+    const parsed = [];
+
+    for (let i = 0; i < documents.length; i++) {
+      const doc = documents[i];
+      const pdfParser = new PDFParser(null, {
+        onProgress: (progress) => this.emitProgress('ocr', {
+          document: i + 1,
+          totalDocuments: documents.length,
+          ajuNumber: doc.ajuNumber,
+          ...progress
+        })
+      }, this.config);
+      await pdfParser.loadFromBuffer(doc.buffer);
+      pdfParser.detectDocumentType();
+
+      try {
+        pdfParser.parseItems();
+      } catch (error) {
+        throw new Error(`${doc.fileName || doc.ajuNumber || `Document ${i + 1}`}: ${error.message}`);
+      }
+
+      parsed.push({ ajuNumber: doc.ajuNumber, fileName: doc.fileName || null, parser: pdfParser });
+    }
+
+    if (this.excelParser) {
+      this.mapDocumentsToAju(parsed, this.excelParser.getItems());
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Validate Excel items, pairing each Aju group with its own BC document
+   */
+  validate(excelParser, parsedDocuments) {
+    const validator = new Validator({
+      ...this.options.validatorOptions,
+      ledger: this.ledger,
+      aliases: this.aliases,
+      ticketNumber: this.options.ticketNumber,
+      onItemValidated: (result) => this.emitProgress('row', { result: result })
+    }, this.config);
+    const excelItems = validator.processDuplicateSeri(excelParser.getItems());
+
+    const batch = validator.validateBatch(excelItems, parsedDocuments.map(doc => ({
+      ajuNumber: doc.ajuNumber,
+      parser: doc.parser
+    })));
+
+    batch.results.sort((a, b) => a.rowNumber - b.rowNumber);
+    return batch;
+  }
+
+  /**
+   * Record qty consumed by this ticket in the quota ledger (duplicate seri rows are summed)
+   * Recorded: rows with qty OK whose overall status is OK or WARNING, and rows a reviewer
+   * overrode to OK. ERROR rows (wrong item, Aju mismatch) would use up balance of goods that
+   * were never compared correctly.
+   */
+  recordQuota(validationResult) {
+    const consumptions = new Map();
+    const review = this.reviews.getReview(this.options.runId);
+
+    this.reviews.applyOverrides(validationResult.results, review)
+      .filter(result => result.bcData && result.requestedQty !== undefined)
+      .filter(result => result.override
+        ? result.override.status === 'OK'
+        : result.validation.qty === 'OK' && ['OK', 'WARNING'].includes(result.validation.overall))
+      .forEach(result => {
+        const key = `${normalizeAjuNumber(result.excelData.ajuNumber)}#${result.bcData.seri}`;
+
+        if (!consumptions.has(key)) {
+          consumptions.set(key, {
+            ajuNumber: result.excelData.ajuNumber,
+            seri: result.bcData.seri,
+            qty: 0,
+            bcQty: result.bcData.qty,
+            satuan: result.bcData.satuan,
+            rowNumbers: []
+          });
+        }
+
+        const consumption = consumptions.get(key);
+        consumption.qty += result.requestedQty;
+        consumption.rowNumbers.push(result.rowNumber);
+      });
+
+    this.ledger.recordTicket(this.options.ticketNumber, Array.from(consumptions.values()));
+    return consumptions.size;
+  }
+
+  /**
+   * Store run in history (never fails the run)
+   */
+  async recordHistory() {
+    if (!this.history) return;
+
+    try {
+      await this.history.recordRun({
+        id: this.options.runId,
+        mode: this.options.excelPath ? 'upload' : 'ils',
+        operator: this.options.operator,
+        report: this.getReport(),
+        excelSummary: this.excelParser ? this.excelParser.getSummary() : null,
+        documents: this.parsedDocuments.map(doc => ({
+          ajuNumber: doc.ajuNumber,
+          fileName: doc.fileName,
+          summary: doc.parser.getSummary()
+        })),
+        results: this.validationResult ? this.validationResult.results : []
+      });
+    } catch (error) {
+      logger.warn('Run history not recorded:', error.message);
+    }
+  }
+
+  /**
+   * Write annotated workbook into results folder (reviewer overrides applied)
+   * outputPath: file to overwrite (default: new timestamped file)
+   */
+  async writeResults(excelParser, validationResult, ticketNumber, outputPath = null) {
+    fs.mkdirSync(this.options.resultsDir, { recursive: true });
+
+    const review = this.reviews.getReview(this.options.runId);
+    const results = this.reviews.applyOverrides(validationResult.results, review);
+    const summary = review.overrides.length > 0
+      ? new Validator({}, this.config).generateSummary(results)
+      : validationResult.summary;
+
+    const writer = new ExcelWriter(excelParser, this.config);
+    writer.writeAllResults(results);
+    writer.addSummarySheet(summary, ticketNumber, this.getDocumentInfo(), review);
+
+    if (outputPath) {
+      return await writer.save(outputPath);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T').join('_').substring(0, 19);
+    const sheet = this.options.excelSheet ? `_${this.options.excelSheet.replace(/[^\w-]+/g, '_')}` : '';
+    const name = ticketNumber
+      ? `TIKET-${ticketNumber}`
+      : path.basename(this.excelPath, path.extname(this.excelPath)) + sheet;
+
+    return await writer.save(path.join(
+      this.options.resultsDir,
+      `VERIFIED_${name}_${timestamp}.xlsx`
+    ));
+  }
+
+  /**
+   * Re-generate the workbook after overrides or sign-off (finished runs only)
+   */
+  async rewriteResults() {
+    if (this.status !== 'success' || !this.validationResult) {
+      throw new Error(`Run has no results to rewrite (status: ${this.status})`);
+    }
+
+    this.outputPath = await this.writeResults(
+      this.excelParser,
+      this.validationResult,
+      this.options.ticketNumber,
+      this.outputPath
+    );
+    return this.outputPath;
+  }
+
+  /**
+   * Load local BC PDFs (upload mode)
+   */
+  loadLocalDocuments() {
+    if (this.options.pdfPaths.length === 0) {
+      throw new Error('At least one BC PDF is required');
+    }
+
+    return this.options.pdfPaths.map(entry => {
+      const pdfPath = typeof entry === 'string' ? entry : entry.path;
+      const ajuNumber = typeof entry === 'string' ? null : entry.ajuNumber || null;
+
+      if (!fs.existsSync(pdfPath)) {
+        throw new Error(`PDF not found: ${pdfPath}`);
+      }
+
+      return {
+        ajuNumber: ajuNumber,
+        fileName: path.basename(pdfPath),
+        buffer: fs.readFileSync(pdfPath)
+      };
+    });
+  }
+
+  /**
+   * Assign Aju numbers to documents that don't have one yet
+   * Uses the Nomor Pengajuan printed in the PDF, then matches Excel Aju numbers
+   * against the file name and the PDF text.
+   */
+  mapDocumentsToAju(parsedDocuments, excelItems) {
+    const ajuNumbers = [...new Set(excelItems.map(item => item.ajuNumber))]
+      .filter(aju => normalizeAjuNumber(aju).length > 0);
+
+    parsedDocuments.forEach(doc => {
+      if (doc.ajuNumber) return;
+
+      const detected = doc.parser.detectAjuNumber();
+      if (detected) {
+        doc.ajuNumber = detected;
+        logger.info(`BC document ${doc.fileName || '(buffer)'} is Aju ${detected}`);
+        return;
+      }
+
+      const fileName = normalizeAjuNumber(doc.fileName);
+      const text = normalizeAjuNumber(doc.parser.fullText);
+
+      const match = ajuNumbers.find(aju => fileName.includes(normalizeAjuNumber(aju))) ||
+                    ajuNumbers.find(aju => text.includes(normalizeAjuNumber(aju)));
+
+      if (match) {
+        doc.ajuNumber = match;
+        logger.info(`BC document ${doc.fileName || '(buffer)'} mapped to Aju ${match}`);
+      } else {
+        logger.warn(`Could not map BC document ${doc.fileName || '(buffer)'} to any Aju in Excel`);
+      }
+    });
+
+    return parsedDocuments;
+  }
+
+  /**
+   * Parse downloaded/uploaded Excel file
+   */
+  async parseExcel() {
+    const parser = new ExcelParser(this.excelPath, this.config, {
+      profile: this.options.excelProfile,
+      sheet: this.options.excelSheet
+    });
+    await parser.load();
+
+    const ticketNumber = parser.getTicketNumber();
+    if (!this.options.ticketNumber && ticketNumber) {
+      this.options.ticketNumber = ticketNumber;
+    }
+
+    const items = parser.parseItems();
+    if (items.length === 0) {
+      throw new Error('No valid items found in Excel');
+    }
+
+    return parser;
+  }
+
+  /**
+   * Run the full verification for one ticket
+   */
+  async run() {
+    const isUpload = !!this.options.excelPath;
+
+    if (!isUpload && !this.options.ticketNumber) {
+      throw new Error('Ticket number is required');
+    }
+
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    logger.info('='.repeat(60));
+    logger.info(`VERIFICATION START - ${this.getLabel()}`);
+    logger.info('='.repeat(60));
+
+    try {
+      if (isUpload) {
+        this.excelPath = this.options.excelPath;
+        this.excelParser = await this.runStage('parseExcel', () => this.parseExcel());
+        this.documents = await this.runStage('loadDocuments', async () => this.loadLocalDocuments());
+      } else {
+        const { ticketNumber } = this.options;
+
+        await this.runStage(this.options.session ? 'openTab' : 'login', () => this.login());
+        await this.runStage('navigate', () => this.navigator.withSession(() => this.navigator.navigateToScrapList()));
+        await this.runStage('search', () => this.navigator.withSession(() => this.navigator.searchTicket(ticketNumber)));
+
+        this.excelPath = await this.runStage('downloadExcel', () => this.downloadExcel());
+        this.excelParser = await this.runStage('parseExcel', () => this.parseExcel());
+
+        const detailPage = await this.runStage('openDetail', () => this.openDetail());
+        this.documents = await this.runStage('fetchDocuments', () => this.fetchDocuments(detailPage));
+      }
+
+      this.parsedDocuments = await this.runStage('parseDocuments', () => this.parseDocuments(this.documents));
+
+      this.validationResult = await this.runStage('validate', async () =>
+        this.validate(this.excelParser, this.parsedDocuments)
+      );
+
+      // Upload mode checks the balance but does not consume it: its ticket number may only
+      // come from a sheet or file name, and the files may not be the ticket's final export
+      if (this.ledger && !isUpload) {
+        await this.runStage('recordQuota', async () => this.recordQuota(this.validationResult));
+      } else if (this.ledger) {
+        logger.info('Upload mode, quota consumption not recorded');
+      }
+
+      this.outputPath = await this.runStage('writeResults', () =>
+        this.writeResults(this.excelParser, this.validationResult, this.options.ticketNumber)
+      );
+
+      this.status = 'success';
+      logger.success(`✅ VERIFICATION COMPLETE - ${this.getLabel()}`);
+    } catch (error) {
+      this.status = this.cancelled ? 'cancelled' : 'failed';
+      this.error = error.message;
+      logger.error(`❌ VERIFICATION ${this.status.toUpperCase()} - ${this.getLabel()}:`, error.message);
+    } finally {
+      await this.closeBrowser();
+      this.finishedAt = new Date().toISOString();
+    }
+
+    await this.recordHistory();
+
+    const report = this.getReport();
+    this.emitProgress('complete', { report: report });
+    return report;
+  }
+
+  /**
+   * Short description of what is being verified (for logs)
+   */
+  getLabel() {
+    if (this.options.ticketNumber) {
+      return `Ticket ${this.options.ticketNumber}`;
+    }
+    const sheet = this.options.excelSheet ? ` [${this.options.excelSheet}]` : '';
+    return `Uploaded ${path.basename(this.options.excelPath || 'files')}${sheet}`;
+  }
+
+  /**
+   * Cancel a running verification
+   * The current stage is interrupted by closing the browser (own tab in a batch); next stage will not start.
+   */
+  async cancel() {
+    if (this.status !== 'running' && this.status !== 'pending') {
+      return false;
+    }
+
+    logger.warn(`Cancelling verification (${this.getLabel()})...`);
+    this.cancelled = true;
+    await this.closeBrowser();
+
+    return true;
+  }
+
+  /**
+   * Drop what a finished run no longer needs: credentials, browser, downloaded buffers
+   * (parsed documents stay for review and page rendering; nothing of a failed run can be reviewed)
+   * @param {boolean} all - also drop parsed documents, Excel and results (job evicted)
+   */
+  release(all = false) {
+    delete this.options.username;
+    delete this.options.password;
+    this.options.session = null;
+    this.browserManager = null;
+    this.page = null;
+    this.navigator = null;
+    this.documents = [];
+
+    if (all || this.status !== 'success') {
+      this.parsedDocuments = [];
+      this.excelParser = null;
+      this.validationResult = null;
+    }
+  }
+
+  /**
+   * Registration data of each parsed BC document
+   */
+  getDocumentInfo() {
+    return this.parsedDocuments.map(doc => ({
+      ajuNumber: doc.ajuNumber,
+      fileName: doc.fileName,
+      header: doc.parser.getHeader(),
+      totalItems: doc.parser.getItems().length
+    }));
+  }
+
+  /**
+   * Parsed BC document by index (for page rendering in review screens)
+   */
+  getDocument(index) {
+    return this.parsedDocuments[index] || null;
+  }
+
+  /**
+   * Get run report (status, per-stage timing, summary, output)
+   */
+  getReport() {
+    const durationMs = this.startedAt
+      ? new Date(this.finishedAt || Date.now()) - new Date(this.startedAt)
+      : 0;
+
+    const failedStage = this.stages.find(s => s.status === 'failed');
+
+    return {
+      runId: this.options.runId,
+      ticketNumber: this.options.ticketNumber,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: durationMs,
+      stages: this.stages.map(s => ({ ...s })),
+      failedStage: failedStage ? failedStage.name : null,
+      error: this.error,
+      excelPath: this.excelPath,
+      excelProfile: this.excelParser && this.excelParser.getLayout() ? this.excelParser.getLayout().name : null,
+      excelSheet: this.excelParser && this.excelParser.getWorksheet() ? this.excelParser.getWorksheet().name : null,
+      outputPath: this.outputPath,
+      summary: this.validationResult ? this.validationResult.summary : null,
+      documents: this.getDocumentInfo()
+    };
+  }
+}
+
+module.exports = VerificationOrchestrator;
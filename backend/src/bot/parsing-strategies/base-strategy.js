@@ -0,0 +1,119 @@
+// backend/src/bot/parsing-strategies/base-strategy.js
+// Base class for BC item parsing strategies
+
+const logger = require('../../utils/logger');
+
+class ParsingStrategy {
+  /**
+   * @param {string} name - Strategy name used in logs
+   * @param {string[]} documentTypes - Document types handled ('BC2.3', 'BC4.0', ...)
+   */
+  constructor(name, documentTypes) {
+    this.name = name;
+    this.documentTypes = documentTypes;
+  }
+
+  /**
+   * Check if strategy handles this document type ('Unknown' tries every strategy)
+   */
+  supports(documentType) {
+    return documentType === 'Unknown' || this.documentTypes.includes(documentType);
+  }
+
+  /**
+   * Extract items from document text
+   * @param {string} text - Full PDF text (digital or OCR)
+   * @param {Object} context - { documentType, isScanned }
+   * @returns {Array} items: { seri, kodeBarang, hsCode, uraian, qty, satuan, source: { start, end } }
+   *   kodeBarang / hsCode are null when the document does not show them;
+   *   source is the item's text block offsets in text (PDFParser adds page number and text)
+   */
+  parse() {
+    throw new Error(`Strategy ${this.name} does not implement parse()`);
+  }
+
+  /**
+   * Kode barang from a "Kode Brg :" / "Kode Barang :" / OCR "Kd barang:" label
+   * null when empty or "-" (OCR "Kd barang: - PPh:2.5%" must not yield "PPh")
+   */
+  extractKodeBarang(text) {
+    const match = text.match(/(?:Kode|Kd)\.?\s*(?:Barang|Brg)[^\w\n]{0,10}([A-Z0-9][\w.\-/]*)(?![\w:%])/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * HS code without OCR brackets ("[8479.903000" → "8479.903000")
+   */
+  cleanHsCode(hsCode) {
+    const cleaned = (hsCode || '').replace(/[\[\]|]/g, '').trim();
+    return cleaned || null;
+  }
+
+  /**
+   * Offset of every line start in text (for line-based strategies)
+   */
+  getLineOffsets(lines) {
+    const offsets = [];
+    let position = 0;
+
+    lines.forEach(line => {
+      offsets.push(position);
+      position += line.length + 1; // "\n"
+    });
+    offsets.push(position);
+
+    return offsets;
+  }
+
+  /**
+   * Confidence 0..1 based on field completeness and seri continuity
+   * (seri 1..n without gaps means no item block was skipped)
+   */
+  scoreConfidence(items) {
+    if (items.length === 0) {
+      return 0;
+    }
+
+    const fieldScore = items.reduce((sum, item) => {
+      const filled = [
+        item.kodeBarang || item.hsCode,
+        item.uraian,
+        item.satuan,
+        typeof item.qty === 'number' && !isNaN(item.qty)
+      ].filter(Boolean).length;
+      return sum + filled / 4;
+    }, 0) / items.length;
+
+    const uniqueSeri = new Set(items.map(i => i.seri)).size;
+    const maxSeri = Math.max(...items.map(i => i.seri));
+    const continuity = uniqueSeri / Math.max(maxSeri, items.length);
+
+    return Math.round((0.6 * fieldScore + 0.4 * continuity) * 100) / 100;
+  }
+
+  /**
+   * Run strategy without throwing
+   * @returns {Object} { strategy, items, confidence, error }
+   */
+  run(text, context) {
+    try {
+      const items = this.parse(text, context);
+      return {
+        strategy: this.name,
+        items: items,
+        confidence: this.scoreConfidence(items),
+        error: null
+      };
+    } catch (error) {
+      logger.warn(`Strategy ${this.name} failed:`, error.message);
+      return {
+        strategy: this.name,
+        items: [],
+        confidence: 0,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ParsingStrategy;
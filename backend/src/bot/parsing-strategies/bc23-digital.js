@@ -0,0 +1,115 @@
+// backend/src/bot/parsing-strategies/bc23-digital.js
+// BC 2.3 digital text layout: "<seri> Pos Tarif/HS" blocks with "Kode Brg :"
+
+const ParsingStrategy = require('./base-strategy');
+const logger = require('../../utils/logger');
+
+class BC23DigitalStrategy extends ParsingStrategy {
+  constructor() {
+    super('bc23-digital', ['BC2.3']);
+  }
+
+  /**
+   * Split text on "<seri> Pos Tarif/HS" and parse each block
+   */
+  parse(text) {
+    const itemPattern = /(\d+)\s+Pos Tarif\/HS/g;
+    const matches = [...text.matchAll(itemPattern)];
+    const items = [];
+
+    logger.debug(`Found ${matches.length} items using "Pos Tarif/HS" pattern`);
+
+    for (let i = 0; i < matches.length; i++) {
+      const match = matches[i];
+      const seri = parseInt(match[1]);
+      const startIndex = match.index;
+      const endIndex = i < matches.length - 1 ? matches[i + 1].index : text.length;
+
+      const itemText = text.substring(startIndex, endIndex);
+
+      try {
+        const itemData = this.parseItemText(seri, itemText);
+        if (itemData) {
+          itemData.source = { start: startIndex, end: endIndex };
+          items.push(itemData);
+          logger.debug(`Parsed Seri ${seri}: ${itemData.kodeBarang || '-'} / HS ${itemData.hsCode || '-'} - ${itemData.qty} ${itemData.satuan}`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to parse item ${seri}:`, error.message);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse individual item text block (for digital PDF)
+   */
+  parseItemText(seri, itemText) {
+    try {
+      // Extract HS code ("1 Pos Tarif/HS 8479.90.30") and Kode Brg
+      const hsMatch = itemText.match(/Pos Tarif\/HS\s*:?\s*(\d{4}[\d.]*\d)/);
+      const hsCode = hsMatch ? hsMatch[1] : null;
+      const kodeBarang = this.extractKodeBarang(itemText);
+      if (!kodeBarang && !hsCode) {
+        throw new Error('Kode Brg and HS code not found');
+      }
+
+      // Extract Uraian (description)
+      const uraianMatch = itemText.match(/Kode Brg\s*:\s*\w+\s+(.+?)(?=Kemasan:|Merk:|$)/s);
+      const uraian = uraianMatch ? uraianMatch[1].trim().replace(/\s+/g, ' ') : '';
+
+      // Extract Jumlah (Qty)
+      // Pattern: "- 3.150,0000" or "- 470,0000"
+      // Looking for pattern: dash, space, number with dots/commas, newline, dash, space, unit
+      const jumlahMatch = itemText.match(/-\s*([\d.,]+)\s*\n\s*-\s*(\w+)/);
+      
+      if (!jumlahMatch) {
+        // Try alternative pattern (sometimes formatting is different)
+        const altMatch = itemText.match(/Jumlah[:\s]*([\d.,]+)\s*(\w+)/i);
+        if (!altMatch) {
+          throw new Error('Jumlah not found');
+        }
+        
+        const qtyString = altMatch[1].replace(/\./g, '').replace(',', '.');
+        const qty = parseFloat(qtyString);
+        const satuan = altMatch[2].trim();
+
+        return {
+          seri: seri,
+          kodeBarang: kodeBarang,
+          hsCode: hsCode,
+          uraian: uraian,
+          qty: qty,
+          satuan: satuan
+        };
+      }
+
+      // Parse qty: "3.150,0000" → 3150
+      const qtyString = jumlahMatch[1]
+        .replace(/\./g, '')     // Remove dots (thousand separator)
+        .replace(',', '.');      // Replace comma with dot (decimal)
+      
+      const qty = parseFloat(qtyString);
+      const satuan = jumlahMatch[2].trim();
+
+      if (isNaN(qty)) {
+        throw new Error(`Invalid qty: ${jumlahMatch[1]}`);
+      }
+
+      return {
+        seri: seri,
+        kodeBarang: kodeBarang,
+        hsCode: hsCode,
+        uraian: uraian,
+        qty: qty,
+        satuan: satuan
+      };
+    } catch (error) {
+      logger.error(`Error parsing item text for seri ${seri}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = BC23DigitalStrategy;
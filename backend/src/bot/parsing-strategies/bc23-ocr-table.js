@@ -0,0 +1,197 @@
+// backend/src/bot/parsing-strategies/bc23-ocr-table.js
+// BC 2.3 OCR table layout: "<seri> <HS code> ... <qty> Piece (PCE)" rows
+
+const ParsingStrategy = require('./base-strategy');
+const logger = require('../../utils/logger');
+
+class BC23OCRTableStrategy extends ParsingStrategy {
+  constructor() {
+    super('bc23-ocr-table', ['BC2.3']);
+  }
+
+  /**
+   * Parse items from OCR table format
+   * Format: "1 8479.903000 ... 1.0000 Piece (PCE)"
+   * Also handles: "| 1 [8479.903000" and variations
+   */
+  parse(text) {
+    const items = [];
+
+    try {
+      // Pattern variations in real OCR:
+      // "1 8479.903000" - normal (10 chars with dot)
+      // "| 1 [8479.903000" - with pipe and bracket
+      // "2 8479903000" - no dots (10 digits)
+      // "5 [8479.90.3000" - extra dot
+      // "7 [3926905900" - 10 digits no dots
+      const lines = text.split('\n');
+      const lineOffsets = this.getLineOffsets(lines);
+
+      // Pattern: multiple optional pipes/spaces, item number, optional bracket, HS code
+      // Matches: 1234.567890 or 1234567890 or 1234.56.7890 or 1234567890 (10 digits)
+      // Handles: "| | 7 [3926905900" (double pipe)
+      const itemLinePattern = /^[\|\s]*(\d+)\s+\[?(\d{4}[.,]?\d{2,3}[.,]?\d{3,4}|\d{10})/;
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const match = line.match(itemLinePattern);
+
+        if (match) {
+          const seri = parseInt(match[1]);
+          const hsCode = match[2];
+
+          // Get the full item block (current line + next few lines until next item)
+          let itemBlock = line + '\n';
+          let j = i + 1;
+          while (j < lines.length && !lines[j].trim().match(itemLinePattern)) {
+            itemBlock += lines[j] + '\n';
+            j++;
+            if (j - i > 10) break; // Limit to 10 lines per item
+          }
+
+          try {
+            const itemData = this.parseOCRItemText(seri, hsCode, itemBlock);
+            if (itemData) {
+              itemData.source = { start: lineOffsets[i], end: lineOffsets[j] - 1 };
+              items.push(itemData);
+              logger.debug(`Parsed Seri ${seri}: ${itemData.kodeBarang || '-'} / HS ${itemData.hsCode} - ${itemData.qty} ${itemData.satuan}`);
+            }
+          } catch (error) {
+            logger.warn(`Failed to parse OCR item ${seri}:`, error.message);
+          }
+        }
+      }
+
+      logger.info(`OCR table parsing found ${items.length} items`);
+    } catch (error) {
+      logger.error('OCR table parsing failed:', error.message);
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse OCR item text block
+   * Format example:
+   * "1 8479.903000 Tidak Japan (JP) BM: 5% DTG:100% 1.0000 Piece (PCE) 24.17
+   *  COMPACT FLASH (BUFFALO RC Berhub. Cukai:- 0.0200 Kg"
+   * Also handles: "| 1 [8479903000" and other variations
+   */
+  parseOCRItemText(seri, hsCode, itemBlock) {
+    try {
+      // Normalize HS code: remove brackets, ensure proper format
+      // "8479903000" → "8479.903000"
+      // "8479.90.3000" → "8479.903000"
+      hsCode = this.cleanHsCode(hsCode);
+
+      // If no dots, add them in proper positions (4.6 format)
+      if (!hsCode.includes('.') && hsCode.length >= 10) {
+        hsCode = hsCode.substring(0, 4) + '.' + hsCode.substring(4);
+      }
+      // If has dots but wrong format (e.g., "8479.90.3000"), normalize it
+      else if (hsCode.match(/^\d{4}\.\d{2}\.\d{4}$/)) {
+        hsCode = hsCode.replace(/^(\d{4})\.(\d{2})\.(\d{4})$/, '$1.$2$3');
+      }
+
+      // "Kd barang:" is usually "-" in BC 2.3 scans (the seri line only carries the HS code)
+      const kodeBarang = this.extractKodeBarang(itemBlock);
+
+      // Extract quantity and unit
+      // Pattern: "1.0000 Piece (PCE)" or "3.0000 Set (SET)"
+      const qtyPattern = /([\d.,]+)\s+(Piece|Set|Kg|Unit|Pcs|PCS|SET|PIECE|KG|UNIT)\s*\(([A-Z]+)\)/i;
+      const qtyMatch = itemBlock.match(qtyPattern);
+
+      if (!qtyMatch) {
+        throw new Error('Quantity not found in OCR text');
+      }
+
+      // Parse quantity
+      // Smart parsing: distinguish between thousand separator and decimal
+      // Format: "1.0000" (decimal) vs "3.150,0000" (thousand separator + decimal)
+      let qtyString = qtyMatch[1];
+
+      // If format is like "3.150,0000" (dot for thousand, comma for decimal)
+      if (qtyString.includes('.') && qtyString.includes(',')) {
+        qtyString = qtyString.replace(/\./g, '').replace(',', '.');
+      }
+      // If format is like "1.0000" with 4+ decimals (likely decimal point, not thousand separator)
+      else if (qtyString.match(/^\d+\.\d{4,}$/)) {
+        // Keep as is - it's a decimal point
+        qtyString = qtyString;
+      }
+      // If format is like "3.150" with 3 or fewer decimals (might be thousand separator)
+      else if (qtyString.match(/^\d{1,3}\.\d{3}$/)) {
+        // This could be "3.150" meaning 3150 (thousand separator)
+        qtyString = qtyString.replace(/\./g, '');
+      }
+      // Default: replace comma with dot for decimal
+      else {
+        qtyString = qtyString.replace(',', '.');
+      }
+
+      const qty = parseFloat(qtyString);
+      const satuan = qtyMatch[3].trim(); // Use the abbreviation in parentheses
+
+      if (isNaN(qty)) {
+        throw new Error(`Invalid qty: ${qtyMatch[1]}`);
+      }
+
+      // Extract description (Uraian)
+      // Description is typically on the second line
+      const lines = itemBlock.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+      let uraian = '';
+
+      if (lines.length > 1) {
+        // Look for description line (usually contains uppercase text and product name)
+        for (let i = 1; i < lines.length; i++) {
+          const line = lines[i];
+          // Description usually doesn't start with metadata keywords
+          if (line && !line.match(/^(Kd barang|Langsung|Carton|BM:|Cukai|PPN|PPnBM|PPh|Tidak|Berhub|\d+\s+Carton)/i)) {
+            // Extract full description (everything before "Berhub" or "Langsung")
+            const descMatch = line.match(/^(.+?)(?:\s+Berhub|\s+Langsung|$)/);
+            if (descMatch && descMatch[1].length > 3) {
+              uraian = descMatch[1].trim();
+              break;
+            }
+          }
+        }
+      }
+
+      // If no description found in second line, try to extract from first line after HS code
+      if (!uraian) {
+        // Look in the first line, between HS code and quantity
+        const firstLine = lines[0];
+        // Try to find text between country code and quantity or BM:
+        const patterns = [
+          /\([A-Z]{2}\)\s+(.+?)\s+(?:BM:|DTG:|\d+[.,]\d+\s+(?:Piece|Set|Kg))/i,
+          /Tidak\s+[A-Z][a-z]+\s+\([A-Z]{2}\)\s+(.+?)\s+(?:BM:|DTG:)/i
+        ];
+
+        for (const pattern of patterns) {
+          const match = firstLine.match(pattern);
+          if (match && match[1].length > 3) {
+            uraian = match[1].trim();
+            break;
+          }
+        }
+      }
+
+      // Clean up description: remove leading pipe, brackets, etc
+      uraian = uraian.replace(/^\|+\s*/, '').trim();
+
+      return {
+        seri: seri,
+        kodeBarang: kodeBarang,
+        hsCode: hsCode,
+        uraian: uraian,
+        qty: qty,
+        satuan: satuan
+      };
+    } catch (error) {
+      logger.error(`Error parsing OCR item text for seri ${seri}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = BC23OCRTableStrategy;
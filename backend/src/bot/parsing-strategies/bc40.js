@@ -0,0 +1,102 @@
+// backend/src/bot/parsing-strategies/bc40.js
+// BC 4.0 layout (digital and OCR): labelled Kode Barang / Uraian / Jumlah Satuan fields
+
+const ParsingStrategy = require('./base-strategy');
+const logger = require('../../utils/logger');
+const { parseIndonesianNumber } = require('../../utils/helpers');
+
+class BC40Strategy extends ParsingStrategy {
+  constructor() {
+    super('bc40', ['BC4.0']);
+  }
+
+  /**
+   * Parse items from BC 4.0 layout (digital and OCR)
+   * Each item starts with its seri and HS code, followed by labelled fields:
+   * "1 Pos Tarif/HS : 8479.90.30"
+   * "Kode Barang : ABC123"
+   * "Uraian : COMPACT FLASH BUFFALO"
+   * "Jumlah Satuan : 3.150,0000 PCE"  (OCR: "Jumlah Satuan © 3.150,0000 Piece (PCE)")
+   */
+  parse(text) {
+    const lines = text.split('\n');
+    const lineOffsets = this.getLineOffsets(lines);
+    const items = [];
+
+    // Seri, optional "Pos Tarif/HS" label (OCR may drop the slash), HS code
+    const itemLinePattern = /^[\|\s]*(\d{1,3})[\s|\[]+(?:Pos\s+Tari[fl]\s*\/?\s*HS[^\w\n]{0,5})?\[?(\d{4}[.,]?\d{2}[.,]?\d{2,4})\b/i;
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].trim().match(itemLinePattern);
+      if (!match) continue;
+
+      const seri = parseInt(match[1]);
+
+      // Item block runs until the next item line (max 12 lines)
+      let itemBlock = lines[i] + '\n';
+      let j = i + 1;
+      while (j < lines.length && !lines[j].trim().match(itemLinePattern) && j - i <= 12) {
+        itemBlock += lines[j] + '\n';
+        j++;
+      }
+
+      const itemData = this.parseItemText(seri, match[2], itemBlock);
+      if (itemData) {
+        itemData.source = { start: lineOffsets[i], end: lineOffsets[j] - 1 };
+        items.push(itemData);
+        logger.debug(`Parsed Seri ${seri}: ${itemData.kodeBarang || '-'} / HS ${itemData.hsCode} - ${itemData.qty} ${itemData.satuan}`);
+      }
+    }
+
+    logger.info(`BC 4.0 parsing found ${items.length} items`);
+    return items;
+  }
+
+  /**
+   * Parse BC 4.0 item block
+   */
+  parseItemText(seri, hsCode, itemBlock) {
+    try {
+      const sep = '[^\\w\\n]{0,10}';
+
+      // Jumlah: "3.150,0000 PCE" or OCR "3.150,0000 Piece (PCE)"
+      const jumlahMatch = itemBlock.match(new RegExp(
+        `Jumlah(?:\\s*(?:&|dan)?\\s*(?:Jenis\\s+)?Satuan)?${sep}([\\d.,]+\\d)\\s*(?:[A-Za-z]+\\s*\\(([A-Z]{2,5})\\)|([A-Z]{2,5})\\b)`,
+        'i'
+      ));
+      if (!jumlahMatch) {
+        throw new Error('Jumlah Satuan not found');
+      }
+
+      const qty = parseIndonesianNumber(jumlahMatch[1]);
+      if (qty === null) {
+        throw new Error(`Invalid qty: ${jumlahMatch[1]}`);
+      }
+      const satuan = (jumlahMatch[2] || jumlahMatch[3]).toUpperCase();
+
+      // Kode Barang (null when "-", i.e. the importer left it empty)
+      const kodeBarang = this.extractKodeBarang(itemBlock);
+      if (!kodeBarang) {
+        logger.debug(`Seri ${seri}: Kode Barang empty (HS code ${hsCode})`);
+      }
+
+      // Uraian: labelled line, stops at Merk/Tipe/Ukuran columns
+      const uraianMatch = itemBlock.match(new RegExp(`Uraian(?:\\s+(?:Jenis\\s+)?Barang)?${sep}([^\\n]+?)(?=\\s+(?:Merk|Tipe|Ukuran)\\b|\\s*\\||\\n|$)`, 'i'));
+      const uraian = uraianMatch ? uraianMatch[1].trim() : '';
+
+      return {
+        seri: seri,
+        kodeBarang: kodeBarang,
+        hsCode: this.cleanHsCode(hsCode),
+        uraian: uraian,
+        qty: qty,
+        satuan: satuan
+      };
+    } catch (error) {
+      logger.error(`Error parsing BC 4.0 item text for seri ${seri}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = BC40Strategy;
@@ -0,0 +1,45 @@
+// backend/src/bot/parsing-strategies/index.js
+// Registry of BC item parsing strategies used by PDFParser
+
+const ParsingStrategy = require('./base-strategy');
+const BC23DigitalStrategy = require('./bc23-digital');
+const BC23OCRTableStrategy = require('./bc23-ocr-table');
+const BC40Strategy = require('./bc40');
+
+// Registration order breaks confidence ties
+const strategies = [
+  new BC23DigitalStrategy(),
+  new BC23OCRTableStrategy(),
+  new BC40Strategy()
+];
+
+/**
+ * Add a strategy for a new layout (BC 2.5, BC 2.6.1, BC 2.7, BC 4.1, ...)
+ * @param {ParsingStrategy} strategy
+ */
+function registerStrategy(strategy) {
+  if (!(strategy instanceof ParsingStrategy)) {
+    throw new Error('Parsing strategy must extend ParsingStrategy');
+  }
+
+  if (strategies.some(s => s.name === strategy.name)) {
+    throw new Error(`Parsing strategy already registered: ${strategy.name}`);
+  }
+
+  strategies.push(strategy);
+}
+
+/**
+ * Strategies that handle the given document type
+ * @param {string} documentType - 'BC2.3', 'BC4.0', ... or 'Unknown' for all
+ * @returns {ParsingStrategy[]}
+ */
+function getStrategies(documentType) {
+  return strategies.filter(s => s.supports(documentType));
+}
+
+module.exports = {
+  ParsingStrategy,
+  registerStrategy,
+  getStrategies
+};
@@ -7,16 +7,27 @@ const { pdfToPng } = require('pdf-to-png-converter');
 const sharp = require('sharp');
 const logger = require('../utils/logger');
 const OCRCleanup = require('../utils/cleanup-ocr');
+const { parseIndonesianNumber } = require('../utils/helpers');
+const { getStrategies } = require('./parsing-strategies');
+const { getConfig } = require('../config');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 class PDFParser {
-  constructor(pdfPath) {
+  constructor(pdfPath, options = {}, config = getConfig()) {
     this.pdfPath = pdfPath;
+    this.config = config;
     this.pdfData = null;
+    this.buffer = null; // Original PDF bytes (page rendering for review)
     this.fullText = '';
+    this.pageOffsets = []; // { page, start, end } of each page in fullText
+    this.pageLayouts = []; // Per page: { width, height, boxes: [{ start, end, x, y, width, height }] } (digital text only)
     this.items = [];
+    this.header = null;
+    this.parseResult = null; // Selected strategy and confidence
     this.isScanned = false;
+    this.onProgress = options.onProgress || null; // OCR progress callback
   }
 
   /**
@@ -27,8 +38,7 @@ class PDFParser {
       logger.info(`Loading PDF: ${this.pdfPath}`);
       
       const dataBuffer = fs.readFileSync(this.pdfPath);
-      this.pdfData = await pdfParse(dataBuffer);
-      this.fullText = this.pdfData.text;
+      await this.extractText(dataBuffer);
 
       logger.success(`✅ PDF loaded: ${this.pdfData.numpages} pages`);
       
@@ -55,8 +65,7 @@ class PDFParser {
     try {
       logger.info('Loading PDF from buffer...');
       
-      this.pdfData = await pdfParse(buffer);
-      this.fullText = this.pdfData.text;
+      await this.extractText(buffer);
 
       logger.success(`✅ PDF loaded: ${this.pdfData.numpages} pages`);
       
@@ -66,15 +75,20 @@ class PDFParser {
         logger.warn('PDF appears to be scanned, attempting OCR...');
         this.isScanned = true;
         
-        // Save buffer to temp file for OCR
-        const tempPath = path.join(__dirname, '../../logs', `temp-${Date.now()}.pdf`);
+        // Save buffer to temp file for OCR (unique name: tickets of a batch OCR at the same time)
+        const tempPath = path.join(
+          this.config.paths.logs,
+          `temp-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.pdf`
+        );
         fs.writeFileSync(tempPath, buffer);
         this.pdfPath = tempPath;
-        
-        await this.extractTextWithOCR();
-        
-        // Clean up temp file
-        fs.unlinkSync(tempPath);
+
+        try {
+          await this.extractTextWithOCR();
+        } finally {
+          // Clean up temp file
+          fs.rmSync(tempPath, { force: true });
+        }
       }
       
       return true;
@@ -84,23 +98,188 @@ class PDFParser {
     }
   }
 
+  /**
+   * Extract digital text page by page (pdf-parse joins pages as "\n\n" + page)
+   */
+  async extractText(buffer) {
+    this.buffer = buffer;
+
+    const pageTexts = [];
+    this.pageLayouts = [];
+    this.pdfData = await pdfParse(buffer, {
+      pagerender: (pageData) => this.renderPageText(pageData).then(text => {
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      })
+    });
+    this.fullText = this.pdfData.text;
+
+    const pages = Array.from({ length: this.pdfData.numpages }, (_, i) => pageTexts[i] || '');
+    this.indexPages(pages, '\n\n', true);
+  }
+
+  /**
+   * Page text in the same layout as pdf-parse's default renderer (new line when y changes)
+   * Position of every text piece on the page is kept in pageLayouts (item highlight in review screens).
+   */
+  async renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+    const viewport = pageData.getViewport(1);
+    const boxes = [];
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+
+      // Text baseline at (x, y) in PDF space, converted to top-left page coordinates
+      const [x, y] = [item.transform[4], item.transform[5]];
+      const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+      const [x1, y1] = viewport.convertToViewportPoint(x, y);
+      const [x2, y2] = viewport.convertToViewportPoint(x + item.width, y + height);
+      boxes.push({
+        start: text.length - item.str.length,
+        end: text.length,
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+      });
+    }
+
+    this.pageLayouts[pageData.pageIndex] = { width: viewport.width, height: viewport.height, boxes: boxes };
+    return text;
+  }
+
+  /**
+   * Record where each page starts in fullText (used to locate parsed items)
+   */
+  indexPages(pageTexts, separator, leadingSeparator = false) {
+    this.pageOffsets = [];
+    let position = 0;
+
+    pageTexts.forEach((text, index) => {
+      if (leadingSeparator || index > 0) {
+        position += separator.length;
+      }
+      this.pageOffsets.push({ page: index + 1, start: position, end: position + text.length });
+      position += text.length;
+    });
+
+    if (position !== this.fullText.length) {
+      logger.warn(`Page index does not match text length (${position} vs ${this.fullText.length}), page numbers unavailable`);
+      this.pageOffsets = [];
+    }
+  }
+
+  /**
+   * Page number containing a fullText offset (null if pages are unknown)
+   */
+  getPageAt(offset) {
+    const page = this.pageOffsets.find(p => offset < p.end) || this.pageOffsets[this.pageOffsets.length - 1];
+    return page ? page.page : null;
+  }
+
+  /**
+   * Area of a fullText range on its page, as fractions of the page size with the origin top left
+   * (null when unknown: OCR text, whose words are renamed and merged by post-processing)
+   * @returns {Object|null} { x, y, width, height }
+   */
+  getTextBox(pageNumber, start, end) {
+    const layout = this.pageLayouts[pageNumber - 1];
+    const page = this.pageOffsets[pageNumber - 1];
+    if (!layout || !page) {
+      return null;
+    }
+
+    const boxes = layout.boxes.filter(box =>
+      box.width > 0 && box.start < end - page.start && box.end > start - page.start
+    );
+    if (boxes.length === 0) {
+      return null;
+    }
+
+    const left = Math.min(...boxes.map(box => box.x));
+    const top = Math.min(...boxes.map(box => box.y));
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+    const round = (value) => Math.round(value * 10000) / 10000;
+
+    return {
+      x: round(left / layout.width),
+      y: round(top / layout.height),
+      width: round((right - left) / layout.width),
+      height: round((bottom - top) / layout.height)
+    };
+  }
+
+  /**
+   * Attach page number, text block and page area to an item located by its strategy
+   * item.source: { start, end } → { page, start, end, text, box }
+   */
+  locateItem(item) {
+    if (!item.source || item.source.start === undefined) {
+      return item;
+    }
+
+    const page = this.getPageAt(item.source.start);
+    item.source = {
+      page: page,
+      start: item.source.start,
+      end: item.source.end,
+      text: this.fullText.substring(item.source.start, item.source.end).trim(),
+      box: page ? this.getTextBox(page, item.source.start, item.source.end) : null
+    };
+
+    return item;
+  }
+
+  /**
+   * Render one page as PNG (for review screens)
+   */
+  async renderPage(pageNumber, viewportScale = 1.5) {
+    if (!this.buffer) {
+      throw new Error('PDF not loaded');
+    }
+
+    const pages = await pdfToPng(this.buffer, {
+      viewportScale: viewportScale,
+      pagesToProcess: [pageNumber]
+    });
+
+    if (pages.length === 0) {
+      throw new Error(`Page ${pageNumber} not found`);
+    }
+
+    return pages[0].content;
+  }
+
   /**
    * Extract text using OCR (Tesseract) with enhanced accuracy for scanned documents
    */
   async extractTextWithOCR() {
+    let absoluteTempFolder = null;
+
     try {
       logger.info('Starting enhanced OCR text extraction...');
       logger.info('This may take 30-90 seconds depending on PDF size...');
 
-      // Ensure temp folder exists
-      // Use simple relative path from backend working directory to project root /logs/
-      // When backend runs from /backend dir, '../logs/ocr-temp' goes to project root /logs/ocr-temp
-      const tempFolder = path.join('..', 'logs', 'ocr-temp');
-      const absoluteTempFolder = path.resolve(tempFolder);
-
-      if (!fs.existsSync(absoluteTempFolder)) {
-        fs.mkdirSync(absoluteTempFolder, { recursive: true });
-      }
+      // Own folder per OCR run under ocr-temp (tickets of a batch OCR at the same time,
+      // so no run may delete another run's page images)
+      // Use relative path from working directory to configured logs folder (default project root /logs/)
+      // pdf-to-png-converter works better with relative output paths
+      const ocrTempRoot = path.join(this.config.paths.logs, 'ocr-temp');
+      fs.mkdirSync(ocrTempRoot, { recursive: true });
+      absoluteTempFolder = fs.mkdtempSync(path.join(ocrTempRoot, 'run-'));
+      const tempFolder = path.relative(process.cwd(), absoluteTempFolder);
 
       logger.debug(`OCR temp folder: ${absoluteTempFolder}`);
 
@@ -108,15 +287,15 @@ class PDFParser {
       const pngPages = await pdfToPng(this.pdfPath, {
         disableFontFace: false,
         useSystemFonts: false,
-        viewportScale: 3.0, // Increased from 2.0 for better quality
+        viewportScale: this.config.ocr.viewportScale, // Default 3.0 (from 2.0) for better quality
         outputFolder: tempFolder  // Use relative path (works better with pdf-to-png-converter)
       });
 
       logger.info(`Converted PDF to ${pngPages.length} images`);
 
       // Process pages in parallel (batches of 3 to avoid memory issues)
-      const batchSize = 3;
-      let ocrText = '';
+      const batchSize = this.config.ocr.batchSize;
+      const pageTexts = [];
 
       for (let i = 0; i < pngPages.length; i += batchSize) {
         const batch = pngPages.slice(i, Math.min(i + batchSize, pngPages.length));
@@ -124,8 +303,8 @@ class PDFParser {
           batch.map((page, idx) => this.processPageWithOCR(page, i + idx + 1, pngPages.length))
         );
 
-        // Combine results in order
-        ocrText += batchResults.join('\n\n');
+        // Keep results in page order
+        pageTexts.push(...batchResults);
 
         // Delete PNG files for this batch immediately after processing
         for (const page of batch) {
@@ -141,24 +320,18 @@ class PDFParser {
         }
       }
 
-      // Clean up temp folder (should be empty now)
-      if (fs.existsSync(absoluteTempFolder)) {
-        const remainingFiles = fs.readdirSync(absoluteTempFolder);
-        if (remainingFiles.length > 0) {
-          logger.warn(`Found ${remainingFiles.length} remaining files in ocr-temp, cleaning up...`);
-        }
-        fs.rmSync(absoluteTempFolder, { recursive: true, force: true });
-        logger.debug('Cleaned up ocr-temp folder');
-      }
-
-      // Post-process OCR text to fix common errors
-      ocrText = this.postProcessOCRText(ocrText);
+      // Post-process OCR text per page to fix common errors (pages are joined by a space,
+      // same as the whitespace collapsing in postProcessOCRText)
+      const pages = pageTexts.map(text => this.postProcessOCRText(text));
+      const ocrText = pages.join(' ');
 
       this.fullText = ocrText;
+      this.pageLayouts = [];
+      this.indexPages(pages, ' ');
       logger.success(`✅ Enhanced OCR extraction complete (${ocrText.length} characters)`);
 
       // Save OCR result for debugging
-      const ocrLogPath = path.join(__dirname, '../../logs', `ocr-result-${Date.now()}.txt`);
+      const ocrLogPath = path.join(this.config.paths.logs, `ocr-result-${Date.now()}.txt`);
       fs.writeFileSync(ocrLogPath, ocrText);
       logger.info(`OCR result saved to: ${ocrLogPath}`);
 
@@ -169,6 +342,12 @@ class PDFParser {
     } catch (error) {
       logger.error('OCR extraction failed:', error.message);
       throw new Error('Cannot extract text from scanned PDF. OCR failed.');
+    } finally {
+      // Remove this run's folder only (leftover PNGs included)
+      if (absoluteTempFolder) {
+        fs.rmSync(absoluteTempFolder, { recursive: true, force: true });
+        logger.debug(`Cleaned up OCR temp folder ${path.basename(absoluteTempFolder)}`);
+      }
     }
   }
 
@@ -184,20 +363,28 @@ class PDFParser {
 
       // Run OCR with Indonesian + English language support
       // Let Tesseract.js handle language data caching in its default location
+      let lastPercent = -1;
       const result = await Tesseract.recognize(
         preprocessedImage,
-        'ind+eng', // Indonesian + English for better accuracy
+        this.config.ocr.languages, // Default 'ind+eng' (Indonesian + English) for better accuracy
         {
           logger: m => {
             if (m.status === 'recognizing text') {
-              logger.debug(`Page ${pageNum} OCR progress: ${Math.round(m.progress * 100)}%`);
+              const percent = Math.round(m.progress * 100);
+              logger.debug(`Page ${pageNum} OCR progress: ${percent}%`);
+
+              // Report only when percentage changes (Tesseract logs very often)
+              if (percent !== lastPercent) {
+                lastPercent = percent;
+                this.reportProgress({ page: pageNum, totalPages: totalPages, progress: percent });
+              }
             }
           }
         }
       );
 
       // Filter by confidence threshold
-      const minConfidence = 30; // Lowered to capture more text, will clean up later
+      const minConfidence = this.config.ocr.minConfidence; // Default 30 - low to capture more text, will clean up later
       let filteredText = '';
 
       if (result.data.words) {
@@ -225,6 +412,19 @@ class PDFParser {
     }
   }
 
+  /**
+   * Forward OCR progress to listener (never breaks OCR)
+   */
+  reportProgress(progress) {
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress(progress);
+    } catch (error) {
+      logger.warn('OCR progress listener failed:', error.message);
+    }
+  }
+
   /**
    * Preprocess image for better OCR accuracy
    */
@@ -333,6 +533,118 @@ class PDFParser {
     return 'Unknown';
   }
 
+  /**
+   * Detect Nomor Pengajuan (Aju) printed in the document
+   * Format: 6-6-8-6 digits, e.g. "071300-000015-20151009-002077"
+   * OCR may replace ":" with "+" or "©", so the separator is loose.
+   */
+  detectAjuNumber() {
+    const ajuPattern = /(\d{6})\s*-?\s*(\d{6})\s*-?\s*(\d{8})\s*-?\s*(\d{6})/;
+    const labelledPattern = new RegExp(/Nomor\s*Pengajuan[^\d\n]{0,10}/.source + ajuPattern.source, 'i');
+
+    const labelled = this.fullText.match(labelledPattern);
+    const match = labelled || this.fullText.match(ajuPattern);
+
+    if (!match) {
+      logger.warn('Nomor Pengajuan (Aju) not found in PDF');
+      return null;
+    }
+
+    const ajuNumber = match.slice(1, 5).join('-');
+    logger.info(`Nomor Pengajuan: ${ajuNumber}${labelled ? '' : ' (unlabelled match)'}`);
+    return ajuNumber;
+  }
+
+  /**
+   * Parse document header (works for digital text and OCR text)
+   * Labels may be followed by ":", or OCR noise like "+", "©", "|"
+   */
+  parseHeader() {
+    try {
+      logger.info('Parsing document header...');
+
+      const text = this.fullText;
+      const sep = '[^\\w\\n]{0,10}'; // Separator between label and value (":", "+", "©", "|", spaces)
+      const date = '(\\d{2}[-/.]\\d{2}[-/.]\\d{4})';
+
+      const header = {
+        documentType: this.detectDocumentType(),
+        nomorPengajuan: this.detectAjuNumber(),
+        nomorPendaftaran: null,
+        tanggalPendaftaran: null,
+        kantorPabean: null,
+        importir: {
+          npwp: null,
+          nama: null
+        },
+        totals: {
+          jumlahBarang: null,
+          nilaiCif: null,
+          bruto: null,
+          netto: null
+        }
+      };
+
+      // "Nomor Pendaftaran : 010997 Tanggal : 09-10-2015" or OCR "Nomor Pendaftaran © 010997/09-10-2015"
+      const daftarMatch = text.match(new RegExp(`Nomor\\s+Pendaftaran${sep}(\\d{6})(?:\\s*/\\s*${date}|\\s+Tanggal${sep}${date})?`, 'i'));
+      if (daftarMatch) {
+        header.nomorPendaftaran = daftarMatch[1];
+        header.tanggalPendaftaran = daftarMatch[2] || daftarMatch[3] || null;
+      }
+
+      if (!header.tanggalPendaftaran) {
+        const tanggalMatch = text.match(new RegExp(`Tanggal\\s+Pendaftaran${sep}${date}`, 'i'));
+        header.tanggalPendaftaran = tanggalMatch ? tanggalMatch[1] : null;
+      }
+
+      // "Kantor Pabean : KPBC PASURUAN" (stop at column separators or "Halaman")
+      const kantorMatch = text.match(new RegExp(`Kantor\\s+Pabean${sep}([A-Z][A-Z .]*?[A-Z])(?=\\s*[\\[|]|\\s+Halaman|\\s{2,}|\\n|$)`));
+      if (kantorMatch) {
+        header.kantorPabean = kantorMatch[1].trim();
+      }
+
+      // Importir block: NPWP and Nama within the section following "IMPORTIR"
+      const importirIndex = text.search(/IMPORTIR/i);
+      if (importirIndex > -1) {
+        const section = text.substring(importirIndex, importirIndex + 400);
+
+        const npwpMatch = section.match(new RegExp(`NPWP${sep}(\\d[\\d.\\-\\s]{13,22}\\d)`, 'i'));
+        if (npwpMatch) {
+          header.importir.npwp = npwpMatch[1].replace(/\s+/g, '');
+        }
+
+        const namaMatch = section.match(new RegExp(`Nama${sep}([^\\n]+?)(?=\\s+Alamat|\\s*\\||\\n|$)`, 'i'));
+        if (namaMatch) {
+          header.importir.nama = namaMatch[1].trim();
+        }
+      }
+
+      // Totals (labels must be followed by value on the same line, table headers are skipped)
+      const totalPatterns = {
+        jumlahBarang: /Jumlah\s+(?:Jenis\s+)?Barang[^\w\n]{0,10}(\d+)\b/i,
+        nilaiCif: /Nilai\s+CIF[^\w\n]{0,10}(?:[A-Z]{3}\s+)?([\d.,]+\d)/i,
+        bruto: /(?:Berat\s+Kotor|Bruto)\s*(?:\(kg\))?[^\w\n(]{0,10}([\d.,]+\d)/i,
+        netto: /(?:Berat\s+Bersih|Netto)\s*(?:\(kg\))?[^\w\n(]{0,10}([\d.,]+\d)/i
+      };
+
+      Object.keys(totalPatterns).forEach(key => {
+        const match = text.match(totalPatterns[key]);
+        if (match) {
+          header.totals[key] = parseIndonesianNumber(match[1]);
+        }
+      });
+
+      this.header = header;
+      logger.info(`Header: Aju ${header.nomorPengajuan || '-'}, Daftar ${header.nomorPendaftaran || '-'} / ${header.tanggalPendaftaran || '-'}, ${header.kantorPabean || '-'}`);
+
+      return header;
+    } catch (error) {
+      logger.error('Failed to parse document header:', error.message);
+      this.header = null;
+      return null;
+    }
+  }
+
   /**
    * Find table section in PDF - with debug logging
    */
@@ -348,7 +660,10 @@ class PDFParser {
       'BC23',
       'BC 23',
       'BC 2.3',
-      'TEMPAT PENIMBUNAN BERIKAT'
+      'TEMPAT PENIMBUNAN BERIKAT',
+      'PEMBERITAHUAN PEMASUKAN BARANG',
+      'BC 4.0',
+      'BC40'
     ];
 
     let foundCount = 0;
@@ -385,51 +700,63 @@ class PDFParser {
   }
 
   /**
-   * Parse items from PDF - handles both digital PDF and OCR formats
+   * Parse items from PDF - runs every strategy registered for the document type
+   * (see parsing-strategies/) and keeps the result with the highest confidence
    */
   parseItems() {
     try {
       logger.info('Parsing items from PDF...');
 
+      if (!this.header) {
+        this.parseHeader();
+      }
+
       if (!this.findTableSection()) {
         throw new Error('Table section not found');
       }
 
-      // Try multiple parsing strategies based on PDF format
+      const documentType = this.header ? this.header.documentType : this.detectDocumentType();
+      const strategies = getStrategies(documentType);
+      const context = { documentType: documentType, isScanned: this.isScanned };
 
-      // Strategy 1: Original format (number followed by "Pos Tarif/HS")
-      const itemPattern = /(\d+)\s+Pos Tarif\/HS/g;
-      const matches = [...this.fullText.matchAll(itemPattern)];
-
-      logger.debug(`Found ${matches.length} items using "Pos Tarif/HS" pattern`);
+      const results = strategies.map(strategy => strategy.run(this.fullText, context));
+      results.forEach(result => {
+        logger.debug(`Strategy ${result.strategy}: ${result.items.length} items, confidence ${result.confidence}${result.error ? ` (${result.error})` : ''}`);
+      });
 
-      this.items = [];
+      // Highest confidence wins, then more items, then registration order
+      const best = results.reduce((winner, result) => {
+        if (!winner) return result;
+        if (result.confidence !== winner.confidence) {
+          return result.confidence > winner.confidence ? result : winner;
+        }
+        return result.items.length > winner.items.length ? result : winner;
+      }, null);
 
-      if (matches.length > 0) {
-        // Use original parsing for digital PDF
-        for (let i = 0; i < matches.length; i++) {
-          const match = matches[i];
-          const seri = parseInt(match[1]);
-          const startIndex = match.index;
-          const endIndex = i < matches.length - 1 ? matches[i + 1].index : this.fullText.length;
+      if (!best || best.items.length === 0) {
+        const source = this.isScanned ? 'OCR text' : 'digital text';
+        const tried = strategies.map(s => s.name).join(', ') || 'none registered';
+        throw new Error(`Unsupported layout: no items found in ${documentType} document (${source}), tried ${tried}`);
+      }
 
-          const itemText = this.fullText.substring(startIndex, endIndex);
+      const others = results
+        .filter(result => result !== best)
+        .map(result => `${result.strategy} ${result.confidence} (${result.items.length} items)`);
+      logger.info(
+        `Selected strategy ${best.strategy} for ${documentType}: confidence ${best.confidence}, ${best.items.length} items` +
+        (others.length > 0 ? `; others: ${others.join(', ')}` : '')
+      );
 
-          try {
-            const itemData = this.parseItemText(seri, itemText);
-            if (itemData) {
-              this.items.push(itemData);
-              logger.debug(`Parsed Seri ${seri}: ${itemData.kodeBrg} - ${itemData.qty} ${itemData.satuan}`);
-            }
-          } catch (error) {
-            logger.warn(`Failed to parse item ${seri}:`, error.message);
-          }
-        }
-      } else {
-        // Strategy 2: OCR format (item number followed by HS code in table)
-        logger.info('Trying OCR table format parsing...');
-        this.parseItemsFromOCRTable();
-      }
+      this.items = best.items.map(item => this.locateItem(item));
+      this.parseResult = {
+        strategy: best.strategy,
+        confidence: best.confidence,
+        candidates: results.map(result => ({
+          strategy: result.strategy,
+          confidence: result.confidence,
+          items: result.items.length
+        }))
+      };
 
       logger.success(`✅ Parsed ${this.items.length} items from PDF`);
       return this.items;
@@ -439,246 +766,6 @@ class PDFParser {
     }
   }
 
-  /**
-   * Parse items from OCR table format
-   * Format: "1 8479.903000 ... 1.0000 Piece (PCE)"
-   * Also handles: "| 1 [8479.903000" and variations
-   */
-  parseItemsFromOCRTable() {
-    try {
-      // Pattern variations in real OCR:
-      // "1 8479.903000" - normal (10 chars with dot)
-      // "| 1 [8479.903000" - with pipe and bracket
-      // "2 8479903000" - no dots (10 digits)
-      // "5 [8479.90.3000" - extra dot
-      // "7 [3926905900" - 10 digits no dots
-      const lines = this.fullText.split('\n');
-
-      // Pattern: multiple optional pipes/spaces, item number, optional bracket, HS code
-      // Matches: 1234.567890 or 1234567890 or 1234.56.7890 or 1234567890 (10 digits)
-      // Handles: "| | 7 [3926905900" (double pipe)
-      const itemLinePattern = /^[\|\s]*(\d+)\s+\[?(\d{4}[.,]?\d{2,3}[.,]?\d{3,4}|\d{10})/;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        const match = line.match(itemLinePattern);
-
-        if (match) {
-          const seri = parseInt(match[1]);
-          const hsCode = match[2];
-
-          // Get the full item block (current line + next few lines until next item)
-          let itemBlock = line + '\n';
-          let j = i + 1;
-          while (j < lines.length && !lines[j].trim().match(itemLinePattern)) {
-            itemBlock += lines[j] + '\n';
-            j++;
-            if (j - i > 10) break; // Limit to 10 lines per item
-          }
-
-          try {
-            const itemData = this.parseOCRItemText(seri, hsCode, itemBlock);
-            if (itemData) {
-              this.items.push(itemData);
-              logger.debug(`Parsed Seri ${seri}: ${itemData.kodeBrg} - ${itemData.qty} ${itemData.satuan}`);
-            }
-          } catch (error) {
-            logger.warn(`Failed to parse OCR item ${seri}:`, error.message);
-          }
-        }
-      }
-
-      logger.info(`OCR table parsing found ${this.items.length} items`);
-    } catch (error) {
-      logger.error('OCR table parsing failed:', error.message);
-    }
-  }
-
-  /**
-   * Parse OCR item text block
-   * Format example:
-   * "1 8479.903000 Tidak Japan (JP) BM: 5% DTG:100% 1.0000 Piece (PCE) 24.17
-   *  COMPACT FLASH (BUFFALO RC Berhub. Cukai:- 0.0200 Kg"
-   * Also handles: "| 1 [8479903000" and other variations
-   */
-  parseOCRItemText(seri, hsCode, itemBlock) {
-    try {
-      // Normalize HS code: remove brackets, ensure proper format
-      // "8479903000" → "8479.903000"
-      // "8479.90.3000" → "8479.903000"
-      let kodeBrg = hsCode.replace(/[\[\]]/g, ''); // Remove brackets
-
-      // If no dots, add them in proper positions (4.6 format)
-      if (!kodeBrg.includes('.') && kodeBrg.length >= 10) {
-        kodeBrg = kodeBrg.substring(0, 4) + '.' + kodeBrg.substring(4);
-      }
-      // If has dots but wrong format (e.g., "8479.90.3000"), normalize it
-      else if (kodeBrg.match(/^\d{4}\.\d{2}\.\d{4}$/)) {
-        kodeBrg = kodeBrg.replace(/^(\d{4})\.(\d{2})\.(\d{4})$/, '$1.$2$3');
-      }
-
-      // Extract quantity and unit
-      // Pattern: "1.0000 Piece (PCE)" or "3.0000 Set (SET)"
-      const qtyPattern = /([\d.,]+)\s+(Piece|Set|Kg|Unit|Pcs|PCS|SET|PIECE|KG|UNIT)\s*\(([A-Z]+)\)/i;
-      const qtyMatch = itemBlock.match(qtyPattern);
-
-      if (!qtyMatch) {
-        throw new Error('Quantity not found in OCR text');
-      }
-
-      // Parse quantity
-      // Smart parsing: distinguish between thousand separator and decimal
-      // Format: "1.0000" (decimal) vs "3.150,0000" (thousand separator + decimal)
-      let qtyString = qtyMatch[1];
-
-      // If format is like "3.150,0000" (dot for thousand, comma for decimal)
-      if (qtyString.includes('.') && qtyString.includes(',')) {
-        qtyString = qtyString.replace(/\./g, '').replace(',', '.');
-      }
-      // If format is like "1.0000" with 4+ decimals (likely decimal point, not thousand separator)
-      else if (qtyString.match(/^\d+\.\d{4,}$/)) {
-        // Keep as is - it's a decimal point
-        qtyString = qtyString;
-      }
-      // If format is like "3.150" with 3 or fewer decimals (might be thousand separator)
-      else if (qtyString.match(/^\d{1,3}\.\d{3}$/)) {
-        // This could be "3.150" meaning 3150 (thousand separator)
-        qtyString = qtyString.replace(/\./g, '');
-      }
-      // Default: replace comma with dot for decimal
-      else {
-        qtyString = qtyString.replace(',', '.');
-      }
-
-      const qty = parseFloat(qtyString);
-      const satuan = qtyMatch[3].trim(); // Use the abbreviation in parentheses
-
-      if (isNaN(qty)) {
-        throw new Error(`Invalid qty: ${qtyMatch[1]}`);
-      }
-
-      // Extract description (Uraian)
-      // Description is typically on the second line
-      const lines = itemBlock.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-      let uraian = '';
-
-      if (lines.length > 1) {
-        // Look for description line (usually contains uppercase text and product name)
-        for (let i = 1; i < lines.length; i++) {
-          const line = lines[i];
-          // Description usually doesn't start with metadata keywords
-          if (line && !line.match(/^(Kd barang|Langsung|Carton|BM:|Cukai|PPN|PPnBM|PPh|Tidak|Berhub|\d+\s+Carton)/i)) {
-            // Extract full description (everything before "Berhub" or "Langsung")
-            const descMatch = line.match(/^(.+?)(?:\s+Berhub|\s+Langsung|$)/);
-            if (descMatch && descMatch[1].length > 3) {
-              uraian = descMatch[1].trim();
-              break;
-            }
-          }
-        }
-      }
-
-      // If no description found in second line, try to extract from first line after HS code
-      if (!uraian) {
-        // Look in the first line, between HS code and quantity
-        const firstLine = lines[0];
-        // Try to find text between country code and quantity or BM:
-        const patterns = [
-          /\([A-Z]{2}\)\s+(.+?)\s+(?:BM:|DTG:|\d+[.,]\d+\s+(?:Piece|Set|Kg))/i,
-          /Tidak\s+[A-Z][a-z]+\s+\([A-Z]{2}\)\s+(.+?)\s+(?:BM:|DTG:)/i
-        ];
-
-        for (const pattern of patterns) {
-          const match = firstLine.match(pattern);
-          if (match && match[1].length > 3) {
-            uraian = match[1].trim();
-            break;
-          }
-        }
-      }
-
-      // Clean up description: remove leading pipe, brackets, etc
-      uraian = uraian.replace(/^\|+\s*/, '').trim();
-
-      return {
-        seri: seri,
-        kodeBrg: kodeBrg,
-        uraian: uraian,
-        qty: qty,
-        satuan: satuan
-      };
-    } catch (error) {
-      logger.error(`Error parsing OCR item text for seri ${seri}:`, error.message);
-      return null;
-    }
-  }
-
-  /**
-   * Parse individual item text block (for digital PDF)
-   */
-  parseItemText(seri, itemText) {
-    try {
-      // Extract Kode Brg
-      const kodeMatch = itemText.match(/Kode Brg\s*:\s*(\w+)/);
-      if (!kodeMatch) {
-        throw new Error('Kode Brg not found');
-      }
-      const kodeBrg = kodeMatch[1].trim();
-
-      // Extract Uraian (description)
-      const uraianMatch = itemText.match(/Kode Brg\s*:\s*\w+\s+(.+?)(?=Kemasan:|Merk:|$)/s);
-      const uraian = uraianMatch ? uraianMatch[1].trim().replace(/\s+/g, ' ') : '';
-
-      // Extract Jumlah (Qty)
-      // Pattern: "- 3.150,0000" or "- 470,0000"
-      // Looking for pattern: dash, space, number with dots/commas, newline, dash, space, unit
-      const jumlahMatch = itemText.match(/-\s*([\d.,]+)\s*\n\s*-\s*(\w+)/);
-      
-      if (!jumlahMatch) {
-        // Try alternative pattern (sometimes formatting is different)
-        const altMatch = itemText.match(/Jumlah[:\s]*([\d.,]+)\s*(\w+)/i);
-        if (!altMatch) {
-          throw new Error('Jumlah not found');
-        }
-        
-        const qtyString = altMatch[1].replace(/\./g, '').replace(',', '.');
-        const qty = parseFloat(qtyString);
-        const satuan = altMatch[2].trim();
-
-        return {
-          seri: seri,
-          kodeBrg: kodeBrg,
-          uraian: uraian,
-          qty: qty,
-          satuan: satuan
-        };
-      }
-
-      // Parse qty: "3.150,0000" → 3150
-      const qtyString = jumlahMatch[1]
-        .replace(/\./g, '')     // Remove dots (thousand separator)
-        .replace(',', '.');      // Replace comma with dot (decimal)
-      
-      const qty = parseFloat(qtyString);
-      const satuan = jumlahMatch[2].trim();
-
-      if (isNaN(qty)) {
-        throw new Error(`Invalid qty: ${jumlahMatch[1]}`);
-      }
-
-      return {
-        seri: seri,
-        kodeBrg: kodeBrg,
-        uraian: uraian,
-        qty: qty,
-        satuan: satuan
-      };
-    } catch (error) {
-      logger.error(`Error parsing item text for seri ${seri}:`, error.message);
-      return null;
-    }
-  }
-
   /**
    * Find item by Seri Barang
    */
@@ -696,13 +783,13 @@ class PDFParser {
   /**
    * Find item by Kode Brg
    */
-  findByKodeBarang(kodeBrg) {
+  findByKodeBarang(kodeBarang) {
     const items = this.items.filter(i => 
-      i.kodeBrg.toUpperCase() === kodeBrg.toUpperCase()
+      i.kodeBarang && i.kodeBarang.toUpperCase() === kodeBarang.toUpperCase()
     );
 
     if (items.length === 0) {
-      logger.warn(`Kode Brg ${kodeBrg} not found in PDF`);
+      logger.warn(`Kode Brg ${kodeBarang} not found in PDF`);
       return null;
     }
 
@@ -716,6 +803,16 @@ class PDFParser {
     return this.items;
   }
 
+  /**
+   * Get document header (parsed on first call)
+   */
+  getHeader() {
+    if (!this.header) {
+      this.parseHeader();
+    }
+    return this.header;
+  }
+
   /**
    * Get summary
    */
@@ -723,7 +820,10 @@ class PDFParser {
     return {
       totalItems: this.items.length,
       totalQty: this.items.reduce((sum, item) => sum + item.qty, 0),
-      kodeBrgList: [...new Set(this.items.map(i => i.kodeBrg))],
+      kodeBarangList: [...new Set(this.items.map(i => i.kodeBarang).filter(Boolean))],
+      hsCodeList: [...new Set(this.items.map(i => i.hsCode).filter(Boolean))],
+      header: this.header,
+      parseResult: this.parseResult,
       seriRange: {
         min: Math.min(...this.items.map(i => i.seri)),
         max: Math.max(...this.items.map(i => i.seri))
@@ -740,10 +840,11 @@ class PDFParser {
       try {
         logger.debug('Running auto-cleanup for OCR files...');
         const cleanup = new OCRCleanup({
-          maxAge: 7,      // Keep files for 7 days
-          maxFiles: 50,   // Keep max 50 recent files
+          logsDir: this.config.paths.logs,
+          maxAge: this.config.cleanup.maxAge,
+          maxFiles: this.config.cleanup.maxFiles,
           dryRun: false
-        });
+        }, this.config);
 
         const results = await cleanup.cleanupOCRResults();
 
@@ -3,15 +3,55 @@
 
 const stringSimilarity = require('string-similarity');
 const logger = require('../utils/logger');
+const { getConfig } = require('../config');
+const { normalizeAjuNumber } = require('../utils/helpers');
+const UnitConverter = require('../utils/units');
+const DescriptionMatcher = require('../utils/description-matcher');
+
+// Row status when the Excel row's Aju has no parsed BC document
+const MISSING_DOCUMENT = 'BC DOC MISSING';
+
+// Qty status when Excel unit and BC satuan cannot be compared
+const UNIT_MISMATCH = 'UNIT MISMATCH';
+
+// Qty status when earlier tickets already consumed part of the BC qty
+const OVER_BALANCE = 'OVER BALANCE';
+
+// Item code status when the codes differ but an item alias links them
+const ALIAS_MATCH = 'OK (alias)';
+
+// HS code reference sources (reported in result.hsCheck.source)
+const HS_SOURCE_EXCEL = 'excel';
+const HS_SOURCE_ALIAS = 'alias';
 
 class Validator {
-  constructor(options = {}) {
+  constructor(options = {}, config = getConfig()) {
+    const defaults = config.validator;
+
     this.options = {
-      nameSimilarityThreshold: options.nameSimilarityThreshold || 0.75,
-      allowMultiItemSameSeri: options.allowMultiItemSameSeri !== false, // default true
-      strictMode: options.strictMode || false
+      nameSimilarityThreshold: options.nameSimilarityThreshold || defaults.nameSimilarityThreshold,
+      allowMultiItemSameSeri: options.allowMultiItemSameSeri !== undefined
+        ? options.allowMultiItemSameSeri !== false
+        : defaults.allowMultiItemSameSeri,
+      strictMode: options.strictMode !== undefined ? options.strictMode : defaults.strictMode
     };
 
+    // Called with each row result during validateBatch (not logged with options)
+    this.onItemValidated = options.onItemValidated || null;
+
+    this.units = new UnitConverter(config.units);
+
+    // Excel item name vs BC uraian: { enabled, threshold, policy, stopWords }
+    this.description = config.validator.description;
+    this.descriptionMatcher = new DescriptionMatcher(this.description);
+
+    // Optional QuotaLedger: checks qty against what earlier tickets already consumed
+    this.ledger = options.ledger || null;
+    this.ticketNumber = options.ticketNumber || null;
+
+    // Optional ItemAliasStore: internal code ↔ BC kode barang / HS code, checked before fuzzy matching
+    this.aliases = options.aliases || null;
+
     logger.info('Validator initialized:', this.options);
   }
 
@@ -22,16 +62,13 @@ class Validator {
     try {
       const result = {
         rowNumber: excelItem.rowNumber,
-        excelData: {
-          itemCode: excelItem.itemCode,
-          itemName: excelItem.itemName,
-          qty: excelItem.qty,
-          seriBarang: excelItem.seriBarang
-        },
+        excelData: this.getExcelData(excelItem),
         bcData: null,
         validation: {
           itemCode: null,
           qty: null,
+          description: null,
+          hsCode: null,
           overall: null
         },
         issues: []
@@ -41,6 +78,8 @@ class Validator {
       if (!bcItem) {
         result.validation.itemCode = 'ERROR';
         result.validation.qty = 'ERROR';
+        result.validation.description = this.description.enabled ? 'ERROR' : null;
+        result.validation.hsCode = 'ERROR';
         result.validation.overall = 'ERROR';
         result.issues.push(`Seri ${excelItem.seriBarang} tidak ditemukan di BC`);
         
@@ -48,44 +87,90 @@ class Validator {
         return result;
       }
 
+      // Requested qty expressed in BC satuan (used for quota tracking)
+      result.requestedQty = this.toBcUnit(excelItem.qty, excelItem.unit, bcItem.satuan);
+
       // Store BC data
       result.bcData = {
-        kodeBrg: bcItem.kodeBrg,
+        kodeBarang: bcItem.kodeBarang || null,
+        hsCode: bcItem.hsCode || null,
         uraian: bcItem.uraian,
         qty: bcItem.qty,
         satuan: bcItem.satuan,
-        seri: bcItem.seri
+        seri: bcItem.seri,
+        source: bcItem.source || null // { page, start, end, text } evidence for review
       };
 
       // Validate Item Code
       const itemCodeValidation = this.validateItemCode(
         excelItem.itemCode,
-        bcItem.kodeBrg
+        bcItem.kodeBarang,
+        bcItem.hsCode
       );
       result.validation.itemCode = itemCodeValidation.status;
       if (itemCodeValidation.message) {
         result.issues.push(itemCodeValidation.message);
       }
+      if (itemCodeValidation.alias) {
+        const { id, internalCode, bcKodeBarang, hsCode, source } = itemCodeValidation.alias;
+        result.alias = { id, internalCode, bcKodeBarang, hsCode, source };
+      }
+
+      // Validate HS code (Excel HS column, else HS codes in the alias table)
+      const hsValidation = this.validateHsCode(excelItem, bcItem.hsCode);
+      result.validation.hsCode = hsValidation.status;
+      result.hsCheck = {
+        status: hsValidation.status,
+        source: hsValidation.source,
+        expected: hsValidation.expected,
+        actual: bcItem.hsCode || null
+      };
+      if (hsValidation.message) {
+        result.issues.push(hsValidation.message);
+      }
 
       // Validate Qty
       const qtyValidation = this.validateQty(
         excelItem.qty,
-        bcItem.qty
+        bcItem.qty,
+        excelItem.unit,
+        bcItem.satuan
       );
       result.validation.qty = qtyValidation.status;
       if (qtyValidation.message) {
         result.issues.push(qtyValidation.message);
       }
 
-      // Overall status
-      if (result.validation.itemCode === 'OK' && result.validation.qty === 'OK') {
+      // Validate Description (Excel item name vs BC uraian)
+      if (this.description.enabled) {
+        const descriptionValidation = this.validateDescription(excelItem.itemName, bcItem.uraian);
+        result.validation.description = descriptionValidation.status;
+        if (descriptionValidation.message) {
+          result.issues.push(descriptionValidation.message);
+        }
+      }
+
+      // Overall status (without kode barang in the BC document, a matching HS code identifies the item)
+      const itemCodeOk = result.validation.itemCode === 'OK' || result.validation.itemCode === ALIAS_MATCH ||
+        (result.validation.itemCode === 'N/A' && result.validation.hsCode === 'OK');
+      if (itemCodeOk && result.validation.qty === 'OK' && result.validation.hsCode !== 'NOT MATCH') {
         result.validation.overall = 'OK';
-      } else if (result.validation.itemCode === 'ERROR' || result.validation.qty === 'ERROR') {
+      } else if (result.validation.itemCode === 'ERROR' || result.validation.qty === 'ERROR' ||
+                 result.validation.qty === UNIT_MISMATCH) {
         result.validation.overall = 'ERROR';
       } else {
         result.validation.overall = 'WARNING';
       }
 
+      // Description mismatch counts according to validator.description.policy
+      if (result.validation.description === 'NOT MATCH') {
+        if (this.description.policy === 'error') {
+          result.validation.overall = 'ERROR';
+        } else if (this.description.policy === 'warning' && result.validation.overall === 'OK') {
+          result.validation.overall = 'WARNING';
+        }
+      }
+
       // Log result
       const statusIcon = result.validation.overall === 'OK' ? '✅' : 
                         result.validation.overall === 'ERROR' ? '❌' : '⚠️';
@@ -94,18 +179,178 @@ class Validator {
       return result;
     } catch (error) {
       logger.error('Validation error:', error.message);
-      return {
-        rowNumber: excelItem.rowNumber,
-        validation: { overall: 'ERROR' },
-        issues: [`Validation error: ${error.message}`]
-      };
+      return this.errorResult(excelItem, `Validation error: ${error.message}`);
     }
   }
 
   /**
-   * Validate Item Code match
+   * Convert Excel qty to BC satuan (unchanged when a unit is missing or not convertible)
    */
-  validateItemCode(excelCode, bcCode) {
+  toBcUnit(qty, excelUnit, bcUnit) {
+    if (!excelUnit || !bcUnit) {
+      return qty;
+    }
+
+    const converted = this.units.convert(qty, excelUnit, bcUnit);
+    return converted !== null ? converted : qty;
+  }
+
+  /**
+   * Check qty against remaining BC balance after earlier tickets (see QuotaLedger)
+   * Duplicate seri rows are checked with their summed qty (qtyToCheck).
+   */
+  checkQuota(result, excelItem, bcItem) {
+    if (!this.ledger || !bcItem || result.validation.qty !== 'OK') {
+      return result;
+    }
+
+    const earlier = this.ledger.getEarlierConsumptions(excelItem.ajuNumber, excelItem.seriBarang, this.ticketNumber);
+    if (earlier.length === 0) {
+      return result;
+    }
+
+    const consumed = earlier.reduce((sum, c) => sum + c.qty, 0);
+    const remaining = bcItem.qty - consumed;
+    const requested = this.toBcUnit(
+      excelItem.qtyToCheck !== undefined ? excelItem.qtyToCheck : excelItem.qty,
+      excelItem.unit,
+      bcItem.satuan
+    );
+
+    result.quota = {
+      consumed: consumed,
+      remaining: remaining,
+      earlierTickets: earlier.map(c => ({ ticketNumber: c.ticketNumber, qty: c.qty }))
+    };
+
+    // Small tolerance for float noise from unit conversion
+    if (requested <= remaining + 1e-9) {
+      return result;
+    }
+
+    const tickets = earlier.map(c => `${c.ticketNumber} (${c.qty})`).join(', ');
+    result.validation.qty = OVER_BALANCE;
+    if (result.validation.overall === 'OK') {
+      result.validation.overall = 'WARNING';
+    }
+    result.issues.push(`Qty over remaining balance (Req: ${requested}, Sisa: ${remaining} dari BC ${bcItem.qty}; dipakai tiket ${tickets})`);
+
+    logger.warn(`Row ${excelItem.rowNumber}: Aju ${excelItem.ajuNumber} seri ${excelItem.seriBarang} over remaining balance (${requested} > ${remaining})`);
+    return result;
+  }
+
+  /**
+   * Excel fields copied into every result
+   */
+  getExcelData(excelItem) {
+    return {
+      itemCode: excelItem.itemCode,
+      itemName: excelItem.itemName,
+      qty: excelItem.qty,
+      unit: excelItem.unit || null,
+      hsCode: excelItem.hsCode || null,
+      ajuNumber: excelItem.ajuNumber,
+      seriBarang: excelItem.seriBarang
+    };
+  }
+
+  /**
+   * Result for a row whose Aju has no BC document
+   */
+  missingDocumentResult(excelItem) {
+    return {
+      rowNumber: excelItem.rowNumber,
+      excelData: this.getExcelData(excelItem),
+      bcData: null,
+      validation: {
+        itemCode: MISSING_DOCUMENT,
+        qty: MISSING_DOCUMENT,
+        description: this.description.enabled ? MISSING_DOCUMENT : null,
+        hsCode: MISSING_DOCUMENT,
+        overall: MISSING_DOCUMENT
+      },
+      issues: [`Dokumen BC untuk Aju ${excelItem.ajuNumber || '(kosong)'} tidak tersedia`]
+    };
+  }
+
+  /**
+   * Result for a row that could not be validated (same shape as any other result:
+   * quota, review and writer read every field)
+   */
+  errorResult(excelItem, issue) {
+    return {
+      rowNumber: excelItem.rowNumber,
+      excelData: this.getExcelData(excelItem),
+      bcData: null,
+      validation: {
+        itemCode: 'ERROR',
+        qty: 'ERROR',
+        description: this.description.enabled ? 'ERROR' : null,
+        hsCode: 'ERROR',
+        overall: 'ERROR'
+      },
+      issues: [issue]
+    };
+  }
+
+  /**
+   * Build lookup: Excel Aju number → PDFParser
+   *
+   * documents can be:
+   * - a single PDFParser (legacy: one document for every row)
+   * - an array of { ajuNumber, parser }; a lone document without Aju covers every row
+   */
+  createDocumentResolver(documents) {
+    if (!Array.isArray(documents)) {
+      return () => documents || null;
+    }
+
+    const byAju = new Map();
+    documents.forEach(doc => {
+      const key = normalizeAjuNumber(doc.ajuNumber);
+      if (!key) return;
+
+      if (byAju.has(key)) {
+        logger.warn(`More than one BC document for Aju ${doc.ajuNumber}, using the first`);
+        return;
+      }
+      byAju.set(key, doc.parser);
+    });
+
+    const fallback = documents.length === 1 && !normalizeAjuNumber(documents[0].ajuNumber)
+      ? documents[0].parser
+      : null;
+
+    if (fallback) {
+      logger.warn('Single BC document without Aju number, using it for all rows');
+    }
+
+    return (ajuNumber) => byAju.get(normalizeAjuNumber(ajuNumber)) || fallback;
+  }
+
+  /**
+   * Validate Item Code match: exact, then item alias, then fuzzy
+   * N/A when the BC document has no kode barang (only an alias on its HS code can match then)
+   */
+  validateItemCode(excelCode, bcCode, hsCode = null) {
+    if (!bcCode) {
+      const hsAlias = this.aliases && hsCode ? this.aliases.findMatch(excelCode, null, hsCode) : null;
+      if (hsAlias) {
+        return {
+          status: ALIAS_MATCH,
+          similarity: 1.0,
+          message: `Item Code matched by alias (${hsAlias.internalCode} → HS ${hsAlias.hsCode}, source: ${hsAlias.source})`,
+          alias: hsAlias
+        };
+      }
+
+      return {
+        status: 'N/A',
+        similarity: null,
+        message: 'Item Code not checked (BC has no kode barang)'
+      };
+    }
+
     // Normalize codes
     const excelNorm = excelCode.toString().trim().toUpperCase();
     const bcNorm = bcCode.toString().trim().toUpperCase();
@@ -119,6 +364,18 @@ class Validator {
       };
     }
 
+    // Alias table (internal part numbers often differ completely from the supplier code)
+    const alias = this.aliases ? this.aliases.findMatch(excelCode, bcCode, hsCode) : null;
+    if (alias) {
+      const target = alias.bcKodeBarang || `HS ${alias.hsCode}`;
+      return {
+        status: ALIAS_MATCH,
+        similarity: 1.0,
+        message: `Item Code matched by alias (${alias.internalCode} → ${target}, source: ${alias.source})`,
+        alias: alias
+      };
+    }
+
     // Fuzzy match
     const similarity = stringSimilarity.compareTwoStrings(excelNorm, bcNorm);
     
@@ -138,20 +395,127 @@ class Validator {
     };
   }
 
+  /**
+   * Validate HS code of the BC item against the request
+   * Reference: Excel HS column when filled, else HS codes of the item's aliases.
+   * Codes match when the shorter one is a prefix of the other (8-digit request vs 10-digit BTKI code).
+   * @returns {Object} { status, source: 'excel' | 'alias' | null, expected: [hs codes], message }
+   */
+  validateHsCode(excelItem, bcHsCode) {
+    let source = null;
+    let expected = [];
+
+    if (excelItem.hsCode) {
+      source = HS_SOURCE_EXCEL;
+      expected = [excelItem.hsCode];
+    } else if (this.aliases) {
+      expected = [...new Set(this.aliases.findHsAliases(excelItem.itemCode).map(alias => alias.hsCode))];
+      source = expected.length > 0 ? HS_SOURCE_ALIAS : null;
+    }
+
+    if (!source) {
+      return { status: 'N/A', source: null, expected: [], message: null };
+    }
+
+    const label = source === HS_SOURCE_EXCEL ? 'Excel HS column' : 'item alias';
+
+    if (!bcHsCode) {
+      return {
+        status: 'N/A',
+        source: source,
+        expected: expected,
+        message: `HS code not found in BC (${label}: ${expected.join(' / ')})`
+      };
+    }
+
+    if (expected.some(hsCode => this.hsCodesMatch(hsCode, bcHsCode))) {
+      return { status: 'OK', source: source, expected: expected, message: null };
+    }
+
+    return {
+      status: 'NOT MATCH',
+      source: source,
+      expected: expected,
+      message: `HS code mismatch (${label}: ${expected.join(' / ')}, BC: ${bcHsCode})`
+    };
+  }
+
+  /**
+   * Compare HS codes on digits, shorter code as prefix (at least 4 digits = HS heading)
+   */
+  hsCodesMatch(a, b) {
+    const digitsA = (a || '').toString().replace(/\D/g, '');
+    const digitsB = (b || '').toString().replace(/\D/g, '');
+
+    if (digitsA.length < 4 || digitsB.length < 4) {
+      return false;
+    }
+
+    return digitsA.startsWith(digitsB) || digitsB.startsWith(digitsA);
+  }
+
+  /**
+   * Validate Description: token similarity of Excel item name and BC uraian
+   * N/A when either text is empty (e.g. OCR could not read the uraian)
+   */
+  validateDescription(excelName, bcUraian) {
+    const comparison = this.descriptionMatcher.compare(excelName, bcUraian);
+
+    if (comparison.similarity === null) {
+      return {
+        status: 'N/A',
+        similarity: null,
+        message: null
+      };
+    }
+
+    if (this.descriptionMatcher.isMatch(comparison.similarity)) {
+      return {
+        status: 'OK',
+        similarity: comparison.similarity,
+        message: null
+      };
+    }
+
+    return {
+      status: 'NOT MATCH',
+      similarity: comparison.similarity,
+      message: `Uraian berbeda (Excel: ${excelName}, BC: ${bcUraian}, ${(comparison.similarity * 100).toFixed(0)}% similar)`
+    };
+  }
+
   /**
    * Validate Qty
+   * When both units are known, Excel qty is converted to the BC satuan first (see config units)
    */
-  validateQty(excelQty, bcQty) {
-    const excelNum = parseFloat(excelQty);
+  validateQty(excelQty, bcQty, excelUnit = null, bcUnit = null) {
+    const requestedNum = parseFloat(excelQty);
+    let excelNum = requestedNum;
     const bcNum = parseFloat(bcQty);
 
-    if (isNaN(excelNum) || isNaN(bcNum)) {
+    if (isNaN(requestedNum) || isNaN(bcNum)) {
       return {
         status: 'ERROR',
         message: 'Invalid qty values'
       };
     }
 
+    // Units are only compared when both sides have one (older exports have no unit column)
+    let unitNote = '';
+    if (excelUnit && bcUnit && !this.units.isSame(excelUnit, bcUnit)) {
+      const converted = this.units.convert(excelNum, excelUnit, bcUnit);
+
+      if (converted === null) {
+        return {
+          status: UNIT_MISMATCH,
+          message: `Satuan berbeda (Excel: ${excelNum} ${excelUnit}, BC: ${bcNum} ${bcUnit})`
+        };
+      }
+
+      unitNote = ` ${excelUnit} = ${converted} ${this.units.normalize(bcUnit)}`;
+      excelNum = converted;
+    }
+
     if (excelNum <= bcNum) {
       return {
         status: 'OK',
@@ -161,7 +525,7 @@ class Validator {
 
     return {
       status: 'OVER LIMIT',
-      message: `Qty over limit (Req: ${excelNum}, BC: ${bcNum})`
+      message: `Qty over limit (Req: ${requestedNum}${unitNote}, BC: ${bcNum})`
     };
   }
 
@@ -223,28 +587,44 @@ class Validator {
 
   /**
    * Validate batch of items
+   * Each row is checked against the BC document of its own Aju (see createDocumentResolver),
+   * because seri numbers restart in every BC document.
    */
-  validateBatch(excelItems, pdfParser) {
+  validateBatch(excelItems, documents) {
     logger.info(`Validating ${excelItems.length} items...`);
 
     const results = [];
+    const resolveDocument = this.createDocumentResolver(documents);
+    const missingAju = new Set();
     
     for (const excelItem of excelItems) {
       try {
-        // Find matching BC item by seri
+        const pdfParser = resolveDocument(excelItem.ajuNumber);
+
+        if (!pdfParser) {
+          if (!missingAju.has(excelItem.ajuNumber)) {
+            missingAju.add(excelItem.ajuNumber);
+            logger.warn(`No BC document for Aju ${excelItem.ajuNumber}`);
+          }
+          results.push(this.missingDocumentResult(excelItem));
+          this.notifyItemValidated(results[results.length - 1]);
+          continue;
+        }
+
+        // Find matching BC item by seri (within this Aju's document)
         const bcItem = pdfParser.findBySeri(excelItem.seriBarang);
         
         // Validate
         const result = this.validateItem(excelItem, bcItem);
+        this.checkDocumentAju(result, excelItem, pdfParser);
+        this.checkQuota(result, excelItem, bcItem);
         results.push(result);
       } catch (error) {
         logger.error(`Error validating row ${excelItem.rowNumber}:`, error.message);
-        results.push({
-          rowNumber: excelItem.rowNumber,
-          validation: { overall: 'ERROR' },
-          issues: [`Validation failed: ${error.message}`]
-        });
+        results.push(this.errorResult(excelItem, `Validation failed: ${error.message}`));
       }
+
+      this.notifyItemValidated(results[results.length - 1]);
     }
 
     // Summary
@@ -257,6 +637,44 @@ class Validator {
     };
   }
 
+  /**
+   * Confirm the BC document belongs to the row's Aju (Nomor Pengajuan in the PDF header)
+   * A document without a readable Aju is not flagged.
+   */
+  checkDocumentAju(result, excelItem, pdfParser) {
+    const header = typeof pdfParser.getHeader === 'function' ? pdfParser.getHeader() : null;
+    const documentAju = header ? header.nomorPengajuan : null;
+
+    if (!documentAju || !excelItem.ajuNumber) {
+      return result;
+    }
+
+    if (normalizeAjuNumber(documentAju) === normalizeAjuNumber(excelItem.ajuNumber)) {
+      result.validation.document = 'OK';
+      return result;
+    }
+
+    result.validation.document = 'AJU MISMATCH';
+    result.validation.overall = 'ERROR';
+    result.issues.unshift(`Aju di BC (${documentAju}) berbeda dengan Excel (${excelItem.ajuNumber})`);
+
+    logger.warn(`Row ${excelItem.rowNumber}: BC document Aju ${documentAju} does not match Excel Aju ${excelItem.ajuNumber}`);
+    return result;
+  }
+
+  /**
+   * Forward row result to listener (never breaks validation)
+   */
+  notifyItemValidated(result) {
+    if (!this.onItemValidated) return;
+
+    try {
+      this.onItemValidated(result);
+    } catch (error) {
+      logger.warn('Validation listener failed:', error.message);
+    }
+  }
+
   /**
    * Generate validation summary
    */
@@ -265,13 +683,26 @@ class Validator {
     const ok = results.filter(r => r.validation.overall === 'OK').length;
     const warning = results.filter(r => r.validation.overall === 'WARNING').length;
     const error = results.filter(r => r.validation.overall === 'ERROR').length;
+    const missingDocument = results.filter(r => r.validation.overall === MISSING_DOCUMENT).length;
 
     const itemCodeIssues = results.filter(r => 
-      r.validation.itemCode && r.validation.itemCode !== 'OK'
+      r.validation.itemCode && r.validation.itemCode !== 'OK' && r.validation.itemCode !== ALIAS_MATCH &&
+      r.validation.itemCode !== 'N/A' && r.validation.itemCode !== MISSING_DOCUMENT
     ).length;
 
     const qtyIssues = results.filter(r => 
-      r.validation.qty && r.validation.qty !== 'OK'
+      r.validation.qty && r.validation.qty !== 'OK' && r.validation.qty !== MISSING_DOCUMENT &&
+      r.validation.qty !== UNIT_MISMATCH && r.validation.qty !== OVER_BALANCE
+    ).length;
+
+    const unitIssues = results.filter(r => r.validation.qty === UNIT_MISMATCH).length;
+    const balanceIssues = results.filter(r => r.validation.qty === OVER_BALANCE).length;
+
+    const descriptionIssues = results.filter(r => r.validation.description === 'NOT MATCH').length;
+    const hsCodeIssues = results.filter(r => r.validation.hsCode === 'NOT MATCH').length;
+
+    const documentIssues = results.filter(r => 
+      r.validation.document && r.validation.document !== 'OK'
     ).length;
 
     return {
@@ -279,13 +710,26 @@ class Validator {
       ok: ok,
       warning: warning,
       error: error,
+      missingDocument: missingDocument,
       successRate: total > 0 ? ((ok / total) * 100).toFixed(2) + '%' : '0%',
       issues: {
         itemCode: itemCodeIssues,
-        qty: qtyIssues
+        qty: qtyIssues,
+        unit: unitIssues,
+        balance: balanceIssues,
+        description: descriptionIssues,
+        hsCode: hsCodeIssues,
+        document: documentIssues
       }
     };
   }
 }
 
+Validator.MISSING_DOCUMENT = MISSING_DOCUMENT;
+Validator.UNIT_MISMATCH = UNIT_MISMATCH;
+Validator.ALIAS_MATCH = ALIAS_MATCH;
+Validator.OVER_BALANCE = OVER_BALANCE;
+Validator.HS_SOURCE_EXCEL = HS_SOURCE_EXCEL;
+Validator.HS_SOURCE_ALIAS = HS_SOURCE_ALIAS;
+
 module.exports = Validator;
\ No newline at end of file
@@ -0,0 +1,290 @@
+// backend/src/cli.js
+// Non-interactive command line for verification runs
+//
+// Usage:
+//   node src/cli.js verify --ticket 1889 [--env dev|prod] [--headless]
+//   node src/cli.js batch --tickets 1889,1890,1901 | --from 2025-01-01 [--to 2025-01-31]
+//                         [--tabs 2] [--env dev|prod] [--headless] [--out results-dir]
+//   node src/cli.js verify-files --excel export.xlsx|export.csv --pdf bc1.pdf [--pdf bc2.pdf ...]
+//                                [--aju bc1.pdf=<aju number>] [--out results-dir] [--profile <name>]
+//                                [--sheet <name> | --all-sheets]
+//   node src/cli.js excel-profiles
+//   node src/cli.js aliases-import --file aliases.csv [--replace]
+//
+// Credentials for "verify" and "batch" are read from ILS_USERNAME / ILS_PASSWORD (.env or config file).
+
+const path = require('path');
+const { parseArgs } = require('util');
+const VerificationOrchestrator = require('./bot/orchestrator');
+const BatchRunner = require('./bot/batch-runner');
+const ExcelParser = require('./bot/excel-parser');
+const ItemAliasStore = require('./storage/item-alias-store');
+const ExcelProfiles = require('./bot/excel-profiles');
+const logger = require('./utils/logger');
+
+const USAGE = `Usage:
+  node src/cli.js verify --ticket <number> [--env dev|prod] [--headless]
+  node src/cli.js batch --tickets <n1,n2,...> | --from <date> [--to <date>]
+                        [--tabs <count>] [--env dev|prod] [--headless] [--out <dir>]
+  node src/cli.js verify-files --excel <file.xlsx|.csv|.tsv> --pdf <bc.pdf> [--pdf <bc2.pdf>]
+                               [--aju <bc.pdf>=<aju number>] [--out <dir>] [--profile <name|auto>]
+                               [--sheet <name> | --all-sheets]
+  node src/cli.js excel-profiles
+  node src/cli.js aliases-import --file <aliases.csv|.xlsx> [--replace]`;
+
+/**
+ * Parse "--aju file.pdf=071300-..." options into { fileName: aju }
+ */
+function parseAjuOptions(values = []) {
+  const mapping = {};
+
+  values.forEach(value => {
+    const index = value.lastIndexOf('=');
+    if (index < 1) {
+      throw new Error(`Invalid --aju value "${value}" (expected <file.pdf>=<aju number>)`);
+    }
+    mapping[path.basename(value.substring(0, index))] = value.substring(index + 1);
+  });
+
+  return mapping;
+}
+
+/**
+ * Print final report and return exit code
+ */
+function printReport(report) {
+  logger.info('='.repeat(60));
+  report.stages.forEach(stage => {
+    const icon = stage.status === 'success' ? '✅' : '❌';
+    logger.info(`${icon} ${stage.name} (${stage.durationMs}ms)${stage.error ? ' - ' + stage.error : ''}`);
+  });
+
+  if (report.status !== 'success') {
+    logger.error(`❌ Verification ${report.status} at stage ${report.failedStage}: ${report.error}`);
+    return 1;
+  }
+
+  report.documents.forEach(doc => {
+    const header = doc.header || { importir: {} };
+    logger.info(`📄 ${header.nomorPengajuan || doc.ajuNumber || doc.fileName} - ${header.documentType || '?'} No. ${header.nomorPendaftaran || '-'} tgl ${header.tanggalPendaftaran || '-'} (${header.kantorPabean || '-'}), ${doc.totalItems} items`);
+  });
+
+  const summary = report.summary;
+  logger.info(`Total Items: ${summary.total}`);
+  logger.info(`✅ OK: ${summary.ok}`);
+  logger.info(`⚠️  Warning: ${summary.warning}`);
+  logger.info(`❌ Error: ${summary.error}`);
+  if (summary.missingDocument > 0) {
+    logger.warn(`📄 BC document missing: ${summary.missingDocument}`);
+  }
+  if (summary.issues.unit > 0) {
+    logger.warn(`📏 Unit mismatch: ${summary.issues.unit}`);
+  }
+  if (summary.issues.balance > 0) {
+    logger.warn(`📉 Over remaining balance (earlier tickets): ${summary.issues.balance}`);
+  }
+  if (summary.issues.description > 0) {
+    logger.warn(`📝 Item name vs BC uraian mismatch: ${summary.issues.description}`);
+  }
+  if (summary.issues.hsCode > 0) {
+    logger.warn(`🏷️  HS code mismatch: ${summary.issues.hsCode}`);
+  }
+  if (summary.issues.document > 0) {
+    logger.warn(`📄 BC document Aju mismatch: ${summary.issues.document}`);
+  }
+  logger.info(`Success Rate: ${summary.successRate}`);
+  logger.success(`Output saved to: ${report.outputPath}`);
+
+  // Non-zero exit when rows failed, so scripts can react
+  return summary.error > 0 || summary.missingDocument > 0 ? 2 : 0;
+}
+
+/**
+ * Verify every worksheet with a known layout as its own ticket (one run per sheet)
+ */
+async function verifySheets(options) {
+  if (!options.excelPath) {
+    throw new Error('--all-sheets needs --excel');
+  }
+  if (options.ticketNumber || options.excelSheet) {
+    throw new Error('--all-sheets cannot be combined with --ticket or --sheet');
+  }
+
+  const parser = new ExcelParser(options.excelPath, undefined, { profile: options.excelProfile });
+  const sheets = await parser.listTicketSheets();
+  if (sheets.length === 0) {
+    throw new Error(`No worksheet with a known layout in ${path.basename(options.excelPath)}`);
+  }
+
+  logger.info(`📑 ${sheets.length} worksheet(s): ${sheets.map(s => `${s.sheet} (ticket ${s.ticketNumber || '?'})`).join(', ')}`);
+
+  let exitCode = 0;
+  for (const sheet of sheets) {
+    const orchestrator = new VerificationOrchestrator({ ...options, excelSheet: sheet.sheet });
+    const report = await orchestrator.run();
+    const code = printReport(report);
+    exitCode = exitCode === 1 || code === 1 ? 1 : Math.max(exitCode, code); // A failed run wins
+  }
+  return exitCode;
+}
+
+/**
+ * Print batch report and return exit code (1: batch or a ticket failed, 2: rows with errors)
+ */
+function printBatchReport(report) {
+  logger.info('='.repeat(60));
+  report.tickets.forEach(ticket => {
+    const summary = ticket.summary;
+    if (ticket.status !== 'success') {
+      logger.error(`❌ TIKET-${ticket.ticketNumber}: ${ticket.status}` +
+        `${ticket.failedStage ? ` at stage ${ticket.failedStage}` : ''}${ticket.error ? ` - ${ticket.error}` : ''}`);
+    } else {
+      const icon = summary.error > 0 || summary.missingDocument > 0 ? '⚠️ ' : '✅';
+      logger.info(`${icon} TIKET-${ticket.ticketNumber}: ${summary.total} items, ${summary.ok} OK, ` +
+        `${summary.warning} warning, ${summary.error} error, ${summary.missingDocument} BC doc missing ` +
+        `(${path.basename(ticket.outputPath)})`);
+    }
+  });
+
+  if (report.status !== 'success') {
+    logger.error(`❌ Batch ${report.status}: ${report.error}`);
+  }
+
+  const totals = report.totals;
+  logger.info(`Tickets: ${totals.success}/${totals.tickets} verified, ${totals.failed} failed, ${totals.cancelled} cancelled`);
+  logger.info(`Rows: ${totals.rows.total} total, ${totals.rows.ok} OK, ${totals.rows.warning} warning, ` +
+    `${totals.rows.error} error, ${totals.rows.missingDocument} BC doc missing`);
+  if (report.workbookPath) {
+    logger.success(`Batch report saved to: ${report.workbookPath}`);
+  }
+
+  if (report.status !== 'success' || totals.success < totals.tickets) {
+    return 1;
+  }
+  return totals.rows.error > 0 || totals.rows.missingDocument > 0 ? 2 : 0;
+}
+
+async function main(argv) {
+  const command = argv[0];
+
+  const { values } = parseArgs({
+    args: argv.slice(1),
+    options: {
+      ticket: { type: 'string' },
+      tickets: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      tabs: { type: 'string' },
+      env: { type: 'string' },
+      headless: { type: 'boolean' },
+      excel: { type: 'string' },
+      pdf: { type: 'string', multiple: true },
+      aju: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      file: { type: 'string' },
+      replace: { type: 'boolean' },
+      profile: { type: 'string' },
+      sheet: { type: 'string' },
+      'all-sheets': { type: 'boolean' }
+    }
+  });
+
+  if (command === 'aliases-import') {
+    if (!values.file) {
+      throw new Error('--file is required');
+    }
+
+    const result = await new ItemAliasStore().importFile(path.resolve(values.file), { replace: values.replace });
+    result.skipped.forEach(item => logger.warn(`Row ${item.row} skipped: ${item.error}`));
+    return result.skipped.length > 0 ? 2 : 0;
+  }
+
+  if (command === 'excel-profiles') {
+    new ExcelProfiles().list().forEach(profile => {
+      const columns = Object.keys(profile.columns)
+        .filter(field => profile.columns[field])
+        .map(field => `${field}=${profile.columns[field]}`)
+        .join(' ');
+      logger.info(`📐 ${profile.name}${profile.file ? ` (${profile.file})` : ''}: header row ${profile.headerRow}, ` +
+        `data from row ${profile.dataStartRow}, ticket ${profile.ticketCell || '-'}, ${columns}`);
+    });
+    return 0;
+  }
+
+  if (command === 'batch') {
+    const tabs = values.tabs !== undefined ? Number(values.tabs) : undefined;
+    if (tabs !== undefined && !(Number.isInteger(tabs) && tabs >= 1)) {
+      throw new Error('--tabs must be a whole number of 1 or more');
+    }
+
+    const runner = new BatchRunner({
+      ticketNumbers: (values.tickets || '').split(/[\s,;]+/).filter(Boolean),
+      dateFrom: values.from,
+      dateTo: values.to,
+      tabs: tabs,
+      environment: values.env,
+      headless: values.headless,
+      resultsDir: values.out ? path.resolve(values.out) : undefined,
+      ticketOptions: values.profile ? { excelProfile: values.profile } : {}
+    });
+    return printBatchReport(await runner.run());
+  }
+
+  let options;
+
+  if (command === 'verify') {
+    if (!values.ticket) {
+      throw new Error('--ticket is required');
+    }
+
+    options = {
+      ticketNumber: values.ticket,
+      environment: values.env,
+      headless: values.headless
+    };
+  } else if (command === 'verify-files') {
+    if (!values.excel || !values.pdf || values.pdf.length === 0) {
+      throw new Error('--excel and at least one --pdf are required');
+    }
+
+    const ajuMapping = parseAjuOptions(values.aju);
+
+    options = {
+      ticketNumber: values.ticket,
+      excelPath: path.resolve(values.excel),
+      pdfPaths: values.pdf.map(pdfPath => ({
+        path: path.resolve(pdfPath),
+        ajuNumber: ajuMapping[path.basename(pdfPath)] || null
+      }))
+    };
+  } else {
+    console.log(USAGE);
+    return command ? 1 : 0;
+  }
+
+  if (values.out) {
+    options.resultsDir = path.resolve(values.out);
+  }
+  if (values.profile) {
+    options.excelProfile = values.profile;
+  }
+  if (values.sheet) {
+    options.excelSheet = values.sheet;
+  }
+
+  if (values['all-sheets']) {
+    return await verifySheets(options);
+  }
+
+  const orchestrator = new VerificationOrchestrator(options);
+  const report = await orchestrator.run();
+  return printReport(report);
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    logger.error(error.message);
+    console.log(USAGE);
+    process.exit(1);
+  });
@@ -0,0 +1,524 @@
+// backend/src/config.js
+// Central configuration: defaults → config file (JSON/YAML) → .env / environment
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const dotenv = require('dotenv');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+const DEFAULTS = {
+  ils: {
+    baseUrl: 'https://202.148.14.173',
+    fallbackUrl: 'http://202.148.14.173',
+    environment: 'dev',
+    paths: {
+      dev: '/ils-dev',
+      prod: '/ils'
+    },
+    username: null,
+    password: null
+  },
+  browser: {
+    headless: false,
+    timeout: 30000
+  },
+  session: {
+    persist: true, // Keep ILS cookies in data/ils-sessions.json and reuse them on the next run
+    maxAge: 480, // Minutes a saved session is tried again
+    maxRelogins: 2 // Automatic re-logins per run or batch after the session expired (avoids account lockout)
+  },
+  server: {
+    port: 3000,
+    keepJobs: 50, // Finished API jobs and batches kept with their results (review, documents) in memory
+    jobRetention: 60 // Minutes a finished job keeps its results; afterwards only its summary (full run in history)
+  },
+  paths: {
+    downloads: path.join(PROJECT_ROOT, 'downloads'),
+    results: path.join(PROJECT_ROOT, 'results'),
+    logs: path.join(PROJECT_ROOT, 'logs'),
+    data: path.join(PROJECT_ROOT, 'data'),
+    excelProfiles: path.join(BACKEND_DIR, 'excel-profiles') // Excel layout profiles (*.json)
+  },
+  excel: {
+    profile: 'auto', // Layout profile name, or auto (detect by header text); "default" = settings below
+    ticketCell: 'A2',
+    headerRow: 4,
+    dataStartRow: 5,
+    maxEmptyRows: 3,
+    columns: {
+      itemCode: 'B',
+      itemName: 'C',
+      qty: 'J',
+      unit: null, // Optional unit column (units are compared only when set, or found by header text with profile auto)
+      ajuNumber: 'AD',
+      seriBarang: 'AG',
+      hsCode: null // Optional HS code column of the request (else HS is checked against item aliases)
+    },
+    resultColumns: {
+      itemCode: 'AH',
+      qty: 'AI',
+      bcKodeBarang: 'AJ',
+      bcQty: 'AK',
+      bcSatuan: 'AL',
+      issues: 'AM',
+      override: 'AN',
+      description: 'AO',
+      hsCode: 'AP',
+      bcHsCode: 'AQ'
+    }
+  },
+  validator: {
+    nameSimilarityThreshold: 0.75, // Fuzzy item code match (Excel item code vs BC kode barang)
+    allowMultiItemSameSeri: true,
+    strictMode: false,
+    // Excel item name vs BC uraian (own status column)
+    description: {
+      enabled: true,
+      threshold: 0.5, // Token similarity 0..1
+      policy: 'warning', // Effect of a mismatch on the overall verdict: ignore | warning | error
+      stopWords: [] // Extra words to ignore (built-in Indonesian/English list always applies)
+    }
+  },
+  units: {
+    // First entry is the canonical code (BC documents use UN/ECE codes)
+    aliases: [
+      ['PCE', 'PCS', 'PC', 'PIECE', 'PIECES', 'EA', 'EACH'],
+      ['SET', 'SETS'],
+      ['UNIT', 'UNT', 'UNITS', 'NIU'],
+      ['KGM', 'KG', 'KGS', 'KILOGRAM'],
+      ['GRM', 'G', 'GR', 'GRAM'],
+      ['DZN', 'DOZ', 'DOZEN', 'LUSIN'],
+      ['MTR', 'M', 'METER'],
+      ['CMT', 'CM', 'CENTIMETER'],
+      ['LTR', 'L', 'LITER', 'LITRE']
+    ],
+    // qty in "from" × factor = qty in "to"
+    conversions: [
+      { from: 'DZN', to: 'PCE', factor: 12 },
+      { from: 'GRM', to: 'KGM', factor: 0.001 },
+      { from: 'CMT', to: 'MTR', factor: 0.01 }
+    ]
+  },
+  quota: {
+    enabled: true // Check and record cumulative qty per Aju + seri across tickets
+  },
+  history: {
+    enabled: true // Store every run in data/history.sqlite
+  },
+  aliases: {
+    enabled: true // Check data/item-aliases.json before fuzzy item code matching
+  },
+  batch: {
+    tabs: 1, // Tickets verified at the same time in one batch (one browser tab each)
+    maxTickets: 100 // Largest batch (ticket list or date range)
+  },
+  ocr: {
+    languages: 'ind+eng',
+    minConfidence: 30,
+    viewportScale: 3.0,
+    batchSize: 3
+  },
+  cleanup: {
+    maxAge: 7,
+    maxFiles: 50
+  }
+};
+
+// Environment variable → config key
+const ENV_MAP = {
+  ILS_URL: 'ils.baseUrl',
+  ILS_FALLBACK_URL: 'ils.fallbackUrl',
+  ILS_ENV: 'ils.environment',
+  ILS_USERNAME: 'ils.username',
+  ILS_PASSWORD: 'ils.password',
+  HEADLESS: 'browser.headless',
+  TIMEOUT: 'browser.timeout',
+  SESSION_PERSIST: 'session.persist',
+  SESSION_MAX_AGE: 'session.maxAge',
+  MAX_RELOGINS: 'session.maxRelogins',
+  PORT: 'server.port',
+  KEEP_JOBS: 'server.keepJobs',
+  JOB_RETENTION: 'server.jobRetention',
+  DOWNLOADS_PATH: 'paths.downloads',
+  RESULTS_PATH: 'paths.results',
+  LOGS_PATH: 'paths.logs',
+  DATA_PATH: 'paths.data',
+  EXCEL_PROFILES_PATH: 'paths.excelProfiles',
+  EXCEL_PROFILE: 'excel.profile',
+  DESCRIPTION_POLICY: 'validator.description.policy',
+  QUOTA_ENABLED: 'quota.enabled',
+  HISTORY_ENABLED: 'history.enabled',
+  ALIASES_ENABLED: 'aliases.enabled',
+  BATCH_TABS: 'batch.tabs',
+  MAX_TICKETS: 'batch.maxTickets',
+  OCR_MIN_CONFIDENCE: 'ocr.minConfidence',
+  CLEANUP_MAX_AGE: 'cleanup.maxAge',
+  CLEANUP_MAX_FILES: 'cleanup.maxFiles'
+};
+
+const COLUMN_PATTERN = /^[A-Z]{1,3}$/;
+
+/**
+ * units.aliases: list of non-empty string lists
+ */
+function checkUnitAliases(value) {
+  const valid = value.every(group =>
+    Array.isArray(group) && group.length > 0 && group.every(alias => typeof alias === 'string' && alias.trim())
+  );
+  return valid ? null : 'every entry must be a non-empty list of unit names';
+}
+
+/**
+ * validator.description.stopWords: list of words
+ */
+function checkStopWords(value) {
+  const valid = value.every(word => typeof word === 'string' && word.trim());
+  return valid ? null : 'every entry must be a non-empty string';
+}
+
+/**
+ * units.conversions: list of { from, to, factor }
+ */
+function checkUnitConversions(value) {
+  const valid = value.every(rule =>
+    rule && typeof rule.from === 'string' && typeof rule.to === 'string' &&
+    typeof rule.factor === 'number' && rule.factor > 0
+  );
+  return valid ? null : 'every entry must be { from, to, factor } with factor > 0';
+}
+
+// Schema: key → rule. Every leaf of DEFAULTS must be listed here.
+const SCHEMA = {
+  'ils.baseUrl': { type: 'url' },
+  'ils.fallbackUrl': { type: 'url', optional: true },
+  'ils.environment': { type: 'enum', values: ['dev', 'prod'] },
+  'ils.paths.dev': { type: 'string', pattern: /^\// },
+  'ils.paths.prod': { type: 'string', pattern: /^\// },
+  'ils.username': { type: 'string', optional: true },
+  'ils.password': { type: 'string', optional: true },
+  'browser.headless': { type: 'boolean' },
+  'browser.timeout': { type: 'number', min: 1000 },
+  'session.persist': { type: 'boolean' },
+  'session.maxAge': { type: 'number', min: 1 },
+  'session.maxRelogins': { type: 'number', min: 0, max: 5 },
+  'server.port': { type: 'number', min: 1, max: 65535 },
+  'server.keepJobs': { type: 'number', min: 1 },
+  'server.jobRetention': { type: 'number', min: 1 },
+  'paths.downloads': { type: 'path' },
+  'paths.results': { type: 'path' },
+  'paths.logs': { type: 'path' },
+  'paths.data': { type: 'path' },
+  'paths.excelProfiles': { type: 'path' },
+  'excel.profile': { type: 'string', pattern: /^[\w.-]+$/ },
+  'excel.ticketCell': { type: 'string', pattern: /^[A-Z]{1,3}\d+$/ },
+  'excel.headerRow': { type: 'number', min: 1 },
+  'excel.dataStartRow': { type: 'number', min: 1 },
+  'excel.maxEmptyRows': { type: 'number', min: 1 },
+  'excel.columns.itemCode': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.columns.itemName': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.columns.qty': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.columns.unit': { type: 'string', pattern: COLUMN_PATTERN, optional: true },
+  'excel.columns.ajuNumber': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.columns.seriBarang': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.columns.hsCode': { type: 'string', pattern: COLUMN_PATTERN, optional: true },
+  'excel.resultColumns.itemCode': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.qty': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.bcKodeBarang': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.bcQty': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.bcSatuan': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.issues': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.override': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.description': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.hsCode': { type: 'string', pattern: COLUMN_PATTERN },
+  'excel.resultColumns.bcHsCode': { type: 'string', pattern: COLUMN_PATTERN },
+  'validator.nameSimilarityThreshold': { type: 'number', min: 0, max: 1 },
+  'validator.allowMultiItemSameSeri': { type: 'boolean' },
+  'validator.strictMode': { type: 'boolean' },
+  'validator.description.enabled': { type: 'boolean' },
+  'validator.description.threshold': { type: 'number', min: 0, max: 1 },
+  'validator.description.policy': { type: 'enum', values: ['ignore', 'warning', 'error'] },
+  'validator.description.stopWords': { type: 'array', check: checkStopWords },
+  'units.aliases': { type: 'array', check: checkUnitAliases },
+  'units.conversions': { type: 'array', check: checkUnitConversions },
+  'quota.enabled': { type: 'boolean' },
+  'history.enabled': { type: 'boolean' },
+  'aliases.enabled': { type: 'boolean' },
+  'batch.tabs': { type: 'number', min: 1, max: 10 },
+  'batch.maxTickets': { type: 'number', min: 1 },
+  'ocr.languages': { type: 'string' },
+  'ocr.minConfidence': { type: 'number', min: 0, max: 100 },
+  'ocr.viewportScale': { type: 'number', min: 0.5, max: 10 },
+  'ocr.batchSize': { type: 'number', min: 1 },
+  'cleanup.maxAge': { type: 'number', min: 0 },
+  'cleanup.maxFiles': { type: 'number', min: 0 }
+};
+
+let cachedConfig = null;
+
+/**
+ * Deep merge plain objects (arrays and values are replaced)
+ */
+function merge(target, source) {
+  const result = { ...target };
+
+  Object.keys(source || {}).forEach(key => {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        result[key] && typeof result[key] === 'object') {
+      result[key] = merge(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Set nested value by dotted key
+ */
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  let current = obj;
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!current[parts[i]] || typeof current[parts[i]] !== 'object') {
+      current[parts[i]] = {};
+    }
+    current = current[parts[i]];
+  }
+
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Get nested value by dotted key
+ */
+function getPath(obj, key) {
+  return key.split('.').reduce((current, part) =>
+    current !== null && current !== undefined ? current[part] : undefined, obj);
+}
+
+/**
+ * List dotted keys of all leaf values
+ */
+function listKeys(obj, prefix = '') {
+  const keys = [];
+
+  Object.keys(obj).forEach(key => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      keys.push(...listKeys(value, fullKey));
+    } else {
+      keys.push(fullKey);
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * Convert env string to the type expected by the schema
+ */
+function parseEnvValue(key, raw) {
+  const rule = SCHEMA[key];
+
+  if (rule.type === 'boolean') {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    return raw; // Left as string so validation reports it
+  }
+
+  if (rule.type === 'number') {
+    const num = Number(raw);
+    return isNaN(num) ? raw : num;
+  }
+
+  return raw;
+}
+
+/**
+ * Find config file: explicit option → CONFIG_FILE env → backend/config.{json,yaml,yml}
+ */
+function findConfigFile(configFile) {
+  if (configFile) {
+    return path.resolve(configFile);
+  }
+
+  if (process.env.CONFIG_FILE) {
+    return path.resolve(BACKEND_DIR, process.env.CONFIG_FILE);
+  }
+
+  const candidates = ['config.json', 'config.yaml', 'config.yml'];
+  for (const name of candidates) {
+    const candidate = path.join(BACKEND_DIR, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read JSON or YAML config file
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    const ext = path.extname(filePath).toLowerCase();
+    const data = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    return data || {};
+  } catch (error) {
+    throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate merged config against schema
+ * Returns list of problems (empty if valid)
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  listKeys(config).forEach(key => {
+    if (!SCHEMA[key]) {
+      problems.push(`${key}: unknown config key`);
+    }
+  });
+
+  Object.keys(SCHEMA).forEach(key => {
+    const rule = SCHEMA[key];
+    const value = getPath(config, key);
+
+    if (value === null || value === undefined || value === '') {
+      if (!rule.optional) {
+        problems.push(`${key}: is required`);
+      }
+      return;
+    }
+
+    switch (rule.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          problems.push(`${key}: must be true or false (got ${JSON.stringify(value)})`);
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value)) {
+          problems.push(`${key}: must be a number (got ${JSON.stringify(value)})`);
+        } else if (rule.min !== undefined && value < rule.min) {
+          problems.push(`${key}: must be >= ${rule.min} (got ${value})`);
+        } else if (rule.max !== undefined && value > rule.max) {
+          problems.push(`${key}: must be <= ${rule.max} (got ${value})`);
+        }
+        break;
+      case 'enum':
+        if (!rule.values.includes(value)) {
+          problems.push(`${key}: must be one of ${rule.values.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        break;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/.test(value)) {
+          problems.push(`${key}: must be an http(s) URL (got ${JSON.stringify(value)})`);
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(value)) {
+          problems.push(`${key}: must be a list (got ${JSON.stringify(value)})`);
+        } else if (rule.check && rule.check(value)) {
+          problems.push(`${key}: ${rule.check(value)}`);
+        }
+        break;
+      case 'path':
+      case 'string':
+        if (typeof value !== 'string') {
+          problems.push(`${key}: must be a string (got ${JSON.stringify(value)})`);
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+          problems.push(`${key}: invalid format (got ${JSON.stringify(value)})`);
+        }
+        break;
+    }
+  });
+
+  if (config.excel && config.excel.dataStartRow <= config.excel.headerRow) {
+    problems.push('excel.dataStartRow: must be after excel.headerRow');
+  }
+
+  return problems;
+}
+
+/**
+ * Load configuration
+ * Options: { configFile, env, overrides }
+ */
+function loadConfig(options = {}) {
+  // .env is loaded into process.env (existing variables win)
+  dotenv.config({ path: path.join(BACKEND_DIR, '.env') });
+
+  const env = options.env || process.env;
+  let config = merge({}, DEFAULTS);
+
+  const configFile = findConfigFile(options.configFile);
+  if (configFile) {
+    config = merge(config, readConfigFile(configFile));
+  }
+
+  Object.keys(ENV_MAP).forEach(envKey => {
+    if (env[envKey] !== undefined && env[envKey] !== '') {
+      setPath(config, ENV_MAP[envKey], parseEnvValue(ENV_MAP[envKey], env[envKey]));
+    }
+  });
+
+  if (options.overrides) {
+    config = merge(config, options.overrides);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    const source = configFile ? ` (config file: ${configFile})` : '';
+    throw new Error(`Invalid configuration${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Relative paths are relative to the backend folder (same as .env.example)
+  Object.keys(config.paths).forEach(key => {
+    config.paths[key] = path.resolve(BACKEND_DIR, config.paths[key]);
+  });
+
+  return config;
+}
+
+/**
+ * Get shared configuration (loaded once)
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Get ILS application URL for environment, e.g. https://host/ils-dev
+ */
+function getIlsUrl(config, environment) {
+  const env = environment || config.ils.environment;
+  return `${config.ils.baseUrl}${config.ils.paths[env] || config.ils.paths.dev}`;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  getConfig,
+  validateConfig,
+  getIlsUrl
+};
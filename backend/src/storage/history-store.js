@@ -0,0 +1,421 @@
+// backend/src/storage/history-store.js
+// Run history in a local SQLite file (sql.js): runs, BC documents and validated rows
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const logger = require('../utils/logger');
+const { normalizeAjuNumber } = require('../utils/helpers');
+const { writeFileAtomic, withFileLock } = require('../utils/atomic-file');
+const { getConfig } = require('../config');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    ticket_number TEXT,
+    mode TEXT,
+    status TEXT NOT NULL,
+    operator TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    failed_stage TEXT,
+    error TEXT,
+    excel_path TEXT,
+    output_path TEXT,
+    stages_json TEXT,
+    excel_summary_json TEXT,
+    validation_summary_json TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS run_documents (
+    run_id TEXT NOT NULL,
+    aju_number TEXT,
+    aju_key TEXT,
+    file_name TEXT,
+    document_type TEXT,
+    summary_json TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS run_items (
+    run_id TEXT NOT NULL,
+    row_number INTEGER,
+    aju_number TEXT,
+    aju_key TEXT,
+    seri INTEGER,
+    item_code TEXT,
+    item_name TEXT,
+    qty REAL,
+    unit TEXT,
+    bc_kode_barang TEXT,
+    bc_qty REAL,
+    bc_satuan TEXT,
+    status_item_code TEXT,
+    status_qty TEXT,
+    status_overall TEXT,
+    issues_json TEXT,
+    result_json TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_runs_ticket ON runs (ticket_number);
+  CREATE INDEX IF NOT EXISTS idx_runs_started ON runs (started_at);
+  CREATE INDEX IF NOT EXISTS idx_documents_run ON run_documents (run_id);
+  CREATE INDEX IF NOT EXISTS idx_items_run ON run_items (run_id);
+  CREATE INDEX IF NOT EXISTS idx_items_aju ON run_items (aju_key);
+  CREATE INDEX IF NOT EXISTS idx_items_code ON run_items (item_code);
+`;
+
+// sql.js WebAssembly is loaded once per process
+let sqlJsPromise = null;
+
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  return sqlJsPromise;
+}
+
+class HistoryStore {
+  constructor(config = getConfig()) {
+    this.filePath = path.join(config.paths.data, 'history.sqlite');
+  }
+
+  /**
+   * Open database from file (re-read on every call so CLI runs and the API see the same data)
+   */
+  async openDatabase() {
+    const SQL = await loadSqlJs();
+    const db = fs.existsSync(this.filePath)
+      ? new SQL.Database(fs.readFileSync(this.filePath))
+      : new SQL.Database();
+
+    db.exec(SCHEMA);
+    return db;
+  }
+
+  /**
+   * Write database file atomically (temp file + rename)
+   */
+  saveDatabase(db) {
+    writeFileAtomic(this.filePath, Buffer.from(db.export()));
+  }
+
+  /**
+   * Run SELECT and return rows as objects
+   */
+  queryAll(db, sql, params = []) {
+    const statement = db.prepare(sql);
+    const rows = [];
+
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Store one verification run
+   * @param {Object} run - { id, mode, operator, report, excelSummary, documents, results }
+   *   documents: [{ ajuNumber, fileName, summary }] (PDFParser.getSummary)
+   *   results: Validator.validateItem results
+   */
+  async recordRun(run) {
+    // Read to write under the lock file: the whole database is rewritten, and CLI runs,
+    // the API server and tickets of a batch record at the same time
+    return withFileLock(this.filePath, () => this.insertRun(run));
+  }
+
+  /**
+   * Add a run to the database file (caller holds the lock)
+   */
+  async insertRun(run) {
+    const db = await this.openDatabase();
+    const report = run.report;
+
+    try {
+      db.exec('BEGIN');
+
+      // Same id recorded again (e.g. re-run of a job) replaces the old rows
+      ['runs', 'run_documents', 'run_items'].forEach(table => {
+        db.run(`DELETE FROM ${table} WHERE ${table === 'runs' ? 'id' : 'run_id'} = ?`, [run.id]);
+      });
+
+      db.run(
+        `INSERT INTO runs (id, ticket_number, mode, status, operator, started_at, finished_at, duration_ms,
+          failed_stage, error, excel_path, output_path, stages_json, excel_summary_json, validation_summary_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          run.id,
+          report.ticketNumber,
+          run.mode || null,
+          report.status,
+          run.operator || null,
+          report.startedAt,
+          report.finishedAt,
+          report.durationMs,
+          report.failedStage,
+          report.error,
+          report.excelPath,
+          report.outputPath,
+          JSON.stringify(report.stages),
+          run.excelSummary ? JSON.stringify(run.excelSummary) : null,
+          report.summary ? JSON.stringify(report.summary) : null
+        ]
+      );
+
+      (run.documents || []).forEach(doc => {
+        db.run(
+          `INSERT INTO run_documents (run_id, aju_number, aju_key, file_name, document_type, summary_json)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            run.id,
+            doc.ajuNumber || null,
+            normalizeAjuNumber(doc.ajuNumber) || null,
+            doc.fileName || null,
+            doc.summary && doc.summary.header ? doc.summary.header.documentType : null,
+            JSON.stringify(doc.summary || null)
+          ]
+        );
+      });
+
+      (run.results || []).forEach(result => {
+        const excel = result.excelData || {};
+        const bc = result.bcData || {};
+
+        db.run(
+          `INSERT INTO run_items (run_id, row_number, aju_number, aju_key, seri, item_code, item_name, qty, unit,
+            bc_kode_barang, bc_qty, bc_satuan, status_item_code, status_qty, status_overall, issues_json, result_json)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            run.id,
+            result.rowNumber,
+            excel.ajuNumber || null,
+            normalizeAjuNumber(excel.ajuNumber) || null,
+            excel.seriBarang || null,
+            excel.itemCode || null,
+            excel.itemName || null,
+            excel.qty !== undefined ? excel.qty : null,
+            excel.unit || null,
+            bc.kodeBarang || null,
+            bc.qty !== undefined ? bc.qty : null,
+            bc.satuan || null,
+            result.validation.itemCode || null,
+            result.validation.qty || null,
+            result.validation.overall || null,
+            JSON.stringify(result.issues || []),
+            JSON.stringify(result)
+          ]
+        );
+      });
+
+      db.exec('COMMIT');
+      this.saveDatabase(db);
+
+      logger.info(`History: recorded run ${run.id} (${(run.results || []).length} rows)`);
+    } catch (error) {
+      db.exec('ROLLBACK');
+      logger.error('Failed to record run history:', error.message);
+      throw error;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Build WHERE clause shared by run and item queries
+   * filter: { ticketNumber, ajuNumber, itemCode, from, to }
+   */
+  buildFilter(filter) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.ticketNumber) {
+      conditions.push('r.ticket_number = ?');
+      params.push(filter.ticketNumber.toString());
+    }
+
+    if (filter.from) {
+      conditions.push('r.started_at >= ?');
+      params.push(filter.from);
+    }
+
+    if (filter.to) {
+      // Date-only "to" includes the whole day
+      conditions.push('r.started_at <= ?');
+      params.push(/^\d{4}-\d{2}-\d{2}$/.test(filter.to) ? `${filter.to}T23:59:59.999Z` : filter.to);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * List runs, newest first
+   * filter: { ticketNumber, ajuNumber, itemCode, status (run status), from, to, limit, offset }
+   */
+  async listRuns(filter = {}) {
+    const db = await this.openDatabase();
+
+    try {
+      const { conditions, params } = this.buildFilter(filter);
+
+      if (filter.status) {
+        conditions.push('r.status = ?');
+        params.push(filter.status);
+      }
+
+      if (filter.ajuNumber) {
+        conditions.push('EXISTS (SELECT 1 FROM run_items i WHERE i.run_id = r.id AND i.aju_key = ?)');
+        params.push(normalizeAjuNumber(filter.ajuNumber));
+      }
+
+      if (filter.itemCode) {
+        conditions.push('EXISTS (SELECT 1 FROM run_items i WHERE i.run_id = r.id AND i.item_code = ?)');
+        params.push(filter.itemCode);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = this.queryAll(
+        db,
+        `SELECT r.* FROM runs r ${where} ORDER BY r.started_at DESC LIMIT ? OFFSET ?`,
+        [...params, parseInt(filter.limit) || 50, parseInt(filter.offset) || 0]
+      );
+
+      return rows.map(row => this.toRun(row));
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Get one run with its BC documents and validated rows
+   */
+  async getRun(id) {
+    const db = await this.openDatabase();
+
+    try {
+      const rows = this.queryAll(db, 'SELECT * FROM runs WHERE id = ?', [id]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const documents = this.queryAll(db, 'SELECT * FROM run_documents WHERE run_id = ?', [id]);
+      const items = this.queryAll(db, 'SELECT * FROM run_items WHERE run_id = ? ORDER BY row_number', [id]);
+
+      return {
+        ...this.toRun(rows[0]),
+        documents: documents.map(doc => ({
+          ajuNumber: doc.aju_number,
+          fileName: doc.file_name,
+          documentType: doc.document_type,
+          summary: JSON.parse(doc.summary_json)
+        })),
+        items: items.map(item => this.toItem(item))
+      };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Search validated rows across runs, newest run first
+   * filter: { ticketNumber, ajuNumber, itemCode, status (row overall status), from, to, limit, offset }
+   */
+  async listItems(filter = {}) {
+    const db = await this.openDatabase();
+
+    try {
+      const { conditions, params } = this.buildFilter(filter);
+
+      if (filter.status) {
+        conditions.push('i.status_overall = ?');
+        params.push(filter.status);
+      }
+
+      if (filter.ajuNumber) {
+        conditions.push('i.aju_key = ?');
+        params.push(normalizeAjuNumber(filter.ajuNumber));
+      }
+
+      if (filter.itemCode) {
+        conditions.push('i.item_code = ?');
+        params.push(filter.itemCode);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = this.queryAll(
+        db,
+        `SELECT i.*, r.ticket_number, r.started_at, r.operator
+         FROM run_items i JOIN runs r ON r.id = i.run_id
+         ${where}
+         ORDER BY r.started_at DESC, i.row_number
+         LIMIT ? OFFSET ?`,
+        [...params, parseInt(filter.limit) || 200, parseInt(filter.offset) || 0]
+      );
+
+      return rows.map(row => ({
+        ...this.toItem(row),
+        runId: row.run_id,
+        ticketNumber: row.ticket_number,
+        startedAt: row.started_at,
+        operator: row.operator
+      }));
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Map runs row to API shape
+   */
+  toRun(row) {
+    return {
+      id: row.id,
+      ticketNumber: row.ticket_number,
+      mode: row.mode,
+      status: row.status,
+      operator: row.operator,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      failedStage: row.failed_stage,
+      error: row.error,
+      excelPath: row.excel_path,
+      outputPath: row.output_path,
+      stages: JSON.parse(row.stages_json || '[]'),
+      excelSummary: JSON.parse(row.excel_summary_json || 'null'),
+      summary: JSON.parse(row.validation_summary_json || 'null')
+    };
+  }
+
+  /**
+   * Map run_items row to API shape
+   */
+  toItem(row) {
+    return {
+      rowNumber: row.row_number,
+      ajuNumber: row.aju_number,
+      seri: row.seri,
+      itemCode: row.item_code,
+      itemName: row.item_name,
+      qty: row.qty,
+      unit: row.unit,
+      bcKodeBarang: row.bc_kode_barang,
+      bcQty: row.bc_qty,
+      bcSatuan: row.bc_satuan,
+      validation: {
+        itemCode: row.status_item_code,
+        qty: row.status_qty,
+        overall: row.status_overall
+      },
+      issues: JSON.parse(row.issues_json || '[]')
+    };
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,315 @@
+// backend/src/storage/item-alias-store.js
+// Cross-reference of internal item codes to BC kode barang / HS code (consulted before fuzzy matching)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const { parseDelimited } = require('../utils/helpers');
+const { writeFileAtomic } = require('../utils/atomic-file');
+const { getConfig } = require('../config');
+
+// Accepted import headers (lowercase, letters/digits only) per field
+const HEADER_NAMES = {
+  internalCode: ['internalcode', 'itemcode', 'kodeinternal', 'partnumber', 'partno'],
+  bcKodeBarang: ['bckodebarang', 'kodebarang', 'kodebrg', 'bccode', 'suppliercode'],
+  hsCode: ['hscode', 'hs', 'postarif', 'postarifhs'],
+  note: ['note', 'notes', 'keterangan', 'remark', 'remarks']
+};
+
+class ItemAliasStore {
+  constructor(config = getConfig()) {
+    this.filePath = path.join(config.paths.data, 'item-aliases.json');
+  }
+
+  /**
+   * Code comparison key (case and surrounding spaces ignored)
+   */
+  normalizeCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+  }
+
+  /**
+   * HS code digits only ("8479.90.30" → "84799030")
+   */
+  normalizeHsCode(hsCode) {
+    return (hsCode || '').toString().replace(/\D/g, '');
+  }
+
+  /**
+   * Read alias file (re-read on every call so API edits apply to running jobs)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { aliases: [] };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read item aliases ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write alias file atomically (temp file + rename)
+   */
+  save(data) {
+    writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Check and clean alias fields: internalCode plus bcKodeBarang and/or hsCode
+   */
+  cleanAlias(alias) {
+    const cleaned = {
+      internalCode: (alias.internalCode || '').toString().trim(),
+      bcKodeBarang: (alias.bcKodeBarang || '').toString().trim() || null,
+      hsCode: (alias.hsCode || '').toString().trim() || null,
+      note: (alias.note || '').toString().trim() || null
+    };
+
+    if (!cleaned.internalCode) {
+      throw new Error('internalCode is required');
+    }
+    if (!cleaned.bcKodeBarang && !cleaned.hsCode) {
+      throw new Error(`Alias ${cleaned.internalCode}: bcKodeBarang or hsCode is required`);
+    }
+    if (cleaned.hsCode && this.normalizeHsCode(cleaned.hsCode).length < 4) {
+      throw new Error(`Alias ${cleaned.internalCode}: invalid hsCode "${cleaned.hsCode}"`);
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * List aliases, optionally filtered by code (exact, case-insensitive)
+   */
+  list(filter = {}) {
+    return this.load().aliases
+      .filter(alias => !filter.internalCode ||
+        this.normalizeCode(alias.internalCode) === this.normalizeCode(filter.internalCode))
+      .filter(alias => !filter.bcKodeBarang ||
+        this.normalizeCode(alias.bcKodeBarang) === this.normalizeCode(filter.bcKodeBarang))
+      .filter(alias => !filter.hsCode ||
+        this.normalizeHsCode(alias.hsCode) === this.normalizeHsCode(filter.hsCode))
+      .sort((a, b) => a.internalCode.localeCompare(b.internalCode));
+  }
+
+  /**
+   * Get alias by id (null if not found)
+   */
+  get(id) {
+    return this.load().aliases.find(alias => alias.id === id) || null;
+  }
+
+  /**
+   * Find alias linking an Excel item code to a BC item
+   * Matches on BC kode barang; aliases without kode barang match on HS code (alias HS may be shorter, e.g. 8 digits).
+   * @returns {Object|null} alias entry
+   */
+  findMatch(excelCode, bcKodeBarang, bcHsCode = null) {
+    const internal = this.normalizeCode(excelCode);
+    const bcCode = this.normalizeCode(bcKodeBarang);
+    const hsDigits = this.normalizeHsCode(bcHsCode);
+
+    return this.load().aliases.find(alias => {
+      if (this.normalizeCode(alias.internalCode) !== internal) {
+        return false;
+      }
+      if (alias.bcKodeBarang) {
+        return bcCode !== '' && this.normalizeCode(alias.bcKodeBarang) === bcCode;
+      }
+      return hsDigits !== '' && hsDigits.startsWith(this.normalizeHsCode(alias.hsCode));
+    }) || null;
+  }
+
+  /**
+   * Aliases of an internal code that carry an HS code (reference for the HS code check)
+   */
+  findHsAliases(excelCode) {
+    return this.list({ internalCode: excelCode }).filter(alias => alias.hsCode);
+  }
+
+  /**
+   * Same internal code + BC kode barang + HS code (used to update instead of duplicating)
+   */
+  findSame(aliases, alias) {
+    return aliases.find(existing =>
+      this.normalizeCode(existing.internalCode) === this.normalizeCode(alias.internalCode) &&
+      this.normalizeCode(existing.bcKodeBarang) === this.normalizeCode(alias.bcKodeBarang) &&
+      this.normalizeHsCode(existing.hsCode) === this.normalizeHsCode(alias.hsCode)
+    );
+  }
+
+  /**
+   * Add an alias (an identical mapping is updated instead)
+   * @param {Object} alias - { internalCode, bcKodeBarang, hsCode, note }
+   * @param {string} source - where the mapping comes from (e.g. "api:rina", "import:aliases.csv")
+   */
+  add(alias, source = 'api') {
+    const data = this.load();
+    const stored = this.upsert(data, this.cleanAlias(alias), source, new Date().toISOString());
+
+    this.save(data);
+    logger.info(`Item alias ${stored.internalCode} → ${stored.bcKodeBarang || stored.hsCode} saved (${source})`);
+    return stored;
+  }
+
+  /**
+   * Insert or update an alias in loaded data
+   */
+  upsert(data, alias, source, timestamp) {
+    const existing = this.findSame(data.aliases, alias);
+    if (existing) {
+      Object.assign(existing, alias, { source: source, updatedAt: timestamp });
+      return existing;
+    }
+
+    const stored = {
+      id: crypto.randomUUID(),
+      ...alias,
+      source: source,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    data.aliases.push(stored);
+    return stored;
+  }
+
+  /**
+   * Update an alias (null if not found)
+   */
+  update(id, changes, source = 'api') {
+    const data = this.load();
+    const alias = data.aliases.find(item => item.id === id);
+    if (!alias) {
+      return null;
+    }
+
+    const cleaned = this.cleanAlias({ ...alias, ...changes });
+    Object.assign(alias, cleaned, { source: source, updatedAt: new Date().toISOString() });
+
+    this.save(data);
+    logger.info(`Item alias ${alias.internalCode} updated (${source})`);
+    return alias;
+  }
+
+  /**
+   * Remove an alias
+   * @returns {boolean} true if removed
+   */
+  remove(id) {
+    const data = this.load();
+    const before = data.aliases.length;
+    data.aliases = data.aliases.filter(alias => alias.id !== id);
+
+    if (data.aliases.length === before) {
+      return false;
+    }
+
+    this.save(data);
+    logger.info(`Item alias ${id} removed`);
+    return true;
+  }
+
+  /**
+   * Import aliases from a CSV/TSV or xlsx file (first worksheet)
+   * First row is the header, see HEADER_NAMES for accepted column names.
+   * @param {string} filePath
+   * @param {Object} options - { replace: drop aliases imported earlier from a file with the same name }
+   * @returns {Object} { imported, skipped: [{ row, error }], source }
+   */
+  async importFile(filePath, options = {}) {
+    const rows = await this.readRows(filePath);
+    const source = `import:${options.fileName || path.basename(filePath)}`;
+
+    if (rows.length === 0) {
+      throw new Error(`No rows in ${path.basename(filePath)}`);
+    }
+
+    const columns = this.mapHeader(rows[0]);
+    const data = this.load();
+    if (options.replace) {
+      data.aliases = data.aliases.filter(alias => alias.source !== source);
+    }
+
+    const timestamp = new Date().toISOString();
+    const skipped = [];
+    let imported = 0;
+
+    rows.slice(1).forEach((cells, index) => {
+      const rowNumber = index + 2;
+      try {
+        const alias = this.cleanAlias({
+          internalCode: cells[columns.internalCode],
+          bcKodeBarang: columns.bcKodeBarang !== undefined ? cells[columns.bcKodeBarang] : null,
+          hsCode: columns.hsCode !== undefined ? cells[columns.hsCode] : null,
+          note: columns.note !== undefined ? cells[columns.note] : null
+        });
+        this.upsert(data, alias, source, timestamp);
+        imported++;
+      } catch (error) {
+        skipped.push({ row: rowNumber, error: error.message });
+      }
+    });
+
+    this.save(data);
+    logger.success(`✅ Imported ${imported} item aliases from ${path.basename(filePath)} (${skipped.length} skipped)`);
+    return { imported: imported, skipped: skipped, source: source };
+  }
+
+  /**
+   * Read import file as rows of cell strings
+   */
+  async readRows(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(filePath);
+
+      const rows = [];
+      workbook.worksheets[0].eachRow(row => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell, col) => {
+          cells[col - 1] = cell.text;
+        });
+        rows.push(Array.from(cells, value => value || ''));
+      });
+      return rows;
+    }
+
+    if (ext === '.csv' || ext === '.tsv' || ext === '.txt') {
+      return parseDelimited(fs.readFileSync(filePath, 'utf8'), ext === '.tsv' ? '\t' : null);
+    }
+
+    throw new Error(`Unsupported alias file type "${ext}" (use .csv, .tsv or .xlsx)`);
+  }
+
+  /**
+   * Column index per field from the header row
+   */
+  mapHeader(headerCells) {
+    const columns = {};
+
+    headerCells.forEach((cell, index) => {
+      const name = (cell || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+      Object.keys(HEADER_NAMES).forEach(field => {
+        if (columns[field] === undefined && HEADER_NAMES[field].includes(name)) {
+          columns[field] = index;
+        }
+      });
+    });
+
+    if (columns.internalCode === undefined || (columns.bcKodeBarang === undefined && columns.hsCode === undefined)) {
+      throw new Error('Alias file needs an internal code column and a BC kode barang and/or HS code column ' +
+        `(found: ${headerCells.join(', ')})`);
+    }
+
+    return columns;
+  }
+}
+
+module.exports = ItemAliasStore;
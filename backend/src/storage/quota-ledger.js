@@ -0,0 +1,174 @@
+// backend/src/storage/quota-ledger.js
+// Persistent ledger of BC quantities consumed per Aju + seri across scrap tickets
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { normalizeAjuNumber } = require('../utils/helpers');
+const { writeFileAtomic } = require('../utils/atomic-file');
+const { getConfig } = require('../config');
+
+class QuotaLedger {
+  constructor(config = getConfig()) {
+    this.filePath = path.join(config.paths.data, 'quota-ledger.json');
+  }
+
+  /**
+   * Ledger key: normalized Aju + seri
+   */
+  getKey(ajuNumber, seri) {
+    return `${normalizeAjuNumber(ajuNumber)}#${parseInt(seri)}`;
+  }
+
+  /**
+   * Read ledger file (re-read on every call so API and jobs see the same data)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { entries: {} };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read quota ledger ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write ledger file atomically (temp file + rename)
+   */
+  save(data) {
+    writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Entry with totals: { ajuNumber, seri, bcQty, satuan, consumed, remaining, consumptions }
+   */
+  describeEntry(entry) {
+    const consumed = entry.consumptions.reduce((sum, c) => sum + c.qty, 0);
+
+    return {
+      ...entry,
+      consumed: consumed,
+      remaining: entry.bcQty !== null ? entry.bcQty - consumed : null
+    };
+  }
+
+  /**
+   * Get one entry (null if the seri was never recorded)
+   */
+  getEntry(ajuNumber, seri) {
+    const entry = this.load().entries[this.getKey(ajuNumber, seri)];
+    return entry ? this.describeEntry(entry) : null;
+  }
+
+  /**
+   * List entries, optionally filtered by Aju or ticket
+   */
+  listEntries(filter = {}) {
+    const aju = filter.ajuNumber ? normalizeAjuNumber(filter.ajuNumber) : null;
+
+    return Object.values(this.load().entries)
+      .filter(entry => !aju || normalizeAjuNumber(entry.ajuNumber) === aju)
+      .filter(entry => !filter.ticketNumber ||
+        entry.consumptions.some(c => c.ticketNumber === filter.ticketNumber))
+      .map(entry => this.describeEntry(entry))
+      .sort((a, b) => a.ajuNumber.localeCompare(b.ajuNumber) || a.seri - b.seri);
+  }
+
+  /**
+   * Consumptions by other tickets (the ticket being verified is excluded, so re-runs don't count twice)
+   */
+  getEarlierConsumptions(ajuNumber, seri, ticketNumber) {
+    const entry = this.load().entries[this.getKey(ajuNumber, seri)];
+    if (!entry) {
+      return [];
+    }
+
+    return entry.consumptions.filter(c => c.ticketNumber !== ticketNumber);
+  }
+
+  /**
+   * Record quantities consumed by a ticket
+   * Replaces anything recorded earlier for the same ticket.
+   * @param {string} ticketNumber
+   * @param {Array} consumptions - { ajuNumber, seri, qty, bcQty, satuan, rowNumbers }
+   */
+  recordTicket(ticketNumber, consumptions) {
+    if (!ticketNumber) {
+      throw new Error('Ticket number is required to record quota consumption');
+    }
+
+    const data = this.load();
+    this.removeFromData(data, ticketNumber);
+
+    const recordedAt = new Date().toISOString();
+    consumptions.forEach(item => {
+      const key = this.getKey(item.ajuNumber, item.seri);
+
+      if (!data.entries[key]) {
+        data.entries[key] = {
+          ajuNumber: item.ajuNumber,
+          seri: parseInt(item.seri),
+          bcQty: null,
+          satuan: null,
+          consumptions: []
+        };
+      }
+
+      const entry = data.entries[key];
+      entry.bcQty = item.bcQty !== undefined ? item.bcQty : entry.bcQty;
+      entry.satuan = item.satuan || entry.satuan;
+      entry.consumptions.push({
+        ticketNumber: ticketNumber,
+        qty: item.qty,
+        rowNumbers: item.rowNumbers || [],
+        recordedAt: recordedAt
+      });
+    });
+
+    this.save(data);
+    logger.info(`Quota ledger: recorded ${consumptions.length} seri for ticket ${ticketNumber}`);
+  }
+
+  /**
+   * Remove all consumption of a ticket (e.g. ticket cancelled in ILS)
+   * @returns {number} number of entries changed
+   */
+  removeTicket(ticketNumber) {
+    const data = this.load();
+    const changed = this.removeFromData(data, ticketNumber);
+
+    if (changed > 0) {
+      this.save(data);
+      logger.info(`Quota ledger: removed ticket ${ticketNumber} from ${changed} seri`);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Drop a ticket's consumptions from loaded data (empty entries are deleted)
+   */
+  removeFromData(data, ticketNumber) {
+    let changed = 0;
+
+    Object.keys(data.entries).forEach(key => {
+      const entry = data.entries[key];
+      const before = entry.consumptions.length;
+      entry.consumptions = entry.consumptions.filter(c => c.ticketNumber !== ticketNumber);
+
+      if (entry.consumptions.length !== before) {
+        changed++;
+      }
+      if (entry.consumptions.length === 0) {
+        delete data.entries[key];
+      }
+    });
+
+    return changed;
+  }
+}
+
+module.exports = QuotaLedger;
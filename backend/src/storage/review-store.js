@@ -0,0 +1,217 @@
+// backend/src/storage/review-store.js
+// Reviewer overrides and ticket sign-off per verification run
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomic-file');
+const { getConfig } = require('../config');
+
+// Statuses a reviewer can set on a row
+const OVERRIDE_STATUSES = ['OK', 'WARNING', 'ERROR'];
+
+// Rows that block sign-off unless overridden (BC DOC MISSING rows were never verified)
+const BLOCKING_STATUSES = ['ERROR', 'BC DOC MISSING'];
+
+class ReviewStore {
+  constructor(config = getConfig()) {
+    this.filePath = path.join(config.paths.data, 'reviews.json');
+  }
+
+  /**
+   * Read review file (re-read on every call so API requests see the same data)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { runs: {} };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read reviews ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write review file atomically (temp file + rename)
+   */
+  save(data) {
+    writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Review of a run: { runId, ticketNumber, overrides: [...], signOff }
+   */
+  getReview(runId) {
+    const review = this.load().runs[runId];
+
+    return {
+      runId: runId,
+      ticketNumber: review ? review.ticketNumber : null,
+      overrides: review ? Object.values(review.overrides).sort((a, b) => a.rowNumber - b.rowNumber) : [],
+      signOff: review ? review.signOff : null
+    };
+  }
+
+  /**
+   * Sign-offs of a ticket, newest first (a ticket can be verified more than once)
+   */
+  getTicketSignOffs(ticketNumber) {
+    return Object.values(this.load().runs)
+      .filter(review => review.ticketNumber === ticketNumber && review.signOff)
+      .map(review => ({ runId: review.runId, ...review.signOff }))
+      .sort((a, b) => b.signedAt.localeCompare(a.signedAt));
+  }
+
+  /**
+   * Review entry of a run in loaded data (created on first change, refused once signed off)
+   */
+  getOpenReview(data, runId, ticketNumber) {
+    if (!data.runs[runId]) {
+      data.runs[runId] = {
+        runId: runId,
+        ticketNumber: ticketNumber || null,
+        overrides: {},
+        signOff: null
+      };
+    }
+
+    const review = data.runs[runId];
+    if (review.signOff) {
+      throw new Error(`Run ${runId} was signed off by ${review.signOff.user}, overrides are locked`);
+    }
+
+    return review;
+  }
+
+  /**
+   * Override the overall status of a row
+   * @param {string} runId
+   * @param {Object} override - { rowNumber, status, reason, user, ticketNumber, originalStatus }
+   * @returns {Object} stored override
+   */
+  setOverride(runId, override) {
+    const rowNumber = parseInt(override.rowNumber);
+    const reason = (override.reason || '').toString().trim();
+    const user = (override.user || '').toString().trim();
+
+    if (!rowNumber) {
+      throw new Error('rowNumber is required');
+    }
+    if (!OVERRIDE_STATUSES.includes(override.status)) {
+      throw new Error(`status must be one of ${OVERRIDE_STATUSES.join(', ')}`);
+    }
+    if (!reason) {
+      throw new Error('reason is required');
+    }
+    if (!user) {
+      throw new Error('user is required');
+    }
+
+    const data = this.load();
+    const review = this.getOpenReview(data, runId, override.ticketNumber);
+
+    const stored = {
+      rowNumber: rowNumber,
+      status: override.status,
+      originalStatus: override.originalStatus || null,
+      reason: reason,
+      user: user,
+      overriddenAt: new Date().toISOString()
+    };
+    review.overrides[rowNumber] = stored;
+
+    this.save(data);
+    logger.info(`Review ${runId}: row ${rowNumber} overridden to ${stored.status} by ${user}`);
+    return stored;
+  }
+
+  /**
+   * Remove the override of a row
+   * @returns {boolean} true if there was one
+   */
+  removeOverride(runId, rowNumber) {
+    const data = this.load();
+    if (!data.runs[runId] || !data.runs[runId].overrides[rowNumber]) {
+      return false;
+    }
+
+    const review = this.getOpenReview(data, runId);
+    delete review.overrides[rowNumber];
+
+    this.save(data);
+    logger.info(`Review ${runId}: override of row ${rowNumber} removed`);
+    return true;
+  }
+
+  /**
+   * Results with overrides applied
+   * Overridden rows get validation.overall = override status (validator status kept in
+   * validation.originalOverall) and row.override = { status, reason, user, overriddenAt }.
+   */
+  applyOverrides(results, review) {
+    const overrides = new Map(review.overrides.map(o => [o.rowNumber, o]));
+
+    return results.map(result => {
+      const override = overrides.get(result.rowNumber);
+      if (!override) {
+        return result;
+      }
+
+      return {
+        ...result,
+        validation: {
+          ...result.validation,
+          originalOverall: result.validation.overall,
+          overall: override.status
+        },
+        override: override
+      };
+    });
+  }
+
+  /**
+   * Rows that still block sign-off (ERROR / BC DOC MISSING without override)
+   */
+  getBlockingRows(results, review) {
+    return this.applyOverrides(results, review)
+      .filter(result => BLOCKING_STATUSES.includes(result.validation.overall));
+  }
+
+  /**
+   * Sign off a run once every blocking row is resolved or overridden
+   * @param {string} runId
+   * @param {Array} results - validated rows of the run
+   * @param {Object} signOff - { user, comment, ticketNumber }
+   */
+  signOff(runId, results, signOff) {
+    const user = (signOff.user || '').toString().trim();
+    if (!user) {
+      throw new Error('user is required');
+    }
+
+    const blocking = this.getBlockingRows(results, this.getReview(runId));
+    if (blocking.length > 0) {
+      throw new Error(`Cannot sign off: ${blocking.length} row(s) still ERROR or without BC document ` +
+        `(rows ${blocking.map(r => r.rowNumber).join(', ')})`);
+    }
+
+    const data = this.load();
+    const review = this.getOpenReview(data, runId, signOff.ticketNumber);
+    review.signOff = {
+      user: user,
+      comment: (signOff.comment || '').toString().trim() || null,
+      signedAt: new Date().toISOString()
+    };
+
+    this.save(data);
+    logger.success(`✅ Review ${runId}: signed off by ${user}`);
+    return review.signOff;
+  }
+}
+
+ReviewStore.OVERRIDE_STATUSES = OVERRIDE_STATUSES;
+ReviewStore.BLOCKING_STATUSES = BLOCKING_STATUSES;
+
+module.exports = ReviewStore;
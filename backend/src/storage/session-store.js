@@ -0,0 +1,86 @@
+// backend/src/storage/session-store.js
+// Saved ILS browser cookies per ILS URL + user, reused by the next run instead of logging in again
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomic-file');
+const { getConfig } = require('../config');
+
+class SessionStore {
+  constructor(config = getConfig()) {
+    this.filePath = path.join(config.paths.data, 'ils-sessions.json');
+    this.maxAgeMs = config.session.maxAge * 60 * 1000;
+  }
+
+  /**
+   * Read session file (re-read on every call, runs may save sessions in parallel)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { sessions: {} };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ILS sessions ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write session file atomically (temp file + rename), readable by the owner only (cookies are credentials)
+   */
+  save(data) {
+    writeFileAtomic(this.filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Saved cookies of a session (null if none or older than session.maxAge)
+   * @returns {Object|null} { cookies, savedAt }
+   */
+  get(key) {
+    const session = this.load().sessions[key];
+    if (!session) {
+      return null;
+    }
+
+    if (Date.now() - new Date(session.savedAt).getTime() > this.maxAgeMs) {
+      logger.debug(`Saved ILS session too old (${session.savedAt}), not reused`);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Save cookies of a logged-in session
+   */
+  set(key, cookies) {
+    const data = this.load();
+    data.sessions[key] = {
+      cookies: cookies,
+      savedAt: new Date().toISOString()
+    };
+
+    this.save(data);
+    logger.debug(`ILS session saved (${cookies.length} cookies)`);
+  }
+
+  /**
+   * Forget a session (expired or logged out)
+   * @returns {boolean} true if removed
+   */
+  remove(key) {
+    const data = this.load();
+    if (!data.sessions[key]) {
+      return false;
+    }
+
+    delete data.sessions[key];
+    this.save(data);
+    return true;
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,79 @@
+// backend/src/utils/atomic-file.js
+// Safe writes of data files shared by CLI runs and the API server (temp file + rename, lock file)
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { sleep } = require('./helpers');
+
+/**
+ * Write a file atomically: readers see the old or the new content, never a partial write
+ * The temp name is unique per write (pid + random), so processes saving at once never share one.
+ * @param {string|Buffer} data
+ * @param {Object} options - fs.writeFileSync options (e.g. { mode: 0o600 })
+ */
+function writeFileAtomic(filePath, data, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, data, options);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Run fn while holding <file>.lock (read-modify-write of a file other processes also write)
+ * A lock older than staleMs is left over from a crashed process and taken over.
+ * @returns {Promise} result of fn
+ */
+async function withFileLock(filePath, fn, options = {}) {
+  const { timeout = 30000, staleMs = 60000, interval = 50 } = options;
+  const lockPath = `${filePath}.lock`;
+  const startTime = Date.now();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let lockAge = 0;
+    try {
+      lockAge = Date.now() - fs.statSync(lockPath).mtimeMs;
+    } catch (error) {
+      continue; // Released in the meantime
+    }
+
+    if (lockAge > staleMs) {
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+
+    if (Date.now() - startTime > timeout) {
+      throw new Error(`Timeout waiting for lock ${lockPath}`);
+    }
+
+    await sleep(interval);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  withFileLock
+};
@@ -4,14 +4,14 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { getConfig } = require('../config');
 
 class OCRCleanup {
-  constructor(options = {}) {
-    // Default to project root /logs directory (not /backend/logs)
-    // __dirname is backend/src/utils, so go up 3 levels to project root, then /logs
-    this.logsDir = options.logsDir || path.join(__dirname, '../../../logs');
-    this.maxAge = options.maxAge || 7; // Days to keep files
-    this.maxFiles = options.maxFiles || 50; // Max number of recent files to keep
+  constructor(options = {}, config = getConfig()) {
+    // Default to configured logs directory (project root /logs, not /backend/logs)
+    this.logsDir = options.logsDir || config.paths.logs;
+    this.maxAge = options.maxAge || config.cleanup.maxAge; // Days to keep files
+    this.maxFiles = options.maxFiles || config.cleanup.maxFiles; // Max number of recent files to keep
     this.dryRun = options.dryRun || false; // If true, only log what would be deleted
   }
 
@@ -119,27 +119,31 @@ class OCRCleanup {
 
       let totalDeleted = 0;
 
-      // Clean up ocr-temp folder
+      // Clean up ocr-temp folder: one folder per OCR run, removed by the run itself.
+      // Only entries older than 1 hour are orphans; newer ones may belong to a run in progress.
       const ocrTempPath = path.join(this.logsDir, 'ocr-temp');
       if (fs.existsSync(ocrTempPath)) {
-        const files = fs.readdirSync(ocrTempPath);
+        const maxAgeMs = 1 * 60 * 60 * 1000;
+        const orphans = fs.readdirSync(ocrTempPath)
+          .map(name => path.join(ocrTempPath, name))
+          .filter(entryPath => Date.now() - fs.statSync(entryPath).mtime > maxAgeMs);
 
-        if (files.length > 0) {
-          logger.warn(`Found ${files.length} files in ocr-temp folder (should be empty)`);
+        if (orphans.length > 0) {
+          logger.warn(`Found ${orphans.length} orphaned entries in ocr-temp folder`);
 
           if (this.dryRun) {
-            logger.info(`[DRY RUN] Would delete ocr-temp folder with ${files.length} files`);
+            logger.info(`[DRY RUN] Would delete ${orphans.length} orphaned ocr-temp entries`);
           } else {
-            fs.rmSync(ocrTempPath, { recursive: true, force: true });
-            logger.info(`Deleted ocr-temp folder with ${files.length} orphaned files`);
-            totalDeleted += files.length;
-          }
-        } else {
-          // Empty folder, remove it
-          if (!this.dryRun) {
-            fs.rmSync(ocrTempPath, { recursive: true, force: true });
-            logger.info('Removed empty ocr-temp folder');
+            orphans.forEach(entryPath => fs.rmSync(entryPath, { recursive: true, force: true }));
+            logger.info(`Deleted ${orphans.length} orphaned ocr-temp entries`);
           }
+          totalDeleted += orphans.length;
+        }
+
+        // Empty folder, remove it
+        if (!this.dryRun && fs.readdirSync(ocrTempPath).length === 0) {
+          fs.rmSync(ocrTempPath, { recursive: true, force: true });
+          logger.info('Removed empty ocr-temp folder');
         }
       } else {
         logger.debug('No ocr-temp folder found (clean)');
@@ -0,0 +1,104 @@
+// backend/src/utils/description-matcher.js
+// Token-based comparison of Excel item names with BC uraian barang
+
+const stringSimilarity = require('string-similarity');
+const { getConfig } = require('../config');
+
+// Words that say nothing about the goods (Indonesian + English), compared in upper case
+const STOP_WORDS = [
+  'DAN', 'ATAU', 'DENGAN', 'UNTUK', 'YANG', 'DARI', 'KE', 'DI', 'PADA', 'LAIN', 'LAINNYA',
+  'BARU', 'BEKAS', 'JENIS', 'UKURAN', 'MERK', 'MEREK', 'TIPE', 'TYPE', 'SPESIFIKASI',
+  'AND', 'OR', 'WITH', 'FOR', 'OF', 'THE', 'A', 'AN', 'IN', 'ON', 'TO', 'NEW', 'USED', 'SIZE',
+  'BRAND', 'MODEL', 'PART', 'PARTS', 'ITEM', 'ITEMS', 'NO', 'PCS', 'PCE', 'UNIT', 'SET'
+];
+
+// OCR digit ↔ letter confusions inside words
+const OCR_LETTERS = { 0: 'O', 1: 'I', 5: 'S', 8: 'B' };
+
+class DescriptionMatcher {
+  constructor(descriptionConfig = getConfig().validator.description) {
+    this.threshold = descriptionConfig.threshold;
+    this.stopWords = new Set([
+      ...STOP_WORDS,
+      ...(descriptionConfig.stopWords || []).map(word => word.toUpperCase())
+    ]);
+  }
+
+  /**
+   * Normalize a description into comparable tokens
+   * "Compact Flash (BUFFALO) 4GB, baru" → ["COMPACT", "FLASH", "4GB"]
+   */
+  tokenize(text) {
+    const cleaned = (text || '').toString()
+      .toUpperCase()
+      .replace(/\([^)]*\)/g, ' ') // Brand / remarks in parentheses
+      .replace(/\b(?:MERK|MEREK|TIPE|TYPE)\s*[:.]?\s*\S+/g, ' ') // "Merk : X" tails
+      .replace(/[^A-Z0-9]+/g, ' ');
+
+    return cleaned
+      .split(' ')
+      .map(token => this.fixOCRToken(token))
+      .filter(token => token.length > 1 && !this.stopWords.has(token));
+  }
+
+  /**
+   * Replace a single OCR digit inside or at the end of a word
+   * "C0MPACT" → "COMPACT", "BUFFAL0" → "BUFFALO"; "4GB", "M8", "M8X20" unchanged
+   */
+  fixOCRToken(token) {
+    if (token.replace(/\D/g, '').length !== 1) {
+      return token;
+    }
+
+    return token.replace(/(?<=[A-Z])[0158](?=[A-Z])|(?<=[A-Z]{3})[0158]$/, digit => OCR_LETTERS[digit]);
+  }
+
+  /**
+   * Similar tokens count as the same word (OCR typos, plural forms)
+   */
+  tokensMatch(a, b) {
+    if (a === b) return true;
+    if (a.length < 4 || b.length < 4) return false;
+    return stringSimilarity.compareTwoStrings(a, b) >= 0.8;
+  }
+
+  /**
+   * Compare two descriptions
+   * similarity: Dice coefficient over tokens (2 × matched / (tokens A + tokens B))
+   * @returns {Object} { similarity, matched, excelTokens, bcTokens }
+   */
+  compare(excelText, bcText) {
+    const excelTokens = [...new Set(this.tokenize(excelText))];
+    const bcTokens = [...new Set(this.tokenize(bcText))];
+
+    if (excelTokens.length === 0 || bcTokens.length === 0) {
+      return { similarity: null, matched: [], excelTokens, bcTokens };
+    }
+
+    const remaining = [...bcTokens];
+    const matched = excelTokens.filter(token => {
+      const index = remaining.findIndex(candidate => this.tokensMatch(token, candidate));
+      if (index === -1) return false;
+      remaining.splice(index, 1);
+      return true;
+    });
+
+    return {
+      similarity: (2 * matched.length) / (excelTokens.length + bcTokens.length),
+      matched: matched,
+      excelTokens: excelTokens,
+      bcTokens: bcTokens
+    };
+  }
+
+  /**
+   * true when similarity reaches the configured threshold
+   */
+  isMatch(similarity) {
+    return similarity !== null && similarity >= this.threshold;
+  }
+}
+
+DescriptionMatcher.STOP_WORDS = STOP_WORDS;
+
+module.exports = DescriptionMatcher;
@@ -281,6 +281,140 @@ async function takeScreenshot(page, name, path = './logs') {
   }
 }
 
+/**
+ * Normalize Aju number for comparison (digits/letters only)
+ * "071300-000015-20151009-002077" → "07130000001520151009002077"
+ * @param {string} ajuNumber - Aju number in any format
+ * @returns {string}
+ */
+function normalizeAjuNumber(ajuNumber) {
+  return (ajuNumber || '').toString().replace(/[^0-9A-Z]/gi, '').toUpperCase();
+}
+
+/**
+ * Parse Indonesian formatted number
+ * "3.150,0000" → 3150, "24,17" → 24.17, "1.250" → 1250, "1.0000" → 1
+ * @param {string|number} value - Number as printed in BC documents
+ * @returns {number|null}
+ */
+function parseIndonesianNumber(value) {
+  let numString = value.toString().trim();
+
+  if (numString.includes('.') && numString.includes(',')) {
+    numString = numString.replace(/\./g, '').replace(',', '.');
+  } else if (numString.includes(',')) {
+    numString = numString.replace(',', '.');
+  } else if (numString.match(/^\d{1,3}(\.\d{3})+$/)) {
+    numString = numString.replace(/\./g, ''); // Thousand separators only
+  }
+
+  const num = parseFloat(numString);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Normalize ILS ticket number for comparison
+ * "TIKET-01889" → "1889", " 1889 " → "1889"
+ * @param {string|number} ticketNumber
+ * @returns {string}
+ */
+function normalizeTicketNumber(ticketNumber) {
+  return (ticketNumber || '').toString().trim().replace(/^TIKET[- ]?/i, '').replace(/^0+(?=\d)/, '');
+}
+
+// Month name prefixes (Indonesian + English) → month index
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, mei: 4, may: 4, jun: 5, jul: 6,
+  agu: 7, agt: 7, aug: 7, sep: 8, okt: 9, oct: 9, nov: 10, des: 11, dec: 11
+};
+
+/**
+ * Parse a date as shown in ILS lists or typed by users (time part ignored)
+ * "2025-01-31", "31-01-2025", "31/01/2025", "31 Jan 2025", "31 Januari 2025 10:15"
+ * @param {string} value
+ * @returns {Date|null} UTC midnight of that day
+ */
+function parseIndonesianDate(value) {
+  const text = (value || '').toString().trim();
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) {
+    [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/))) {
+    [year, month, day] = [Number(match[3]), Number(match[2]) - 1, Number(match[1])];
+  } else if ((match = text.match(/^(\d{1,2})[\s-]+([a-z]{3,})\.?[\s-]+(\d{4})\b/i))) {
+    month = MONTHS[match[2].substring(0, 3).toLowerCase()];
+    [year, day] = [Number(match[3]), Number(match[1])];
+  }
+
+  if (year === undefined || month === undefined) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Parse CSV/TSV text into rows of cell strings (quoted cells may contain delimiters and new lines)
+ * Delimiter is detected from the first lines when not given: tab, semicolon or comma
+ * (several lines, because exports may start with a title line such as "Ticket Number : TIKET-1889").
+ * @param {string} text - File content
+ * @param {string} [delimiter] - Cell delimiter
+ * @returns {Array<Array<string>>}
+ */
+function parseDelimited(text, delimiter = null) {
+  const content = text.replace(/^\uFEFF/, ''); // BOM from Excel "CSV UTF-8"
+
+  if (!delimiter) {
+    const sample = content.split(/\r?\n/, 10).join('\n');
+    const counts = ['\t', ';', ','].map(d => [d, sample.split(d).length - 1]);
+    delimiter = counts.reduce((best, current) => current[1] > best[1] ? current : best)[0];
+  }
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
 module.exports = {
   retryWithBackoff,
   waitForCondition,
@@ -291,5 +425,10 @@ module.exports = {
   waitForPageLoad,
   elementExists,
   getElementText,
-  takeScreenshot
+  takeScreenshot,
+  normalizeAjuNumber,
+  parseIndonesianNumber,
+  normalizeTicketNumber,
+  parseIndonesianDate,
+  parseDelimited
 };
\ No newline at end of file
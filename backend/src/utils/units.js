@@ -0,0 +1,105 @@
+// backend/src/utils/units.js
+// Normalize and convert quantity units (Excel unit vs BC satuan)
+
+const { getConfig } = require('../config');
+
+class UnitConverter {
+  /**
+   * @param {Object} unitsConfig - { aliases: [[code, ...aliases]], conversions: [{ from, to, factor }] }
+   */
+  constructor(unitsConfig = getConfig().units) {
+    // Alias → canonical code (first entry of each alias group)
+    this.aliases = new Map();
+    unitsConfig.aliases.forEach(group => {
+      const code = group[0].toUpperCase();
+      group.forEach(alias => this.aliases.set(alias.toUpperCase(), code));
+    });
+
+    // Canonical code → { base, factor } so that qty * factor is in base unit
+    this.conversions = new Map();
+    unitsConfig.conversions.forEach(rule => {
+      this.conversions.set(this.normalize(rule.from), {
+        to: this.normalize(rule.to),
+        factor: rule.factor
+      });
+    });
+  }
+
+  /**
+   * Canonical unit code: "Piece (PCE)" → "PCE", "pcs" → "PCE", "Kg" → "KGM"
+   * Unknown units are returned upper-cased; empty units return null.
+   */
+  normalize(unit) {
+    if (unit === null || unit === undefined) {
+      return null;
+    }
+
+    let value = unit.toString().trim().toUpperCase();
+    const codeMatch = value.match(/\(([A-Z]{2,5})\)/);
+    if (codeMatch) {
+      value = codeMatch[1];
+    }
+    value = value.replace(/[^A-Z0-9]/g, '');
+
+    if (!value) {
+      return null;
+    }
+
+    return this.aliases.get(value) || value;
+  }
+
+  /**
+   * Resolve unit to its base unit by following conversion rules (e.g. GRM → KGM)
+   */
+  toBase(code) {
+    let factor = 1;
+    let current = code;
+    const seen = new Set([current]);
+
+    while (this.conversions.has(current)) {
+      const rule = this.conversions.get(current);
+      if (seen.has(rule.to)) break; // Misconfigured loop
+      factor *= rule.factor;
+      current = rule.to;
+      seen.add(current);
+    }
+
+    return { base: current, factor: factor };
+  }
+
+  /**
+   * Check if both units mean the same thing after normalization
+   */
+  isSame(unitA, unitB) {
+    return this.normalize(unitA) === this.normalize(unitB);
+  }
+
+  /**
+   * Convert qty between units
+   * @returns {number|null} converted qty, or null if the units are not convertible
+   */
+  convert(qty, fromUnit, toUnit) {
+    const from = this.normalize(fromUnit);
+    const to = this.normalize(toUnit);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    if (from === to) {
+      return qty;
+    }
+
+    const fromBase = this.toBase(from);
+    const toBase = this.toBase(to);
+
+    if (fromBase.base !== toBase.base) {
+      return null;
+    }
+
+    // Round away float noise (e.g. 500 GRM → 0.5 KGM)
+    return Math.round((qty * fromBase.factor / toBase.factor) * 1e6) / 1e6;
+  }
+}
+
+module.exports = UnitConverter;
@@ -4,6 +4,7 @@
 const BrowserManager = require('./src/bot/browser');
 const ILSLogin = require('./src/bot/ils-login');
 const ILSNavigator = require('./src/bot/ils-navigator');
+const VerificationOrchestrator = require('./src/bot/orchestrator');
 const logger = require('./src/utils/logger');
 const readline = require('readline');
 
@@ -119,6 +120,57 @@ async function testLoginAndNavigation() {
   }
 }
 
+async function testFullVerification() {
+  try {
+    logger.info('='.repeat(60));
+    logger.info('ILS VERIFICATION BOT - FULL VERIFICATION TEST');
+    logger.info('='.repeat(60));
+
+    console.log('\n');
+    const username = await question('Enter ILS Username: ');
+    const password = await question('Enter ILS Password: ');
+    const ticketNumber = await question('Enter Ticket Number: ');
+    const envChoice = await question('Environment (1=Dev, 2=Prod) [1]: ');
+    const environment = envChoice === '2' ? 'prod' : 'dev';
+    console.log('\n');
+
+    const orchestrator = new VerificationOrchestrator({
+      ticketNumber: ticketNumber,
+      username: username,
+      password: password,
+      environment: environment,
+      headless: false
+    });
+
+    const report = await orchestrator.run();
+
+    logger.info('\nStages:');
+    report.stages.forEach(stage => {
+      const icon = stage.status === 'success' ? '✅' : '❌';
+      logger.info(`${icon} ${stage.name} (${stage.durationMs}ms)${stage.error ? ' - ' + stage.error : ''}`);
+    });
+
+    if (report.status === 'success') {
+      logger.success('='.repeat(60));
+      logger.success('✅ FULL VERIFICATION TEST PASSED!');
+      logger.success(`Output saved to: ${report.outputPath}`);
+      logger.success('='.repeat(60));
+    } else {
+      logger.error('='.repeat(60));
+      logger.error(`❌ FULL VERIFICATION TEST FAILED at stage: ${report.failedStage}`);
+      logger.error('Error:', report.error);
+      logger.error('='.repeat(60));
+    }
+  } catch (error) {
+    logger.error('❌ FULL VERIFICATION TEST FAILED!');
+    logger.error('Error:', error.message);
+  } finally {
+    rl.close();
+    logger.info('Test completed. Exiting...');
+    process.exit(0);
+  }
+}
+
 async function testBrowser() {
   const browserManager = new BrowserManager();
   
@@ -167,10 +219,11 @@ async function main() {
   console.log('1. Browser Test (Launch Chromium)');
   console.log('2. Login Test (ILS Login)');
   console.log('3. Navigation Test (Login + Navigate to Scrap)');
-  console.log('4. Exit');
+  console.log('4. Full Verification (Login + Download + Validate)');
+  console.log('5. Exit');
   console.log('');
 
-  const choice = await question('Enter choice (1-4): ');
+  const choice = await question('Enter choice (1-5): ');
 
   switch (choice) {
     case '1':
@@ -183,6 +236,9 @@ async function main() {
       await testLoginAndNavigation();
       break;
     case '4':
+      await testFullVerification();
+      break;
+    case '5':
       logger.info('Exiting...');
       rl.close();
       process.exit(0);
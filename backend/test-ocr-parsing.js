@@ -29,7 +29,8 @@ async function testOCRParsing() {
       console.log('\nParsed items:');
       items.forEach((item, idx) => {
         console.log(`\n${idx + 1}. Seri: ${item.seri}`);
-        console.log(`   Kode Brg: ${item.kodeBrg}`);
+        console.log(`   Kode Brg: ${item.kodeBarang || '-'}`);
+        console.log(`   HS Code: ${item.hsCode || '-'}`);
         console.log(`   Uraian: ${item.uraian}`);
         console.log(`   Qty: ${item.qty} ${item.satuan}`);
       });
@@ -96,13 +96,14 @@ async function testPDFParsing() {
     logger.info(`Document Type: ${docType}`);
     logger.info(`Total Items: ${summary.totalItems}`);
     logger.info(`Total Qty: ${summary.totalQty}`);
-    logger.info(`Kode Brg List: ${summary.kodeBrgList.join(', ')}`);
+    logger.info(`Kode Brg List: ${summary.kodeBarangList.join(', ')}`);
+    logger.info(`HS Code List: ${summary.hsCodeList.join(', ')}`);
     logger.info(`Seri Range: ${summary.seriRange.min} - ${summary.seriRange.max}`);
 
     // Show first 5 items
     logger.info('\nFirst 5 items:');
     items.slice(0, 5).forEach((item, idx) => {
-      logger.info(`${idx + 1}. Seri ${item.seri}: ${item.kodeBrg} | ${item.qty} ${item.satuan}`);
+      logger.info(`${idx + 1}. Seri ${item.seri}: ${item.kodeBarang || '-'} | HS ${item.hsCode || '-'} | ${item.qty} ${item.satuan}`);
     });
 
     logger.success('\n✅ PDF parsing test passed!');
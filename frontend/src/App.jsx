@@ -1,34 +1,173 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import { useCallback, useEffect, useState } from 'react'
+import StartForm from './components/StartForm'
+import JobList from './components/JobList'
+import ProgressView from './components/ProgressView'
+import ResultsTable from './components/ResultsTable'
+import ReviewPanel from './components/ReviewPanel'
+import SignOffPanel from './components/SignOffPanel'
+import { useJobProgress } from './hooks/useJobProgress'
+import {
+  cancelJob,
+  getJobDocuments,
+  getJobResults,
+  getJobReview,
+  listJobs,
+  overrideRow,
+  removeOverride,
+  signOffJob,
+} from './api'
 import './App.css'
 
+const FINISHED = ['success', 'failed', 'cancelled']
+
 function App() {
-  const [count, setCount] = useState(0)
+  const [jobs, setJobs] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [finalRows, setFinalRows] = useState(null)
+  const [documents, setDocuments] = useState([])
+  const [reviewRowNumber, setReviewRowNumber] = useState(null)
+  const [review, setReview] = useState(null)
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem('reviewer') || '')
+  const [error, setError] = useState(null)
+
+  const progress = useJobProgress(selectedId)
+  const status = progress.job ? progress.job.status : null
+
+  const refreshJobs = useCallback(async () => {
+    try {
+      setJobs(await listJobs())
+      setError(null)
+    } catch (err) {
+      setError(`Backend not reachable: ${err.message}`)
+    }
+  }, [])
+
+  useEffect(() => {
+    refreshJobs()
+  }, [refreshJobs])
+
+  // Keep the job list in sync and load the complete result set (and BC documents for review) once the job is done
+  useEffect(() => {
+    setFinalRows(null)
+    setDocuments([])
+    setReview(null)
+    if (!selectedId || !status) {
+      return
+    }
+
+    refreshJobs()
+    if (FINISHED.includes(status)) {
+      getJobResults(selectedId)
+        .then(setFinalRows)
+        .catch((err) => setError(err.message))
+      getJobDocuments(selectedId)
+        .then(setDocuments)
+        .catch((err) => setError(err.message))
+    }
+    if (status === 'success') {
+      getJobReview(selectedId)
+        .then(setReview)
+        .catch((err) => setError(err.message))
+    }
+  }, [selectedId, status, refreshJobs])
+
+  useEffect(() => {
+    setReviewRowNumber(null)
+  }, [selectedId])
+
+  const handleStarted = (job) => {
+    setJobs((current) => [job, ...current])
+    setSelectedId(job.id)
+  }
+
+  const handleReviewerChange = (name) => {
+    setReviewer(name)
+    localStorage.setItem('reviewer', name)
+  }
+
+  // Review changes re-generate the workbook on the backend; reload rows with overrides applied
+  const applyReview = async (request) => {
+    setReview(await request)
+    setFinalRows(await getJobResults(selectedId))
+    refreshJobs()
+  }
+
+  const handleOverride = (rowNumber, body) => applyReview(overrideRow(selectedId, rowNumber, body))
+  const handleRemoveOverride = (rowNumber) => applyReview(removeOverride(selectedId, rowNumber))
+  const handleSignOff = (body) => applyReview(signOffJob(selectedId, body))
+
+  const handleCancel = async () => {
+    try {
+      await cancelJob(selectedId)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
 
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
+    <div className="app">
+      <header className="app-header">
+        <h1>ILS Verification Bot</h1>
+        <span className="muted">Scrap ticket verification against BC documents</span>
+      </header>
+
+      {error && <p className="error banner">{error}</p>}
+
+      <main className="layout">
+        <aside className="sidebar">
+          <StartForm onStarted={handleStarted} />
+          <JobList jobs={jobs} selectedId={selectedId} onSelect={setSelectedId} onRefresh={refreshJobs} />
+        </aside>
+
+        <section className="content">
+          {selectedId ? (
+            <>
+              <ProgressView
+                job={progress.job}
+                stages={progress.stages}
+                ocr={progress.ocr}
+                rowCount={progress.rows.length}
+                connected={progress.connected}
+                onCancel={handleCancel}
+              />
+              {progress.error && <p className="error">{progress.error}</p>}
+              {review && (
+                <SignOffPanel
+                  review={review}
+                  reviewer={reviewer}
+                  onReviewerChange={handleReviewerChange}
+                  onSignOff={handleSignOff}
+                  onReview={setReviewRowNumber}
+                />
+              )}
+              {finalRows && reviewRowNumber !== null && (
+                <ReviewPanel
+                  jobId={selectedId}
+                  rows={finalRows}
+                  rowNumber={reviewRowNumber}
+                  documents={documents}
+                  review={review}
+                  reviewer={reviewer}
+                  onOverride={handleOverride}
+                  onRemoveOverride={handleRemoveOverride}
+                  onNavigate={setReviewRowNumber}
+                  onClose={() => setReviewRowNumber(null)}
+                />
+              )}
+              <ResultsTable
+                rows={finalRows || progress.rows}
+                reviewRowNumber={reviewRowNumber}
+                onReview={finalRows ? setReviewRowNumber : null}
+              />
+            </>
+          ) : (
+            <div className="panel">
+              <p className="muted">Start a verification or select a job to follow its progress.</p>
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
   )
 }
 
@@ -0,0 +1,98 @@
+// Backend job API client
+// In development Vite proxies /api and /ws to the backend (see vite.config.js)
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api'
+
+async function request(path, options = {}) {
+  const response = await fetch(`${API_BASE}${path}`, options)
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || `Request failed (${response.status})`)
+  }
+
+  return data
+}
+
+export async function startTicketVerification(body) {
+  const data = await request('/verifications', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  return data.job
+}
+
+// Returns a list: "allSheets" starts one job per worksheet
+export async function startUploadVerification(formData) {
+  const data = await request('/verifications', {
+    method: 'POST',
+    body: formData,
+  })
+  return data.jobs || [data.job]
+}
+
+export async function listJobs() {
+  const data = await request('/verifications')
+  return data.jobs
+}
+
+export async function getJobResults(jobId) {
+  const data = await request(`/verifications/${jobId}/results`)
+  return data.results
+}
+
+export async function cancelJob(jobId) {
+  const data = await request(`/verifications/${jobId}`, { method: 'DELETE' })
+  return data.job
+}
+
+export async function getJobReview(jobId) {
+  const data = await request(`/verifications/${jobId}/review`)
+  return data.review
+}
+
+export async function overrideRow(jobId, rowNumber, body) {
+  const data = await request(`/verifications/${jobId}/overrides/${rowNumber}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  return data.review
+}
+
+export async function removeOverride(jobId, rowNumber) {
+  const data = await request(`/verifications/${jobId}/overrides/${rowNumber}`, { method: 'DELETE' })
+  return data.review
+}
+
+export async function signOffJob(jobId, body) {
+  const data = await request(`/verifications/${jobId}/signoff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+  return data.review
+}
+
+export async function getJobDocuments(jobId) {
+  const data = await request(`/verifications/${jobId}/documents`)
+  return data.documents
+}
+
+export function getPageImageUrl(jobId, documentIndex, page) {
+  return `${API_BASE}/verifications/${jobId}/documents/${documentIndex}/pages/${page}`
+}
+
+export function getDownloadUrl(jobId) {
+  return `${API_BASE}/verifications/${jobId}/download`
+}
+
+export function getProgressSocketUrl() {
+  if (import.meta.env.VITE_WS_URL) {
+    return import.meta.env.VITE_WS_URL
+  }
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+  return `${protocol}//${window.location.host}/ws`
+}
@@ -0,0 +1,40 @@
+import StatusBadge from './StatusBadge'
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '-'
+}
+
+function JobList({ jobs, selectedId, onSelect, onRefresh }) {
+  return (
+    <div className="panel job-list">
+      <div className="panel-header">
+        <h2>Jobs</h2>
+        <button type="button" onClick={onRefresh}>Refresh</button>
+      </div>
+
+      {jobs.length === 0 && <p className="muted">No verifications yet.</p>}
+
+      <ul>
+        {jobs.map((job) => (
+          <li key={job.id}>
+            <button
+              type="button"
+              className={job.id === selectedId ? 'job selected' : 'job'}
+              onClick={() => onSelect(job.id)}
+            >
+              <span className="job-title">
+                {job.ticketNumber ? `Ticket ${job.ticketNumber}` : 'Uploaded files'}
+              </span>
+              <StatusBadge status={job.status} />
+              <span className="muted small">
+                {job.mode}{job.excelSheet ? ` · ${job.excelSheet}` : ''} · {formatTime(job.createdAt)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default JobList
@@ -0,0 +1,81 @@
+import { useState } from 'react'
+import StatusBadge from './StatusBadge'
+
+const STATUSES = ['OK', 'WARNING', 'ERROR']
+
+// Reviewer decision for one row: status + mandatory reason (reviewer name comes from the sign-off panel)
+function OverrideForm({ row, reviewer, locked, onOverride, onRemove }) {
+  const [status, setStatus] = useState(row.override ? row.override.status : 'OK')
+  const [reason, setReason] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (action) => {
+    setSubmitting(true)
+    setError(null)
+    try {
+      await action()
+      setReason('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    run(() => onOverride(row.rowNumber, { status, reason: reason.trim(), user: reviewer.trim() }))
+  }
+
+  const { override } = row
+
+  return (
+    <div className="override">
+      {override && (
+        <p className="small">
+          Overridden from <StatusBadge status={row.validation.originalOverall} /> to <StatusBadge status={override.status} />{' '}
+          by {override.user} on {new Date(override.overriddenAt).toLocaleString()}: {override.reason}
+          {!locked && (
+            <button type="button" disabled={submitting} onClick={() => run(() => onRemove(row.rowNumber))}>
+              Remove override
+            </button>
+          )}
+        </p>
+      )}
+
+      {locked ? (
+        <p className="muted small">Ticket signed off, overrides are locked.</p>
+      ) : (
+        <form className="override-form" onSubmit={handleSubmit}>
+          <label>
+            Status
+            <select value={status} onChange={(event) => setStatus(event.target.value)}>
+              {STATUSES.map((value) => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </label>
+          <label className="grow">
+            Reason
+            <input
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+              placeholder="e.g. supplier code for internal item ABC123"
+            />
+          </label>
+          <button
+            type="submit"
+            className="primary"
+            disabled={submitting || !reason.trim() || !reviewer.trim()}
+            title={reviewer.trim() ? '' : 'Enter your name in the sign-off panel first'}
+          >
+            {override ? 'Update override' : 'Override'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="error small">{error}</p>}
+    </div>
+  )
+}
+
+export default OverrideForm
@@ -0,0 +1,80 @@
+import StatusBadge from './StatusBadge'
+import { getDownloadUrl } from '../api'
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return ''
+  }
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`
+}
+
+function ProgressView({ job, stages, ocr, rowCount, connected, onCancel }) {
+  if (!job) {
+    return (
+      <div className="panel">
+        <p className="muted">Loading job…</p>
+      </div>
+    )
+  }
+
+  const active = job.status === 'queued' || job.status === 'running'
+  const summary = job.summary
+
+  return (
+    <div className="panel progress-view">
+      <div className="panel-header">
+        <h2>
+          {job.ticketNumber ? `Ticket ${job.ticketNumber}` : 'Uploaded files'} <StatusBadge status={job.status} />
+        </h2>
+        <div className="actions">
+          <span className={connected ? 'live on' : 'live'}>{connected ? 'live' : 'offline'}</span>
+          {active && (
+            <button type="button" onClick={onCancel}>Cancel</button>
+          )}
+          {job.status === 'success' && job.outputPath && (
+            <a className="button primary" href={getDownloadUrl(job.id)}>Download workbook</a>
+          )}
+        </div>
+      </div>
+
+      <ol className="stages">
+        {stages.map((stage) => (
+          <li key={stage.name} className={`stage ${stage.status}`}>
+            <span className="stage-name">{stage.name}</span>
+            <span className="muted small">
+              {stage.status === 'running' ? 'running…' : formatDuration(stage.durationMs)}
+            </span>
+            {stage.error && <span className="error small">{stage.error}</span>}
+          </li>
+        ))}
+      </ol>
+
+      {active && ocr && (
+        <div className="ocr-progress">
+          <span className="small">
+            OCR document {ocr.document}/{ocr.totalDocuments}
+            {ocr.page ? `, page ${ocr.page}/${ocr.totalPages}` : ''}
+          </span>
+          <progress max="100" value={ocr.progress || 0} />
+        </div>
+      )}
+
+      {active && rowCount > 0 && <p className="small">{rowCount} rows validated</p>}
+
+      {job.error && <p className="error">{job.error}</p>}
+
+      {summary && (
+        <dl className="summary">
+          <div><dt>Total</dt><dd>{summary.total}</dd></div>
+          <div><dt>OK</dt><dd className="ok-text">{summary.ok}</dd></div>
+          <div><dt>Warning</dt><dd className="warning-text">{summary.warning}</dd></div>
+          <div><dt>Error</dt><dd className="error-text">{summary.error}</dd></div>
+          <div><dt>No BC document</dt><dd>{summary.missingDocument || 0}</dd></div>
+          <div><dt>Success rate</dt><dd>{summary.successRate}</dd></div>
+        </dl>
+      )}
+    </div>
+  )
+}
+
+export default ProgressView
@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import StatusBadge from './StatusBadge'
+
+const FILTERS = ['ALL', 'OK', 'WARNING', 'ERROR', 'BC DOC MISSING']
+
+function ResultsTable({ rows, reviewRowNumber, onReview }) {
+  const [filter, setFilter] = useState('ALL')
+
+  const visible = rows
+    .filter((row) => filter === 'ALL' || row.validation.overall === filter)
+    .sort((a, b) => a.rowNumber - b.rowNumber)
+
+  const countOf = (status) => rows.filter((row) => status === 'ALL' || row.validation.overall === status).length
+
+  return (
+    <div className="panel results">
+      <div className="panel-header">
+        <h2>Results</h2>
+        <div className="tabs">
+          {FILTERS.map((status) => (
+            <button
+              key={status}
+              type="button"
+              className={filter === status ? 'active' : ''}
+              onClick={() => setFilter(status)}
+            >
+              {status} ({countOf(status)})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="muted">No rows validated yet.</p>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Item code</th>
+                <th>Item name</th>
+                <th>Aju</th>
+                <th>Seri</th>
+                <th>Qty</th>
+                <th>BC kode barang</th>
+                <th>BC qty</th>
+                <th>Item code</th>
+                <th>Qty</th>
+                <th>Uraian</th>
+                <th>HS code</th>
+                <th>Overall</th>
+                <th>Issues</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((row) => {
+                const excel = row.excelData || {}
+                const bc = row.bcData
+                return (
+                  <tr key={row.rowNumber} className={row.rowNumber === reviewRowNumber ? 'selected' : ''}>
+                    <td>{row.rowNumber}</td>
+                    <td>{excel.itemCode}</td>
+                    <td>{excel.itemName}</td>
+                    <td className="mono small">{excel.ajuNumber}</td>
+                    <td>{excel.seriBarang}</td>
+                    <td>{excel.qty} {excel.unit || ''}</td>
+                    <td>{bc ? bc.kodeBarang || bc.hsCode || '-' : '-'}</td>
+                    <td>{bc ? `${bc.qty} ${bc.satuan}` : '-'}</td>
+                    <td><StatusBadge status={row.validation.itemCode} /></td>
+                    <td><StatusBadge status={row.validation.qty} /></td>
+                    <td><StatusBadge status={row.validation.description} /></td>
+                    <td>
+                      <StatusBadge status={row.validation.hsCode} />
+                      {row.hsCheck && row.hsCheck.source && (
+                        <span className="muted small"> {row.hsCheck.source}</span>
+                      )}
+                    </td>
+                    <td>
+                      <StatusBadge status={row.validation.overall} />
+                      {row.override && (
+                        <span className="overridden small" title={`${row.override.user}: ${row.override.reason}`}>
+                          overridden ({row.validation.originalOverall})
+                        </span>
+                      )}
+                    </td>
+                    <td className="issues">{(row.issues || []).join('; ')}</td>
+                    <td>
+                      {onReview && (
+                        <button type="button" onClick={() => onReview(row.rowNumber)}>Review</button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ResultsTable
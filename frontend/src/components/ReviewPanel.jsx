@@ -0,0 +1,154 @@
+import StatusBadge from './StatusBadge'
+import OverrideForm from './OverrideForm'
+import { getPageImageUrl } from '../api'
+
+// Same rule as normalizeAjuNumber in the backend helpers
+const normalizeAju = (value) => (value || '').toString().replace(/[^0-9A-Z]/gi, '').toUpperCase()
+
+function Field({ label, value }) {
+  return (
+    <div>
+      <dt>{label}</dt>
+      <dd>{value === null || value === undefined || value === '' ? '-' : value}</dd>
+    </div>
+  )
+}
+
+function ReviewPanel({ jobId, rows, rowNumber, documents, review, reviewer, onOverride, onRemoveOverride, onNavigate, onClose }) {
+  const row = rows.find((item) => item.rowNumber === rowNumber)
+  if (!row) {
+    return null
+  }
+
+  // Step through flagged rows (not OK, or overridden), including the one being reviewed
+  const flagged = rows.filter((item) =>
+    item.validation.overall !== 'OK' || item.override || item.rowNumber === rowNumber
+  )
+  const position = flagged.findIndex((item) => item.rowNumber === rowNumber)
+  const previous = flagged[position - 1]
+  const next = flagged[position + 1]
+
+  const excel = row.excelData || {}
+  const bc = row.bcData
+  const source = bc ? bc.source : null
+  const bcDocument = documents.find((doc) => normalizeAju(doc.ajuNumber) === normalizeAju(excel.ajuNumber))
+
+  return (
+    <div className="panel review">
+      <div className="panel-header">
+        <h2>
+          Row {row.rowNumber} <StatusBadge status={row.validation.overall} />
+        </h2>
+        <div className="actions">
+          <span className="muted small">{position + 1} / {flagged.length} flagged</span>
+          <button type="button" disabled={!previous} onClick={() => onNavigate(previous.rowNumber)}>Previous</button>
+          <button type="button" disabled={!next} onClick={() => onNavigate(next.rowNumber)}>Next</button>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      <div className="review-compare">
+        <section>
+          <h3>Excel row</h3>
+          <dl className="fields">
+            <Field label="Item code" value={excel.itemCode} />
+            <Field label="Item name" value={excel.itemName} />
+            <Field label="Aju" value={excel.ajuNumber} />
+            <Field label="Seri" value={excel.seriBarang} />
+            <Field label="Qty" value={`${excel.qty} ${excel.unit || ''}`} />
+            <Field label="HS code" value={excel.hsCode} />
+          </dl>
+        </section>
+
+        <section>
+          <h3>BC item</h3>
+          {bc ? (
+            <dl className="fields">
+              <Field label="Kode barang" value={bc.kodeBarang} />
+              <Field label="HS code" value={bc.hsCode} />
+              <Field label="Uraian" value={bc.uraian} />
+              <Field label="Document" value={bcDocument ? `${bcDocument.documentType} · ${bcDocument.fileName}` : null} />
+              <Field label="Seri" value={bc.seri} />
+              <Field label="Qty" value={`${bc.qty} ${bc.satuan}`} />
+            </dl>
+          ) : (
+            <p className="muted">No BC item found for this row.</p>
+          )}
+        </section>
+      </div>
+
+      <div className="review-status">
+        <span>Item code <StatusBadge status={row.validation.itemCode} /></span>
+        <span>Qty <StatusBadge status={row.validation.qty} /></span>
+        {row.validation.description && (
+          <span>Uraian <StatusBadge status={row.validation.description} /></span>
+        )}
+        {row.hsCheck && row.hsCheck.source && (
+          <span>
+            HS code <StatusBadge status={row.validation.hsCode} />
+            <span className="muted small">
+              {' '}vs {row.hsCheck.source === 'excel' ? 'Excel HS column' : 'item alias'}: {row.hsCheck.expected.join(' / ')}
+            </span>
+          </span>
+        )}
+        {(row.issues || []).length > 0 && (
+          <ul className="issues">
+            {row.issues.map((issue) => <li key={issue}>{issue}</li>)}
+          </ul>
+        )}
+      </div>
+
+      {review && (
+        <OverrideForm
+          key={`${row.rowNumber}-${row.override ? row.override.overriddenAt : ''}`}
+          row={row}
+          reviewer={reviewer}
+          locked={Boolean(review.signOff)}
+          onOverride={onOverride}
+          onRemove={onRemoveOverride}
+        />
+      )}
+
+      {source && (
+        <div className="evidence">
+          <section>
+            <h3>
+              Parsed text{' '}
+              <span className="muted small">
+                {source.page ? `page ${source.page}` : 'page unknown'}
+                {bcDocument && bcDocument.isScanned ? ' · OCR' : ''}
+              </span>
+            </h3>
+            <pre>{source.text}</pre>
+          </section>
+          {bcDocument && source.page && (
+            <section>
+              <h3>BC page {source.page} of {bcDocument.pages}</h3>
+              <div className="page-frame">
+                <img
+                  className="page-image"
+                  src={getPageImageUrl(jobId, bcDocument.index, source.page)}
+                  alt={`${bcDocument.fileName} page ${source.page}`}
+                />
+                {/* Parsed item area (digital PDFs only, OCR text has no positions) */}
+                {source.box && (
+                  <div
+                    className="page-highlight"
+                    style={{
+                      left: `${source.box.x * 100}%`,
+                      top: `${source.box.y * 100}%`,
+                      width: `${source.box.width * 100}%`,
+                      height: `${source.box.height * 100}%`
+                    }}
+                  />
+                )}
+              </div>
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewPanel
@@ -0,0 +1,78 @@
+import { useState } from 'react'
+
+// Reviewer name, rows still blocking sign-off and the sign-off action of a finished job
+function SignOffPanel({ review, reviewer, onReviewerChange, onSignOff, onReview }) {
+  const [comment, setComment] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSignOff = async () => {
+    setSubmitting(true)
+    setError(null)
+    try {
+      await onSignOff({ user: reviewer.trim(), comment: comment.trim() })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (review.signOff) {
+    return (
+      <div className="panel signoff done">
+        <h2>Signed off</h2>
+        <p>
+          {review.signOff.user} on {new Date(review.signOff.signedAt).toLocaleString()}
+          {review.signOff.comment ? `: ${review.signOff.comment}` : ''}
+        </p>
+        <p className="muted small">{review.overrides.length} row(s) overridden</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="panel signoff">
+      <div className="panel-header">
+        <h2>Review &amp; sign-off</h2>
+        <span className="muted small">{review.overrides.length} row(s) overridden</span>
+      </div>
+
+      <label>
+        Reviewer
+        <input value={reviewer} onChange={(event) => onReviewerChange(event.target.value)} placeholder="Your name" />
+      </label>
+
+      {review.blockingRows.length > 0 ? (
+        <p className="small">
+          Resolve or override these rows before sign-off:{' '}
+          {review.blockingRows.map((rowNumber) => (
+            <button key={rowNumber} type="button" className="link" onClick={() => onReview(rowNumber)}>
+              {rowNumber}
+            </button>
+          ))}
+        </p>
+      ) : (
+        <p className="ok-text small">No ERROR rows left, ticket can be signed off.</p>
+      )}
+
+      <label>
+        Comment
+        <input value={comment} onChange={(event) => setComment(event.target.value)} placeholder="Optional" />
+      </label>
+
+      <button
+        type="button"
+        className="primary"
+        disabled={submitting || !review.canSignOff || !reviewer.trim()}
+        onClick={handleSignOff}
+      >
+        Sign off
+      </button>
+
+      {error && <p className="error small">{error}</p>}
+    </div>
+  )
+}
+
+export default SignOffPanel
@@ -0,0 +1,147 @@
+import { useState } from 'react'
+import { startTicketVerification, startUploadVerification } from '../api'
+
+function StartForm({ onStarted }) {
+  const [mode, setMode] = useState('ticket')
+  const [ticketNumber, setTicketNumber] = useState('')
+  const [environment, setEnvironment] = useState('dev')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [headless, setHeadless] = useState(true)
+  const [excelFile, setExcelFile] = useState(null)
+  const [pdfFiles, setPdfFiles] = useState([])
+  const [sheet, setSheet] = useState('')
+  const [allSheets, setAllSheets] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSubmitting(true)
+    setError(null)
+
+    try {
+      let jobs
+      if (mode === 'ticket') {
+        // Empty credentials fall back to the backend ILS config
+        const job = await startTicketVerification({
+          ticketNumber: ticketNumber.trim(),
+          environment,
+          username: username || undefined,
+          password: password || undefined,
+          headless,
+        })
+        jobs = [job]
+      } else {
+        const formData = new FormData()
+        formData.append('excel', excelFile)
+        pdfFiles.forEach((file) => formData.append('pdf', file))
+        if (ticketNumber.trim() && !allSheets) {
+          formData.append('ticketNumber', ticketNumber.trim())
+        }
+        if (allSheets) {
+          formData.append('allSheets', 'true')
+        } else if (sheet.trim()) {
+          formData.append('sheet', sheet.trim())
+        }
+        jobs = await startUploadVerification(formData)
+      }
+
+      // Select the first job (added last)
+      jobs.slice().reverse().forEach(onStarted)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const canSubmit = mode === 'ticket'
+    ? ticketNumber.trim() !== ''
+    : excelFile !== null && pdfFiles.length > 0
+
+  return (
+    <form className="panel start-form" onSubmit={handleSubmit}>
+      <h2>New verification</h2>
+
+      <div className="tabs">
+        <button type="button" className={mode === 'ticket' ? 'active' : ''} onClick={() => setMode('ticket')}>
+          ILS ticket
+        </button>
+        <button type="button" className={mode === 'upload' ? 'active' : ''} onClick={() => setMode('upload')}>
+          Upload files
+        </button>
+      </div>
+
+      <label>
+        Ticket number{mode === 'upload' && ' (optional, read from Excel)'}
+        <input value={ticketNumber} onChange={(e) => setTicketNumber(e.target.value)} placeholder="1889" />
+      </label>
+
+      {mode === 'ticket' ? (
+        <>
+          <label>
+            Environment
+            <select value={environment} onChange={(e) => setEnvironment(e.target.value)}>
+              <option value="dev">dev</option>
+              <option value="prod">prod</option>
+            </select>
+          </label>
+          <label>
+            ILS username (optional)
+            <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" />
+          </label>
+          <label>
+            ILS password (optional)
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+            />
+          </label>
+          <label className="checkbox">
+            <input type="checkbox" checked={headless} onChange={(e) => setHeadless(e.target.checked)} />
+            Run browser headless
+          </label>
+        </>
+      ) : (
+        <>
+          <label>
+            ILS Excel export (.xlsx, or CSV/TSV)
+            <input
+              type="file"
+              accept=".xlsx,.csv,.tsv,.txt"
+              onChange={(e) => setExcelFile(e.target.files[0] || null)}
+            />
+          </label>
+          <label>
+            Worksheet (optional, default: first sheet with a known layout)
+            <input value={sheet} onChange={(e) => setSheet(e.target.value)} disabled={allSheets} />
+          </label>
+          <label className="checkbox">
+            <input type="checkbox" checked={allSheets} onChange={(e) => setAllSheets(e.target.checked)} />
+            Verify every worksheet as a separate ticket
+          </label>
+          <label>
+            BC PDF documents
+            <input
+              type="file"
+              accept=".pdf"
+              multiple
+              onChange={(e) => setPdfFiles(Array.from(e.target.files))}
+            />
+          </label>
+        </>
+      )}
+
+      {error && <p className="error">{error}</p>}
+
+      <button type="submit" className="primary" disabled={!canSubmit || submitting}>
+        {submitting ? 'Starting…' : 'Start verification'}
+      </button>
+    </form>
+  )
+}
+
+export default StartForm
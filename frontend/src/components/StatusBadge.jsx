@@ -0,0 +1,27 @@
+// Colour class per job, stage or row status (matches ExcelWriter colours)
+const STATUS_CLASS = {
+  OK: 'ok',
+  'OK (alias)': 'ok',
+  success: 'ok',
+  WARNING: 'warning',
+  'NOT MATCH': 'warning',
+  'OVER LIMIT': 'warning',
+  'OVER BALANCE': 'warning',
+  ERROR: 'error',
+  failed: 'error',
+  'UNIT MISMATCH': 'unit',
+  'BC DOC MISSING': 'missing',
+  running: 'running',
+  queued: 'muted',
+  cancelled: 'muted',
+}
+
+function StatusBadge({ status }) {
+  if (!status) {
+    return null
+  }
+
+  return <span className={`badge ${STATUS_CLASS[status] || 'muted'}`}>{status}</span>
+}
+
+export default StatusBadge
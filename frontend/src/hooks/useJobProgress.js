@@ -0,0 +1,118 @@
+import { useEffect, useReducer } from 'react'
+import { getProgressSocketUrl } from '../api'
+
+const initialState = {
+  connected: false,
+  job: null,
+  stages: [],
+  ocr: null,
+  rows: [],
+  error: null,
+}
+
+function upsert(list, item, key) {
+  const index = list.findIndex((entry) => entry[key] === item[key])
+  if (index === -1) {
+    return [...list, item]
+  }
+  const next = [...list]
+  next[index] = item
+  return next
+}
+
+function reducer(state, action) {
+  switch (action.type) {
+    case 'reset':
+      return initialState
+    case 'connected':
+      return { ...state, connected: action.connected }
+    case 'snapshot':
+      return {
+        ...state,
+        job: action.job,
+        stages: action.job.stages || [],
+        ocr: action.job.progress ? action.job.progress.ocr : null,
+        rows: action.job.progress ? action.job.progress.rows : [],
+        error: null,
+      }
+    case 'job':
+      return { ...state, job: { ...state.job, ...action.job }, stages: action.job.stages }
+    case 'progress': {
+      const event = action.event
+      if (event.type === 'stage') {
+        return { ...state, stages: upsert(state.stages, event.stage, 'name') }
+      }
+      if (event.type === 'ocr') {
+        return { ...state, ocr: event }
+      }
+      if (event.type === 'row') {
+        return { ...state, rows: upsert(state.rows, event.result, 'rowNumber') }
+      }
+      return state
+    }
+    case 'error':
+      return { ...state, error: action.error }
+    default:
+      return state
+  }
+}
+
+/**
+ * Follow one job over the backend WebSocket (/ws)
+ * The server replays the current state on subscribe, so reconnecting is safe.
+ */
+export function useJobProgress(jobId) {
+  const [state, dispatch] = useReducer(reducer, initialState)
+
+  useEffect(() => {
+    dispatch({ type: 'reset' })
+    if (!jobId) {
+      return undefined
+    }
+
+    let socket = null
+    let retryTimer = null
+    let closed = false
+
+    const connect = () => {
+      socket = new WebSocket(getProgressSocketUrl())
+
+      socket.onopen = () => {
+        dispatch({ type: 'connected', connected: true })
+        socket.send(JSON.stringify({ action: 'subscribe', jobId }))
+      }
+
+      socket.onmessage = (message) => {
+        const data = JSON.parse(message.data)
+        if (data.type === 'snapshot') {
+          dispatch({ type: 'snapshot', job: data.job })
+        } else if (data.type === 'job') {
+          dispatch({ type: 'job', job: data.job })
+        } else if (data.type === 'progress') {
+          dispatch({ type: 'progress', event: data.event })
+        } else if (data.type === 'error') {
+          dispatch({ type: 'error', error: data.error })
+        }
+      }
+
+      socket.onclose = () => {
+        dispatch({ type: 'connected', connected: false })
+        if (!closed) {
+          retryTimer = setTimeout(connect, 2000)
+        }
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      if (socket) {
+        socket.close()
+      }
+    }
+  }, [jobId])
+
+  return state
+}
@@ -1,7 +1,22 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Backend API server (npm start in /backend), override with BACKEND_URL in .env
+  const env = loadEnv(mode, '.', 'BACKEND_')
+  const backendUrl = env.BACKEND_URL || 'http://localhost:3000'
+
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        '/api': backendUrl,
+        '/ws': {
+          target: backendUrl.replace(/^http/, 'ws'),
+          ws: true,
+        },
+      },
+    },
+  }
 })